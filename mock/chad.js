@@ -0,0 +1,56 @@
+/**
+ * Mock Chad
+ * WebSocket stand-in for Chad's /ws session logger (:5401)
+ */
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.port]
+ * @param {string} [options.token] - Reject handshakes without this bearer token
+ */
+export function startMockChad({ port = 0, token } = {}) {
+  const messages = [];
+  const connections = [];
+  const server = http.createServer((req, res) => { res.writeHead(426); res.end(); });
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://mock');
+    if (url.pathname !== '/ws') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      connections.push({ query: Object.fromEntries(url.searchParams), headers: req.headers });
+      ws.on('message', (data) => {
+        try {
+          messages.push(JSON.parse(data.toString()));
+        } catch (e) {
+          messages.push({ raw: data.toString() });
+        }
+      });
+    });
+  });
+
+  let closing = null;
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `ws://127.0.0.1:${server.address().port}`,
+        messages,
+        connections,
+        close: () => closing ||= new Promise(r => {
+          for (const client of wss.clients) client.terminate();
+          server.close(() => r());
+        })
+      });
+    });
+  });
+}
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * kodiack-mock CLI
+ *
+ *   kodiack-mock serve [--token T] [--susan-fixtures F] [--ryan-fixtures F]
+ *     Start all four mock services and print the env vars to point the binaries at them
+ *
+ *   kodiack-mock record --target http://host:5403 --out fixtures/susan.json [--port 6403]
+ *     Proxy to a real service and save its responses as replayable fixtures
+ */
+
+import { startMockStack, startRecorder } from './index.js';
+
+function option(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i >= 0) return args[i + 1];
+  const inline = args.find(a => a.startsWith(`--${name}=`));
+  return inline ? inline.slice(name.length + 3) : undefined;
+}
+
+async function main() {
+  const [command = 'serve', ...args] = process.argv.slice(2);
+
+  if (command === 'serve') {
+    const stack = await startMockStack({
+      token: option(args, 'token'),
+      susan: { fixtures: option(args, 'susan-fixtures') },
+      ryan: { fixtures: option(args, 'ryan-fixtures') }
+    });
+    console.log('Kodiack mock services running:\n');
+    for (const [name, value] of Object.entries(stack.env)) console.log(`  export ${name}=${value}`);
+    if (option(args, 'token')) console.log(`  export KODIACK_TOKEN=${option(args, 'token')}`);
+    console.log('\nCtrl+C to stop.');
+    process.on('SIGINT', async () => {
+      await stack.close();
+      process.exit(0);
+    });
+    return;
+  }
+
+  if (command === 'record') {
+    const target = option(args, 'target');
+    const out = option(args, 'out');
+    if (!target || !out) {
+      console.error('Usage: kodiack-mock record --target <service url> --out <fixtures.json> [--port N]');
+      process.exit(1);
+    }
+    const recorder = await startRecorder({ target, out, port: Number(option(args, 'port') || 0) });
+    console.log(`Recording ${target} -> ${out}`);
+    console.log(`Point the service URL at ${recorder.url}`);
+    process.on('SIGINT', async () => {
+      await recorder.close();
+      process.exit(0);
+    });
+    return;
+  }
+
+  console.error(`Unknown command "${command}" (use serve or record)`);
+  process.exit(1);
+}
+
+main().catch((e) => {
+  console.error('[kodiack-mock]', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+/**
+ * Mock HTTP plumbing shared by the Susan and Ryan stand-ins
+ *
+ * Handles JSON bodies, optional bearer auth, a request log and fixture replay.
+ * Fixture files map "METHOD /path?query" (or "METHOD /path" for any query) to
+ * { status, body } and take precedence over the built-in handlers.
+ */
+
+import fs from 'fs';
+import http from 'http';
+
+export function loadFixtures(fixtures) {
+  if (!fixtures) return {};
+  if (typeof fixtures === 'object') return fixtures;
+  return JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null);
+      } catch (e) {
+        resolve(raw);
+      }
+    });
+  });
+}
+
+/**
+ * Start an HTTP server around a route table
+ *
+ * @param {object} options
+ * @param {Record<string, (ctx: { query: URLSearchParams, body: any, params: string[] }) => any>} options.routes -
+ *   Keys like "GET /api/todos" or "POST /api/todos/:id"; return a body, or { status, body }
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.token] - Require Authorization: Bearer <token>
+ * @param {string|object} [options.fixtures] - Fixture file or object
+ */
+export function startHttp({ routes, port = 0, token, fixtures }) {
+  const recorded = loadFixtures(fixtures);
+  const requests = [];
+  const compiled = Object.entries(routes).map(([key, handler]) => {
+    const [method, pattern] = key.split(' ');
+    const regex = new RegExp('^' + pattern.replace(/:[a-zA-Z]+/g, '([^/]+)') + '$');
+    return { method, regex, handler };
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://mock');
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, headers: req.headers });
+
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) return send(401, { error: 'unauthorized' });
+
+    const fixture = recorded[`${req.method} ${url.pathname}${url.search}`] || recorded[`${req.method} ${url.pathname}`];
+    if (fixture) return send(fixture.status || 200, fixture.body);
+
+    for (const route of compiled) {
+      const match = route.method === req.method && route.regex.exec(url.pathname);
+      if (!match) continue;
+      try {
+        const result = await route.handler({ query: url.searchParams, body, params: match.slice(1).map(decodeURIComponent) });
+        if (result && result.status && 'body' in result) return send(result.status, result.body);
+        return send(200, result);
+      } catch (e) {
+        return send(500, { error: e.message });
+      }
+    }
+    send(404, { error: `No mock route for ${req.method} ${url.pathname}` });
+  });
+
+  let closing = null;
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        // Memoized: closing twice must not wait for a 'close' event that already fired
+        close: () => closing ||= new Promise(r => { server.closeAllConnections?.(); server.close(() => r()); })
+      });
+    });
+  });
+}
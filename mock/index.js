@@ -0,0 +1,50 @@
+/**
+ * kodiack-mock
+ * Offline stand-ins for the Kodiack services, for tests and local development
+ */
+
+import { startMockSusan } from './susan.js';
+import { startMockRyan } from './ryan.js';
+import { startMockChad } from './chad.js';
+import { startMockServerClaude } from './server-claude.js';
+
+export { startHttp, loadFixtures } from './http.js';
+export { startMockSusan, seedSusan } from './susan.js';
+export { startMockRyan, seedRyan } from './ryan.js';
+export { startMockChad } from './chad.js';
+export { startMockServerClaude } from './server-claude.js';
+export { startRecorder } from './record.js';
+
+/**
+ * Start all four services on free ports
+ *
+ * @param {object} [options]
+ * @param {string} [options.token] - Require this bearer token everywhere
+ * @param {object} [options.susan] - Extra options for startMockSusan
+ * @param {object} [options.ryan] - Extra options for startMockRyan
+ * @param {Array<object>} [options.script] - Server Claude reply rules
+ * @returns {Promise<{ susan, ryan, chad, claudeServer, env: object, close: () => Promise<void> }>}
+ *   `env` holds SUSAN_URL / RYAN_URL / CHAD_WS_URL / CLAUDE_SERVER_WS for the binaries
+ */
+export async function startMockStack({ token, susan: susanOptions = {}, ryan: ryanOptions = {}, script, frameMs } = {}) {
+  const susan = await startMockSusan({ token, ...susanOptions });
+  const ryan = await startMockRyan({ token, ...ryanOptions });
+  const chad = await startMockChad({ token });
+  const claudeServer = await startMockServerClaude({ token, script, frameMs });
+
+  return {
+    susan,
+    ryan,
+    chad,
+    claudeServer,
+    env: {
+      SUSAN_URL: susan.url,
+      RYAN_URL: ryan.url,
+      CHAD_WS_URL: chad.url,
+      CLAUDE_SERVER_WS: claudeServer.url
+    },
+    close: async () => {
+      await Promise.all([susan.close(), ryan.close(), chad.close(), claudeServer.close()]);
+    }
+  };
+}
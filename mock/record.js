@@ -0,0 +1,58 @@
+/**
+ * Fixture recorder
+ * Proxies HTTP traffic to a real Susan or Ryan and saves every response as a fixture
+ *
+ * Point SUSAN_URL (or RYAN_URL) at the recorder, run a session, and the resulting
+ * file can be replayed with startMockSusan({ fixtures }) or `kodiack-mock serve --susan-fixtures`.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import fetch from 'node-fetch';
+
+/**
+ * @param {object} options
+ * @param {string} options.target - Real service base URL, e.g. http://your-server:5403
+ * @param {string} options.out - Fixture file to write (rewritten after every response)
+ * @param {number} [options.port]
+ */
+export function startRecorder({ target, out, port = 0 }) {
+  const fixtures = fs.existsSync(out) ? JSON.parse(fs.readFileSync(out, 'utf8')) : {};
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const headers = { ...req.headers };
+    delete headers.host;
+    delete headers['content-length'];
+
+    try {
+      const response = await fetch(new URL(req.url, target).href, { method: req.method, headers, body: raw || undefined });
+      const text = await response.text();
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (e) {
+        body = text;
+      }
+      fixtures[`${req.method} ${req.url}`] = { status: response.status, body };
+      fs.writeFileSync(out, JSON.stringify(fixtures, null, 2) + '\n');
+      res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/json' });
+      res.end(text);
+    } catch (e) {
+      res.writeHead(502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Recorder could not reach ${target}: ${e.message}` }));
+    }
+  });
+
+  let closing = null;
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        fixtures,
+        close: () => closing ||= new Promise(r => server.close(() => r()))
+      });
+    });
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * Mock Ryan
+ * In-memory stand-in for Ryan's roadmap API (:5407)
+ */
+
+import { startHttp } from './http.js';
+
+export function seedRyan() {
+  return {
+    whatsNext: {
+      success: true,
+      action_message: 'Push NextBid Sources to Stage 3',
+      recommendation: { phase: 'Stage 3 - Integration', project: 'NextBid Sources', description: 'Wire the scrapers into the engine', reasons: ['Sources is the bottleneck.'] },
+      alternatives: [{ phase: 'Stage 5 - Polish', project: 'Dev Dashboard', reasons: ['Almost done.'] }],
+      warnings: [{ message: 'Portal is blocked on Sources' }],
+      summary: { total_phases: 12, actionable: 4 }
+    },
+    projects: [
+      {
+        id: 'nextbid-engine', name: 'NextBid Engine', stage: 3, stageName: 'Integration', note: 'Stable, park it', dependsOn: [],
+        phases: [{ id: 'engine-3a', name: 'Scoring pipeline', stage: 3, status: 'complete' }, { id: 'engine-3b', name: 'Bid API', stage: 3, status: 'in_progress' }]
+      },
+      {
+        id: 'nextbid-sources', name: 'NextBid Sources', stage: 2, stageName: 'Foundation', note: 'Needs attention', dependsOn: [],
+        phases: [{ id: 'sources-2a', name: 'Scraper framework', stage: 2, status: 'complete' }, { id: 'sources-2b', name: 'Source registry', stage: 2, status: 'pending' }]
+      },
+      {
+        id: 'nextbid-portal', name: 'NextBid Portal', stage: 1, stageName: 'Planning', dependsOn: [{ project: 'nextbid-engine', stage: 3 }, { project: 'nextbid-sources', stage: 3 }],
+        phases: [{ id: 'portal-1a', name: 'Wireframes', stage: 1, status: 'pending' }]
+      },
+      {
+        id: 'kodiack-studios', name: 'Kodiack Studios', path: '/srv/projects/demo', stage: 1, stageName: 'Planning', note: 'Just started', dependsOn: [],
+        phases: [{ id: 'studio-1a', name: 'MCP server', stage: 1, status: 'in_progress' }, { id: 'studio-1b', name: 'Chad watcher', stage: 1, status: 'pending' }]
+      }
+    ],
+    focus: { project: 'nextbid-sources', reason: 'Sources is the bottleneck', since: new Date().toISOString() }
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.port]
+ * @param {string} [options.token]
+ * @param {string|object} [options.fixtures]
+ * @param {object} [options.state]
+ */
+export async function startMockRyan({ port, token, fixtures, state = seedRyan() } = {}) {
+  const routes = {
+    'GET /health': () => ({ status: 'ok', service: 'ryan', version: state.version || '1.0.0' }),
+    'GET /api/whats-next': () => state.whatsNext,
+    'GET /api/projects': () => ({ projects: state.projects, focus: state.focus }),
+    // Completes the named phase, or the one in progress, or the next pending one; the last one moves the stage on
+    'POST /api/projects/:id/phases/complete': ({ params: [projectId], body }) => {
+      const project = state.projects.find(p => p.id === projectId);
+      if (!project) return { status: 404, body: { error: `No project ${projectId}` } };
+      const current = project.phases.filter(ph => ph.stage === project.stage && ph.status !== 'complete');
+      const phase = body?.phase
+        ? current.find(ph => ph.id === body.phase || ph.name.toLowerCase() === body.phase.toLowerCase())
+        : current.find(ph => ph.status === 'in_progress') || current[0];
+      if (!phase) return { status: 404, body: { error: `No open phase ${body?.phase || ''} in ${project.name} stage ${project.stage}` } };
+      Object.assign(phase, { status: 'complete', completedAt: new Date().toISOString(), note: body?.note, sessionId: body?.sessionId });
+      const advanced = current.length === 1 && project.stage < 5;
+      if (advanced) project.stage++;
+      return { success: true, project, phase, advanced };
+    },
+    'POST /api/focus': ({ body }) => {
+      if (body?.project && !state.projects.some(p => p.id === body.project)) return { status: 404, body: { error: `No project ${body.project}` } };
+      state.focus = body?.project ? { project: body.project, reason: body.reason, since: new Date().toISOString() } : null;
+      return { success: true, focus: state.focus };
+    }
+  };
+  const http = await startHttp({ routes, port, token, fixtures });
+  return { ...http, state };
+}
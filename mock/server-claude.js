@@ -0,0 +1,117 @@
+/**
+ * Mock Server Claude
+ * Scriptable stand-in for the server Claude PTY WebSocket (:5400)
+ *
+ * Speaks the same protocol as the real terminal ({ type: 'input' | 'output', data })
+ * and paints ANSI output the way Claude Code's TUI does: echoed input, a spinner
+ * with "esc to interrupt" while busy, then the reply and an idle input box.
+ *
+ * A script is a list of rules matched against each submitted line:
+ *   { match: 'deploy' | /regex/, reply: 'text', busyMs: 300,
+ *     prompt: { question: 'Do you want to proceed?', options: ['Yes', 'No'] },
+ *     answers: { '1': 'Deployed', '2': 'Cancelled' } }
+ */
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+const ESC = '\x1b';
+const IDLE_BOX = `\r\n${ESC}[2m╭──────────────────────────────╮${ESC}[0m\r\n${ESC}[2m│${ESC}[0m > ${ESC}[2m│${ESC}[0m\r\n${ESC}[2m╰──────────────────────────────╯${ESC}[0m\r\n  ${ESC}[2m? for shortcuts${ESC}[0m`;
+const SPINNER = ['✻', '✽', '✶', '✢'];
+
+function matches(rule, line) {
+  if (!rule.match) return true;
+  return rule.match instanceof RegExp ? rule.match.test(line) : line.includes(rule.match);
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.port]
+ * @param {string} [options.token] - Reject handshakes without this bearer token
+ * @param {Array<object>} [options.script] - Reply rules, first match wins
+ * @param {number} [options.frameMs] - Spinner frame interval
+ */
+export function startMockServerClaude({ port = 0, token, script = [], frameMs = 100 } = {}) {
+  const inputs = [];
+  const connections = [];
+  const server = http.createServer((req, res) => { res.writeHead(426); res.end(); });
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const url = new URL(req.url, 'http://mock');
+      connections.push({ query: Object.fromEntries(url.searchParams), headers: req.headers });
+      const out = (data) => ws.readyState === ws.OPEN && ws.send(JSON.stringify({ type: 'output', data }));
+      let line = '';
+      let pending = null; // rule waiting on a menu answer
+
+      const work = (reply, busyMs) => {
+        let frame = 0;
+        const started = Date.now();
+        const timer = setInterval(() => {
+          const secs = Math.floor((Date.now() - started) / 1000);
+          out(`${ESC}[2K\r${ESC}[33m${SPINNER[frame++ % SPINNER.length]}${ESC}[0m Working… (${secs}s · ${ESC}[1mesc${ESC}[0m to interrupt)`);
+          if (Date.now() - started >= busyMs) {
+            clearInterval(timer);
+            out(`${ESC}[2K\r\r\n${ESC}[1m●${ESC}[0m ${reply}\r\n${IDLE_BOX}`);
+          }
+        }, frameMs);
+      };
+
+      out(`${ESC}[?25l${ESC}]0;claude${'\x07'}Welcome to Claude Code (mock)${IDLE_BOX}`);
+
+      ws.on('message', (raw) => {
+        let msg;
+        try {
+          msg = JSON.parse(raw.toString());
+        } catch (e) {
+          return;
+        }
+        if (msg.type !== 'input') return;
+        inputs.push(msg.data);
+
+        if (pending) {
+          const rule = pending;
+          pending = null;
+          work(rule.answers?.[msg.data] ?? `Answered ${msg.data}`, rule.busyMs ?? 200);
+          return;
+        }
+        if (msg.data !== '\r') {
+          line += msg.data;
+          out(msg.data);
+          return;
+        }
+
+        const submitted = line;
+        line = '';
+        const rule = script.find(r => matches(r, submitted)) || {};
+        if (rule.prompt) {
+          pending = rule;
+          const options = rule.prompt.options.map((o, i) => `${i === 0 ? '❯ ' : '  '}${i + 1}. ${o}`).join('\r\n');
+          out(`\r\n${ESC}[1m${rule.prompt.question}${ESC}[0m\r\n${options}\r\n`);
+          return;
+        }
+        work(rule.reply ?? `Done: ${submitted}`, rule.busyMs ?? 300);
+      });
+    });
+  });
+
+  let closing = null;
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `ws://127.0.0.1:${server.address().port}`,
+        inputs,
+        connections,
+        close: () => closing ||= new Promise(r => {
+          for (const client of wss.clients) client.terminate();
+          server.close(() => r());
+        })
+      });
+    });
+  });
+}
@@ -0,0 +1,126 @@
+/**
+ * Mock Susan
+ * In-memory stand-in for Susan's HTTP API (:5403)
+ */
+
+import { startHttp } from './http.js';
+
+export function seedSusan() {
+  const now = Date.now();
+  return {
+    todos: [
+      { id: 'todo-1', project: null, title: 'Fix login redirect', description: 'Loop after OAuth callback', priority: 'high', status: 'pending', created_at: new Date(now - 3600e3).toISOString() },
+      { id: 'todo-2', project: null, title: 'Write API docs', description: '', priority: 'low', status: 'in_progress', created_at: new Date(now - 7200e3).toISOString() }
+    ],
+    knowledge: [
+      { id: 'k-1', title: 'Auth flow', category: 'architecture', summary: 'JWT in httpOnly cookies, refreshed by the auth service on :7000', projectPath: null, importance: 8, tags: ['auth'], created_at: new Date(now - 86400e3).toISOString() }
+    ],
+    sessions: [
+      { id: 'sess-1', project: null, started_at: new Date(now - 3 * 3600e3).toISOString(), summary: 'Implemented user authentication', messages: [{ role: 'user', content: 'Add login' }, { role: 'assistant', content: 'Done' }] }
+    ],
+    messages: [],
+    ports: [
+      { port: 5400, service: 'Claude Terminal', description: 'Server-side Claude Code execution' },
+      { port: 5401, service: 'Chad', description: 'Transcript relay and monitoring' },
+      { port: 5403, service: 'Susan', description: 'Knowledge base and deep memory' }
+    ]
+  };
+}
+
+const forProject = (project) => (item) => !project || !item.project || item.project === project || item.projectPath === project;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.port]
+ * @param {string} [options.token] - Require this bearer token
+ * @param {string|object} [options.fixtures] - Recorded responses to replay
+ * @param {object} [options.state] - Starting data (defaults to seedSusan())
+ */
+export async function startMockSusan({ port, token, fixtures, state = seedSusan() } = {}) {
+  let nextId = 100;
+  const id = (prefix) => `${prefix}-${nextId++}`;
+
+  const routes = {
+    'GET /health': () => ({ status: 'ok', service: 'susan', version: state.version || '1.0.0' }),
+    'GET /api/context': ({ query }) => {
+      const project = query.get('project');
+      const last = state.sessions[state.sessions.length - 1];
+      return {
+        greeting: 'Welcome back! (mock Susan)',
+        lastSession: last ? { startedAt: last.started_at, endedAt: last.ended_at || last.started_at, summary: last.summary } : null,
+        todos: state.todos.filter(forProject(project)).filter(t => t.status === 'pending'),
+        knowledge: state.knowledge.filter(forProject(project)),
+        ports: state.ports
+      };
+    },
+    'GET /api/sessions': ({ query }) => ({ sessions: state.sessions.slice(-Number(query.get('limit') || 5)).reverse() }),
+    'POST /api/sessions': ({ body }) => {
+      const session = { id: id('sess'), project: body.project, started_at: new Date().toISOString(), summary: body.summary, messages: body.messages || [] };
+      state.sessions.push(session);
+      return { success: true, id: session.id };
+    },
+    'GET /api/todos': ({ query }) => {
+      const status = query.get('status') || 'pending';
+      return { todos: state.todos.filter(forProject(query.get('project'))).filter(t => status === 'all' || t.status === status) };
+    },
+    'POST /api/todos': ({ body }) => {
+      if (!body?.title) return { status: 400, body: { error: 'title required' } };
+      const todo = { id: id('todo'), status: 'pending', priority: 'medium', description: '', created_at: new Date().toISOString(), ...body };
+      state.todos.push(todo);
+      return { success: true, todo };
+    },
+    'PATCH /api/todos/:id': ({ params: [todoId], body }) => {
+      const todo = state.todos.find(t => t.id === todoId);
+      if (!todo) return { status: 404, body: { error: `No todo ${todoId}` } };
+      Object.assign(todo, body, { updated_at: new Date().toISOString() });
+      return { success: true, todo };
+    },
+    'GET /api/query': ({ query }) => {
+      const q = (query.get('q') || '').toLowerCase();
+      const category = query.get('category');
+      const project = query.get('project');
+      const tags = query.get('tags')?.split(',') || [];
+      const since = Date.parse(query.get('since') || '');
+      const minImportance = Number(query.get('minImportance') || 0);
+      return {
+        results: state.knowledge.filter(k => (!category || k.category === category)
+          && (!project || !k.projectPath || k.projectPath === project)
+          && tags.every(t => (k.tags || []).includes(t))
+          && (Number.isNaN(since) || Date.parse(k.created_at) >= since)
+          && (k.importance ?? 5) >= minImportance
+          && (query.get('includeArchived') === 'true' || !k.status || k.status === 'active')
+          && `${k.title} ${k.summary}`.toLowerCase().includes(q))
+      };
+    },
+    'GET /api/knowledge/:id': ({ params: [entryId] }) => {
+      const entry = state.knowledge.find(k => k.id === entryId);
+      return entry ? { entry } : { status: 404, body: { error: `No knowledge entry ${entryId}` } };
+    },
+    'PATCH /api/knowledge/:id': ({ params: [entryId], body }) => {
+      const entry = state.knowledge.find(k => k.id === entryId);
+      if (!entry) return { status: 404, body: { error: `No knowledge entry ${entryId}` } };
+      Object.assign(entry, body, { updated_at: new Date().toISOString() });
+      return { success: true, entry };
+    },
+    'DELETE /api/knowledge/:id': ({ params: [entryId] }) => {
+      const index = state.knowledge.findIndex(k => k.id === entryId);
+      if (index < 0) return { status: 404, body: { error: `No knowledge entry ${entryId}` } };
+      state.knowledge.splice(index, 1);
+      return { success: true };
+    },
+    'POST /api/remember': ({ body }) => {
+      const entry = { id: id('k'), created_at: new Date().toISOString(), ...body };
+      state.knowledge.push(entry);
+      return { success: true, id: entry.id };
+    },
+    'POST /api/message': ({ body }) => {
+      if (body.messageId && state.messages.some(m => m.messageId === body.messageId)) return { success: true, duplicate: true };
+      state.messages.push(body);
+      return { success: true };
+    },
+    'GET /api/ports': () => state.ports
+  };
+
+  const http = await startHttp({ routes, port, token, fixtures });
+  return { ...http, state };
+}
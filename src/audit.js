@@ -0,0 +1,107 @@
+/**
+ * Audit Log
+ * Append-only record of every command offered to server Claude and what came of it
+ *
+ * Records (one JSON object per line):
+ *   { op: 'command', id, at, session, project, command, decision, rule?, confirmed? }
+ *   { op: 'outcome', id, at, reason?, elapsedMs?, timedOut?, blockedOn?, outputChars?, error? }
+ *
+ * A command is written before it is sent, so a crash while server Claude is busy
+ * still leaves a trace. Refused commands get no outcome. The file is never rewritten.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+export const DECISIONS = ['allow', 'deny', 'confirm', 'rate-limited'];
+
+export function defaultAuditFile() {
+  return path.join(process.env.HOME || process.env.USERPROFILE || os.homedir(), '.kodiack', 'audit', 'server-claude.jsonl');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.file - Journal path
+ * @param {(text: string) => string} [options.redact] - Applied to commands before they are written
+ */
+export function createAuditLog({ file, redact = (text) => text }) {
+  function append(record) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ ...record, at: new Date().toISOString() }) + '\n');
+  }
+
+  /**
+   * @returns {string} id to pass to outcome()
+   */
+  function command({ command: text, ...fields }) {
+    const id = crypto.randomUUID();
+    append({ op: 'command', id, ...fields, command: redact(text) });
+    return id;
+  }
+
+  function outcome(id, fields) {
+    append({ op: 'outcome', id, ...fields });
+  }
+
+  /**
+   * Commands joined with their outcomes, newest first
+   *
+   * @param {object} [filters]
+   * @param {string} [filters.session]
+   * @param {string} [filters.project]
+   * @param {string} [filters.decision]
+   * @param {string} [filters.search] - Case-insensitive text in the command
+   * @param {string} [filters.since] - Date or ISO time
+   * @param {number} [filters.limit]
+   */
+  function query({ session, project, decision, search, since, limit = 20 } = {}) {
+    if (since !== undefined && Number.isNaN(Date.parse(since))) throw new Error('since must be a date, e.g. 2026-01-31');
+    if (!fs.existsSync(file)) return [];
+    const commands = new Map();
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        continue; // a torn last line from a crash
+      }
+      if (record.op === 'command') commands.set(record.id, record);
+      else if (record.op === 'outcome' && commands.has(record.id)) {
+        const { op, id, at, ...rest } = record;
+        commands.get(id).outcome = { ...rest, at };
+      }
+    }
+    const needle = search?.toLowerCase();
+    return [...commands.values()]
+      .filter(c => (!session || c.session === session)
+        && (!project || c.project === project)
+        && (!decision || c.decision === decision)
+        && (!needle || c.command.toLowerCase().includes(needle))
+        && (!since || Date.parse(c.at) >= Date.parse(since)))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { file, command, outcome, query };
+}
+
+function auditLine(c) {
+  const o = c.outcome;
+  const result = c.decision !== 'allow'
+    ? `**${c.decision}**${c.rule ? ` by \`${c.rule}\`` : ''}`
+    : !o ? 'no outcome recorded'
+      : o.error ? `failed: ${o.error}`
+        : [o.reason, o.elapsedMs !== undefined && `${(o.elapsedMs / 1000).toFixed(1)}s`, o.blockedOn && `waiting on "${o.blockedOn}"`].filter(Boolean).join(', ');
+  return `- ${c.at.replace('T', ' ').slice(0, 19)} [${c.session}] \`${c.command.replace(/\s+/g, ' ').slice(0, 200)}\` - ${result}${c.confirmed ? ' (confirmed)' : ''}`;
+}
+
+/**
+ * Audit entries as a markdown list
+ */
+export function renderAudit(entries) {
+  const heading = `# Server Claude audit (${entries.length} command${entries.length === 1 ? '' : 's'}, newest first)`;
+  return entries.length ? `${heading}\n\n${entries.map(auditLine).join('\n')}` : `${heading}\n\n*No commands recorded.*`;
+}
@@ -0,0 +1,139 @@
+/**
+ * Briefing Composer
+ * Builds the susan_get_briefing markdown from named sections within a token budget
+ *
+ * Sections come from worker plugins (plus the core identity section). They
+ * render by their `order` but are trimmed by priority: when the
+ * briefing is over budget, items are dropped from the least important section
+ * first (oldest logs, extra ports...) until it fits. Static identity/team/stack
+ * text lives in a per-project template file rather than in code.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_TEMPLATE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'briefing.md');
+export const TEMPLATE_FILE = 'kodiack.briefing.md';
+export const DEFAULT_MAX_TOKENS = 8000;
+
+// The identity template is the only core section; workers add theirs through plugins
+export const CORE_SECTIONS = {
+  identity: { priority: 1, order: 0 }
+};
+
+/**
+ * Rough token count - close enough for budgeting markdown
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Find the identity template: explicit path, then kodiack.briefing.md from the
+ * project directory upwards, then the bundled default
+ */
+export function resolveTemplatePath({ template, projectDir }) {
+  if (template) return path.resolve(template);
+  let dir = path.resolve(projectDir || process.cwd());
+  while (true) {
+    const candidate = path.join(dir, TEMPLATE_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return DEFAULT_TEMPLATE;
+    dir = parent;
+  }
+}
+
+export function loadTemplate(file, vars = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new Error(`Briefing template ${file} could not be read: ${e.message}`);
+  }
+  return text.replace(/\{\{(\w+)\}\}/g, (m, key) => vars[key] ?? m).trim();
+}
+
+/**
+ * The identity section: the rendered template, set apart from the live sections
+ */
+export function identitySection(template) {
+  return template ? { title: null, items: [template], separator: true } : null;
+}
+
+function renderSection(s) {
+  let b = s.title ? `## ${s.title}\n\n` : '';
+  b += s.items.join('\n') + '\n';
+  if (s.omitted) b += `*…${s.omitted} more omitted to fit the token budget*\n`;
+  if (s.footer) b += `\n${s.footer}\n`;
+  b += '\n';
+  if (s.separator) b += '---\n\n';
+  return b;
+}
+
+/**
+ * Fail early on section names nobody provides
+ */
+export function checkSections(names, available) {
+  const unknown = names.filter(name => !available.includes(name));
+  if (unknown.length) throw new Error(`Unknown briefing section(s): ${unknown.join(', ')} (available: ${available.join(', ')})`);
+}
+
+/**
+ * Compose the briefing
+ *
+ * @param {object} options
+ * @param {Object<string, { priority: number, order: number, build: () => object|null }>} options.available
+ *   Every known section: the core identity section plus those contributed by plugins.
+ *   build() returns { title, items, footer? } or null when there is nothing to say.
+ * @param {string[]} [options.sections] - Section names to include (default all)
+ * @param {number} [options.maxTokens] - Token budget
+ * @returns {{ text: string, tokens: number, trimmed: string[], dropped: string[] }}
+ */
+export function composeBriefing({ available, sections = Object.keys(available), maxTokens = DEFAULT_MAX_TOKENS }) {
+  checkSections(sections, Object.keys(available));
+
+  const built = Object.entries(available)
+    .filter(([name]) => sections.includes(name))
+    .sort(([, a], [, b]) => a.order - b.order)
+    .map(([name, def]) => {
+      const section = def.build();
+      return section && { name, priority: def.priority, omitted: 0, ...section };
+    })
+    .filter(Boolean);
+
+  const render = () => built.filter(s => s.items.length).map(renderSection).join('');
+  let text = render();
+
+  // Least important first: drop items from the end of a section, then the next section.
+  // The most important section keeps its first item, which is truncated below if need be.
+  const trimmed = new Set();
+  const dropped = [];
+  const byPriority = [...built].sort((a, b) => b.priority - a.priority);
+  for (const section of byPriority) {
+    const keep = section === byPriority.at(-1) ? 1 : 0;
+    while (estimateTokens(text) > maxTokens && section.items.length > keep) {
+      section.items.pop();
+      section.omitted++;
+      trimmed.add(section.name);
+      text = render();
+    }
+    if (!section.items.length && section.omitted) {
+      trimmed.delete(section.name);
+      dropped.push(section.name);
+    }
+    if (estimateTokens(text) <= maxTokens) break;
+  }
+
+  // A single oversized item (usually the template) can still blow the budget
+  if (estimateTokens(text) > maxTokens) text = text.slice(0, maxTokens * 4) + '\n...(truncated to fit the token budget)\n';
+
+  const tokens = estimateTokens(text);
+  let footer = `*Briefing: ~${tokens} tokens of ${maxTokens} budget`;
+  if (trimmed.size) footer += `; trimmed: ${[...trimmed].join(', ')}`;
+  if (dropped.length) footer += `; dropped: ${dropped.join(', ')}`;
+  text += footer + '*\n';
+
+  return { text, tokens, trimmed: [...trimmed], dropped };
+}
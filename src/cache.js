@@ -0,0 +1,142 @@
+/**
+ * Read-through Cache
+ * Last good Susan/Ryan responses on disk, so a droplet outage doesn't wipe the team's memory
+ *
+ * Each key has a TTL by kind. Within the TTL the cached value is served as is;
+ * for `staleSeconds` after that it is still served while a refresh runs in the
+ * background (stale-while-revalidate); beyond that the fetch is awaited. When a
+ * fetch fails because the service is unreachable, the last good value is
+ * returned however old it is, marked offline.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+export const DEFAULT_TTL_SECONDS = {
+  context: 60,
+  sessions: 60,
+  todos: 30,
+  ports: 3600,
+  ryan: 300,
+  knowledge: 3600
+};
+
+export function defaultCacheDir() {
+  return path.join(process.env.HOME || process.env.USERPROFILE || os.homedir(), '.kodiack', 'cache');
+}
+
+/**
+ * "45s", "12m", "3h 5m", "2d 4h"
+ */
+export function formatAge(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return m % 60 ? `${h}h ${m % 60}m` : `${h}h`;
+  const d = Math.floor(h / 24);
+  return h % 24 ? `${d}d ${h % 24}h` : `${d}d`;
+}
+
+/**
+ * One-line marker for responses that did not come straight from the service
+ *
+ * @param {Array<{ label: string, result: { source: string, ageMs: number } }>} parts
+ * @returns {string} empty when everything is live
+ */
+export function cacheNote(parts) {
+  const cached = parts.filter(p => p.result && p.result.source !== 'live');
+  if (!cached.length) return '';
+  const ages = cached.map(p => `${p.label} from ${formatAge(p.result.ageMs)} ago`).join(', ');
+  return cached.some(p => p.result.source === 'offline')
+    ? `> ⚠️ **Offline** - service unreachable, showing cached data: ${ages}`
+    : `*Cached: ${ages}*`;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - Directory for cache.json
+ * @param {object} [options.ttlSeconds] - Per-kind TTLs, merged over DEFAULT_TTL_SECONDS
+ * @param {number} [options.staleSeconds] - How long past the TTL a stale value may be served while refreshing
+ * @param {boolean} [options.enabled] - false: always fetch, never store
+ * @param {(message: string) => void} [options.log]
+ */
+export function createCache({ dir, ttlSeconds = {}, staleSeconds = 300, enabled = true, log = () => {} }) {
+  const file = path.join(dir, 'cache.json');
+  const ttls = { ...DEFAULT_TTL_SECONDS, ...ttlSeconds };
+  const refreshing = new Map(); // key -> promise
+  let entries = {};
+
+  if (enabled) {
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+      entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') log(`Cache ${file} unreadable, starting empty: ${e.message}`);
+    }
+  }
+
+  function save() {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries));
+    fs.renameSync(tmp, file);
+  }
+
+  function set(key, value) {
+    if (!enabled) return;
+    entries[key] = { storedAt: Date.now(), value };
+    save();
+  }
+
+  function refresh(key, fetcher) {
+    if (refreshing.has(key)) return refreshing.get(key);
+    const promise = (async () => {
+      const value = await fetcher();
+      set(key, value);
+      return value;
+    })().finally(() => refreshing.delete(key));
+    refreshing.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * @param {string} key - e.g. "context:/srv/app"
+   * @param {string} kind - TTL bucket (context, sessions, todos, ports, ryan, knowledge)
+   * @param {() => Promise<any>} fetcher
+   * @param {object} [options]
+   * @param {(error: Error) => boolean} [options.isOffline] - Errors that may fall back to the cache
+   * @returns {Promise<{ value: any, source: 'live'|'cache'|'stale'|'offline', ageMs: number }>}
+   */
+  async function read(key, kind, fetcher, { isOffline = () => true } = {}) {
+    const entry = enabled ? entries[key] : null;
+    const ageMs = entry ? Date.now() - entry.storedAt : Infinity;
+    const ttlMs = (ttls[kind] ?? 60) * 1000;
+
+    if (entry && ageMs < ttlMs) return { value: entry.value, source: 'cache', ageMs };
+    if (entry && ageMs < ttlMs + staleSeconds * 1000) {
+      refresh(key, fetcher).catch(e => log(`Background refresh of ${key} failed: ${e.message}`));
+      return { value: entry.value, source: 'stale', ageMs };
+    }
+
+    try {
+      return { value: await refresh(key, fetcher), source: 'live', ageMs: 0 };
+    } catch (e) {
+      if (!entry || !isOffline(e)) throw e;
+      log(`${key} unavailable (${e.message}) - serving cache from ${formatAge(ageMs)} ago`);
+      return { value: entry.value, source: 'offline', ageMs };
+    }
+  }
+
+  /**
+   * Drop keys starting with any of the prefixes, so the next read goes to the service
+   */
+  function invalidate(...prefixes) {
+    const before = Object.keys(entries).length;
+    entries = Object.fromEntries(Object.entries(entries).filter(([key]) => !prefixes.some(p => key.startsWith(p))));
+    if (enabled && Object.keys(entries).length !== before) save();
+  }
+
+  return { file, read, set, invalidate, get: (key) => entries[key] || null, enabled };
+}
@@ -11,12 +11,33 @@
 import fs from 'fs';
 import path from 'path';
 import { spawn } from 'child_process';
+import { createOutbox, outboxId, inspectOutbox, lockOutbox } from './outbox.js';
+import { watchTranscripts, defaultTranscriptRoot } from './transcript.js';
+import { createRedactor, loadRedactionConfig } from './redact.js';
+import { loadConfig, watcherLogDir } from './config.js';
+import { createPathMapper } from './paths.js';
+import { createTransport } from './transport.js';
+import { summarizeCheckpoint, candidateTodos, loadHistory, saveHistory } from './checkpoint.js';
+
+// Configuration - kodiack.config.json / --profile, with env var overrides
+let config, transport;
+try {
+  config = loadConfig();
+  transport = createTransport(config, { warn: (m) => console.error(`[Chad] ${m}`) });
+} catch (error) {
+  console.error(`[Chad] Configuration error: ${error.message}`);
+  process.exit(1);
+}
 
-// Configuration
-const SUSAN_URL = process.env.SUSAN_URL || 'http://161.35.229.220:5403';
-const CHECKPOINT_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
-const PROJECT_PATH = process.env.KODIACK_PROJECT || '/var/www/NextBid_Dev/dev-studio-5000';
-const LOG_DIR = process.env.CHAD_LOG_DIR || path.join(process.env.HOME || process.env.USERPROFILE, '.claude', 'chad-logs');
+const SUSAN_URL = config.services.susan;
+const CHECKPOINT_INTERVAL_MS = config.watcher.checkpointMinutes * 60 * 1000;
+// A watcher runs in one place, so it may pin a project without pinning every MCP session
+const PROJECT_PATH = config.watcher.projectPath || config.projectPath || process.cwd();
+const LOG_DIR = watcherLogDir(config);
+const paths = createPathMapper(config.pathMappings);
+const RETRY_INTERVAL_MS = 30 * 1000; // how often failed sends are retried
+const TRANSCRIPT_ROOT = process.env.CLAUDE_TRANSCRIPT_DIR || defaultTranscriptRoot();
+const HISTORY_FILE = path.join(LOG_DIR, 'checkpoint-history.json');
 
 // State
 let conversationBuffer = [];
@@ -40,64 +61,112 @@ function log(message, data = {}) {
   fs.appendFileSync(logFile, logLine + '\n');
 }
 
+const redactor = createRedactor({ ...(config.redaction || loadRedactionConfig()), enabled: config.features.redaction });
+
 /**
- * Send transcript to Susan using /api/message endpoint
+ * Deliver one outbox entry to Susan - throws so the outbox can retry
+ * The journal keeps raw text locally; redaction happens on the way out.
  */
-async function sendToSusan(messages, summary = '') {
-  let successCount = 0;
+async function postToSusan(entry) {
+  const { value: body, findings } = redactor.redactValue(entry.body);
+  if (findings.length) {
+    log(redactor.dryRun ? 'Redaction dry run - would mask' : 'Redacted outbound payload', { id: entry.id, findings });
+  }
+  const response = await transport.request('susan', `${SUSAN_URL}${entry.endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) throw new Error(`Susan ${response.status}`);
+}
 
-  // Send each message individually to Susan's /api/message endpoint
-  for (const msg of messages) {
-    try {
-      const response = await fetch(`${SUSAN_URL}/api/message`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId,
-          projectPath: PROJECT_PATH,
-          message: {
-            role: msg.role,
-            content: msg.content,
-            timestamp: msg.timestamp
-          }
-        })
-      });
+const outbox = createOutbox({ dir: LOG_DIR, send: postToSusan, log });
 
-      if (response.ok) {
-        successCount++;
-      }
-    } catch (error) {
-      log('Failed to send message to Susan', { error: error.message });
+/**
+ * Buffer a captured message and journal it before anything is sent
+ *
+ * Transcript messages carry their own session ID, kind and tool name;
+ * heuristic (stdin/history) messages fall back to the watcher's session.
+ */
+function capture(type, content, extra = {}) {
+  const at = Date.parse(extra.timestamp);
+  const message = { content, type, ...extra, timestamp: Number.isNaN(at) ? Date.now() : at };
+  conversationBuffer.push(message);
+
+  const timestamp = new Date(message.timestamp).toISOString();
+  const messageSession = extra.sessionId || sessionId;
+  const messageId = extra.uuid
+    ? outboxId(messageSession, extra.uuid, extra.kind || type, extra.toolUseId || '', content)
+    : outboxId(messageSession, type, timestamp, content);
+  outbox.enqueue(messageId, '/api/message', {
+    sessionId: messageSession,
+    projectPath: paths.resolve(extra.cwd || PROJECT_PATH).projectId,
+    messageId,
+    message: {
+      role: type,
+      content,
+      timestamp,
+      ...(extra.kind && { kind: extra.kind }),
+      ...(extra.toolName && { toolName: extra.toolName }),
+      ...(extra.isError && { isError: true })
     }
-  }
+  });
+}
 
-  // Also send a summary/note to remember
+/**
+ * Send transcript to Susan - journals the checkpoint note and flushes the outbox
+ *
+ * The note carries a local summary of the checkpoint (files, commands, errors,
+ * decisions, TODOs) as text for search and as structured `artifacts`.
+ */
+async function sendToSusan(messages, summary = '') {
   if (summary || messages.length > 0) {
-    try {
-      await fetch(`${SUSAN_URL}/api/remember`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          category: 'session-checkpoint',
-          title: `Local session checkpoint - ${new Date().toLocaleString()}`,
-          summary: summary || `${messages.length} messages from local Claude Code session`,
-          projectPath: PROJECT_PATH,
-          tags: ['local-session', 'chad-watcher', sessionId],
-          importance: 3
-        })
-      });
-    } catch (error) {
-      log('Failed to save checkpoint note', { error: error.message });
-    }
+    const digest = summarizeCheckpoint(messages);
+    const projectPath = paths.resolve(PROJECT_PATH).projectId;
+    const title = `Local session checkpoint - ${new Date().toLocaleString()}`;
+    outbox.enqueue(outboxId(sessionId, 'checkpoint', messages.map(m => m.timestamp)), '/api/remember', {
+      category: 'session-checkpoint',
+      title,
+      summary: summary || digest.summary,
+      projectPath,
+      tags: ['local-session', 'chad-watcher', sessionId, ...new Set(messages.map(m => m.sessionId).filter(Boolean)), ...digest.tags],
+      importance: digest.importance,
+      artifacts: digest.artifacts
+    });
+    if (config.watcher.candidateTodos) proposeTodos(digest.artifacts, projectPath);
   }
 
+  const result = await outbox.flush();
+
   log('Checkpoint sent to Susan', {
     messageCount: messages.length,
-    successCount,
+    ...result,
     sessionId
   });
 
-  return successCount > 0;
+  return result.pending === 0;
+}
+
+/**
+ * Recurring errors and new TODOs become pending todos in Susan, once each
+ */
+function proposeTodos(artifacts, projectPath) {
+  const history = loadHistory(HISTORY_FILE);
+  const candidates = candidateTodos(artifacts, history);
+  saveHistory(HISTORY_FILE, history);
+  for (const todo of candidates) {
+    outbox.enqueue(outboxId('candidate-todo', projectPath, todo.key), '/api/todos', {
+      project: projectPath,
+      title: todo.title,
+      description: todo.description,
+      priority: todo.priority,
+      status: 'pending',
+      sessionId,
+      source: 'chad-watcher',
+      candidate: true
+    });
+  }
+  if (candidates.length) log('Proposed todos from checkpoint', { count: candidates.length, titles: candidates.map(t => t.title) });
 }
 
 /**
@@ -125,19 +194,16 @@ function processLine(line) {
                            trimmed.includes('Let me');
 
   if (isUserInput || isClaudeResponse || trimmed.length > 50) {
-    conversationBuffer.push({
-      timestamp: Date.now(),
-      content: trimmed,
-      type: isUserInput ? 'user' : 'assistant'
-    });
+    capture(isUserInput ? 'user' : 'assistant', trimmed);
   }
 }
 
 /**
  * Checkpoint - send buffered conversation to Susan
+ * Messages are already journaled, so the buffer is cleared whether or not Susan answers
  */
 async function checkpoint() {
-  if (conversationBuffer.length === 0) {
+  if (conversationBuffer.length === 0 && outbox.size === 0) {
     log('Checkpoint skipped - no new messages');
     return;
   }
@@ -145,20 +211,21 @@ async function checkpoint() {
   const messages = conversationBuffer.map(m => ({
     role: m.type,
     content: m.content,
-    timestamp: new Date(m.timestamp).toISOString()
+    timestamp: new Date(m.timestamp).toISOString(),
+    ...(m.kind && { kind: m.kind }),
+    ...(m.toolName && { toolName: m.toolName }),
+    ...(m.sessionId && { sessionId: m.sessionId })
   }));
 
-  const success = await sendToSusan(messages);
-
-  if (success) {
+  if (messages.length > 0) {
     // Save local backup
     const backupFile = path.join(LOG_DIR, `checkpoint-${Date.now()}.json`);
     fs.writeFileSync(backupFile, JSON.stringify({ sessionId, messages }, null, 2));
-
-    // Clear buffer after successful send
     conversationBuffer = [];
-    lastCheckpoint = Date.now();
   }
+
+  await sendToSusan(messages);
+  lastCheckpoint = Date.now();
 }
 
 /**
@@ -197,11 +264,7 @@ function watchHistoryFile() {
               processLine(entry.message);
             }
             if (entry.role && entry.content) {
-              conversationBuffer.push({
-                timestamp: Date.now(),
-                content: entry.content.slice(0, 2000), // Truncate long messages
-                type: entry.role
-              });
+              capture(entry.role, entry.content.slice(0, 2000)); // Truncate long messages
             }
           } catch (e) {
             // Not JSON, process as plain text
@@ -219,15 +282,30 @@ function watchHistoryFile() {
 }
 
 /**
- * Alternative: Watch stdin if piped
+ * Tail Claude Code's per-project session transcripts - real roles, tools and session IDs
  */
-function watchStdin() {
-  if (process.stdin.isTTY) {
-    log('No stdin pipe detected, using history file watcher');
-    watchHistoryFile();
-    return;
-  }
+function watchSessionTranscripts() {
+  log('Watching Claude session transcripts', { root: TRANSCRIPT_ROOT });
+  watchTranscripts({
+    root: TRANSCRIPT_ROOT,
+    log,
+    onMessage: (m) => capture(m.role, m.content, {
+      kind: m.kind,
+      toolName: m.toolName,
+      toolUseId: m.toolUseId,
+      isError: m.isError,
+      sessionId: m.sessionId,
+      uuid: m.uuid,
+      timestamp: m.timestamp,
+      cwd: m.cwd
+    })
+  });
+}
 
+/**
+ * Alternative: Watch stdin if piped - heuristic line scraping
+ */
+function watchStdin() {
   log('Watching stdin for terminal output');
 
   process.stdin.setEncoding('utf8');
@@ -239,37 +317,121 @@ function watchStdin() {
   });
 }
 
+/**
+ * Pick a capture source: --mode=transcripts|history|stdin, or auto-detect
+ */
+function startWatching(mode) {
+  if (!mode) {
+    if (fs.fstatSync(0).isFIFO()) mode = 'stdin';
+    else if (fs.existsSync(TRANSCRIPT_ROOT)) mode = 'transcripts';
+    else mode = 'history';
+  }
+
+  switch (mode) {
+    case 'stdin': return watchStdin();
+    case 'transcripts': return watchSessionTranscripts();
+    case 'history': return watchHistoryFile();
+    default: throw new Error(`Unknown watch mode: ${mode} (expected transcripts, history or stdin)`);
+  }
+}
+
+/**
+ * Print what is still waiting in the outbox
+ */
+function printStatus(status) {
+  console.log(`Outbox: ${status.file}`);
+  console.log(`Pending: ${status.pending}  Dead: ${status.dead}`);
+  if (status.oldest) console.log(`Oldest pending: ${status.oldest}`);
+  if (status.nextAttemptAt) console.log(`Next retry: ${new Date(status.nextAttemptAt).toISOString()}`);
+  for (const e of status.entries) {
+    console.log(`  ${e.id.slice(0, 12)} ${e.endpoint} queued ${e.ts}${e.attempts ? ` attempts=${e.attempts} error="${e.error}"` : ''}`);
+  }
+  for (const e of status.deadEntries) {
+    console.log(`  DEAD ${e.id.slice(0, 12)} ${e.endpoint} queued ${e.ts} error="${e.error}"`);
+  }
+}
+
 /**
  * Main entry point
  */
 async function main() {
+  const args = process.argv.slice(2);
+
+  // One-shot commands: inspect or drain the outbox, then exit.
+  // --status only reads, so it is safe next to a running watcher.
+  if (args.includes('--status')) {
+    printStatus(inspectOutbox({ dir: LOG_DIR }) || outbox.status());
+    return;
+  }
+
+  // Loading compacts the journal and flushing sends from it, so only one process may do either
+  let lock;
+  try {
+    lock = lockOutbox({ dir: LOG_DIR });
+  } catch (error) {
+    if (!error.pid) throw error;
+    console.error(`[Chad] Another chad-watcher (pid ${error.pid}) owns the outbox in ${LOG_DIR}. ${args.includes('--flush') ? 'It retries on its own - stop it first to flush by hand.' : 'Stop it before starting another.'}`);
+    process.exitCode = 1;
+    return;
+  }
+  process.on('exit', lock.release);
+  outbox.load();
+
+  if (args.includes('--flush')) {
+    const result = await outbox.flush({ force: true });
+    console.log(`Flushed: ${result.sent} sent, ${result.failed} failed`);
+    printStatus(outbox.status());
+    process.exitCode = result.pending === 0 ? 0 : 1;
+    return;
+  }
+
   log('Chad Local Watcher starting', {
     sessionId,
+    profile: config.profile || 'default',
+    config: config.sources,
     susanUrl: SUSAN_URL,
+    projectPath: PROJECT_PATH,
     checkpointInterval: CHECKPOINT_INTERVAL_MS / 1000 / 60 + ' minutes',
-    logDir: LOG_DIR
+    logDir: LOG_DIR,
+    pending: outbox.size,
+    redaction: redactor.dryRun ? 'dry-run' : 'on'
   });
 
+  // Replay anything a previous run left behind
+  if (outbox.size > 0) {
+    log('Replaying pending outbox entries', { pending: outbox.size });
+    outbox.flush()
+      .then(result => log('Replay finished', result))
+      .catch(error => log('Replay failed', { error: error.message }));
+  }
+
   // Set up checkpoint interval
   setInterval(checkpoint, CHECKPOINT_INTERVAL_MS);
 
-  // Also checkpoint on exit
-  process.on('SIGINT', async () => {
-    log('Shutting down, final checkpoint...');
-    await checkpoint();
-    process.exit(0);
-  });
+  // Retry failed sends with backoff between checkpoints
+  setInterval(() => {
+    outbox.flush({ retriesOnly: true }).catch(error => log('Retry failed', { error: error.message }));
+  }, RETRY_INTERVAL_MS);
 
-  process.on('SIGTERM', async () => {
-    log('Terminated, final checkpoint...');
-    await checkpoint();
-    process.exit(0);
-  });
+  // Also checkpoint on exit - a failed checkpoint must not keep the process alive
+  const exitAfterCheckpoint = (message) => async () => {
+    log(message);
+    try {
+      await checkpoint();
+    } catch (error) {
+      log('Final checkpoint failed', { error: error.message });
+    } finally {
+      process.exit(0);
+    }
+  };
+  process.on('SIGINT', exitAfterCheckpoint('Shutting down, final checkpoint...'));
+  process.on('SIGTERM', exitAfterCheckpoint('Terminated, final checkpoint...'));
 
   // Start watching
-  watchStdin();
+  const modeArg = args.find(a => a.startsWith('--mode='));
+  startWatching(modeArg ? modeArg.split('=')[1] : config.watcher.mode);
 
-  log('Chad Local Watcher running - will checkpoint every 30 minutes');
+  log(`Chad Local Watcher running - will checkpoint every ${config.watcher.checkpointMinutes} minutes`);
 }
 
 main().catch(error => {
@@ -0,0 +1,230 @@
+/**
+ * Checkpoint Summaries
+ * Local, rule-based digest of a chad-watcher checkpoint - no network LLM needed
+ *
+ * From the buffered messages it pulls out files edited or mentioned, shell
+ * commands, errors with their stack frames, decisions and TODO-like phrases,
+ * then scores importance from what it found. A small history file remembers
+ * errors and TODOs across checkpoints, so an error that keeps coming back or
+ * a TODO nobody has seen before can be proposed to Susan as a todo.
+ */
+
+import fs from 'fs';
+
+const LIST_LIMIT = 10;
+const HISTORY_LIMIT = 500;
+
+const EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+const READ_TOOLS = new Set(['Read', 'Glob', 'Grep', 'LS']);
+const FILE_PATTERN = /(?:^|[\s`'"(])((?:[A-Za-z]:\\|\.{0,2}\/)?(?:[\w@.-]+[/\\])*[\w@-]+\.(?:jsx?|tsx?|mjs|cjs|json|md|py|rb|go|rs|java|php|css|scss|html|vue|svelte|ya?ml|toml|sql|sh|env|lock))(?=$|[\s`'"),:;]|\.(?:\s|$))/gm;
+const ERROR_LINE = /^\s*(?:Uncaught\s+)?((?:[A-Z]\w*)?(?:Error|Exception)\b:?.*|npm ERR!.*|error(?:\[\w+\])?:.*|FATAL.*)$/m;
+const STACK_FRAME = /^\s+at\s+.+$/gm;
+const HAS_STACK = /^\s+at\s+.+$/m;
+const DECISION = /\b(?:we(?:'ve| have)? decided|decided to|decision is|we(?:'ll| will) go with|let's go with|going with|we agreed|agreed to|chose to|opting for|settled on)\b/i;
+const TODO = /\b(?:TODO|FIXME|XXX)\b[:\s-]*|\b(?:we (?:still )?need to|still need to|don't forget to|remember to|later,? we should|follow[- ]up:|next step:)\s*/i;
+
+const unique = (list) => [...new Set(list.filter(Boolean))];
+const clip = (text, n = 200) => text.length > n ? `${text.slice(0, n - 1)}…` : text;
+
+// Same error with different numbers, ids or paths is still the same error
+export function errorSignature(message) {
+  return message.toLowerCase()
+    .replace(/(?:[a-z]:\\|\/)[^\s:'"]+/g, '<path>')
+    .replace(/0x[0-9a-f]+|\b[0-9a-f]{8,}\b|\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 160);
+}
+
+const todoKey = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// tool_use messages look like `Edit {"file_path":...}`
+function toolInput(content) {
+  const space = content.indexOf(' ');
+  try {
+    return JSON.parse(content.slice(space + 1));
+  } catch (e) {
+    return {};
+  }
+}
+
+function sentences(text) {
+  return text.split(/(?<=[.!?])\s+|\n+/).map(s => s.replace(/^[\s>*-]+/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Pull artifacts out of checkpoint messages
+ *
+ * @param {Array<{ role: string, content: string, kind?: string, toolName?: string, isError?: boolean }>} messages
+ * @returns {{ filesEdited: string[], filesMentioned: string[], commands: string[], errors: Array<{ message: string, signature: string, count: number, stack: string[] }>, decisions: string[], todos: string[] }}
+ */
+export function extractArtifacts(messages) {
+  const edited = [], mentioned = [], commands = [], decisions = [], todos = [];
+  const errors = new Map();
+
+  const addError = (message, stack = []) => {
+    const signature = errorSignature(message);
+    const found = errors.get(signature);
+    if (found) found.count++;
+    else errors.set(signature, { message: clip(message.trim()), signature, count: 1, stack: stack.slice(0, 3).map(f => f.trim()) });
+  };
+
+  for (const m of messages) {
+    const content = m.content || '';
+    if (m.kind === 'tool_use') {
+      const input = toolInput(content);
+      const file = input.file_path || input.notebook_path;
+      if (EDIT_TOOLS.has(m.toolName) && file) edited.push(file);
+      else if (READ_TOOLS.has(m.toolName)) mentioned.push(file || input.path);
+      if (m.toolName === 'Bash' && input.command) commands.push(clip(input.command, 160));
+      continue;
+    }
+
+    // Only failed tools and shell output count - a file that was read may mention errors
+    if (m.kind === 'tool_result') {
+      if (m.isError || (m.toolName === 'Bash' && ERROR_LINE.test(content))) {
+        const line = ERROR_LINE.exec(content)?.[1] || content.split('\n').find(l => l.trim()) || '';
+        if (line) addError(line, content.match(STACK_FRAME) || []);
+      }
+      continue;
+    }
+
+    for (const [, file] of content.matchAll(FILE_PATTERN)) mentioned.push(file);
+
+    // Piped terminal lines: "$ npm test"
+    if (m.role === 'user' && /^\$\s+\S/.test(content)) commands.push(clip(content.replace(/^\$\s+/, ''), 160));
+    // Claude talks about errors all the time; only a pasted stack trace counts as hitting one.
+    // Scraped terminal lines (no kind) have guessed roles, so any error line counts there.
+    const errorLine = ERROR_LINE.exec(content);
+    if (errorLine && (m.role !== 'assistant' || !m.kind || HAS_STACK.test(content))) addError(errorLine[1], content.match(STACK_FRAME) || []);
+
+    for (const sentence of sentences(content)) {
+      if (DECISION.test(sentence)) decisions.push(clip(sentence));
+      const todo = TODO.exec(sentence);
+      if (todo) {
+        const rest = sentence.slice(todo.index + todo[0].length).trim();
+        if (rest.length > 3) todos.push(clip(/^(?:TODO|FIXME|XXX)/i.test(todo[0]) ? sentence.slice(todo.index) : sentence));
+      }
+    }
+  }
+
+  const filesEdited = unique(edited);
+  return {
+    filesEdited,
+    filesMentioned: unique(mentioned).filter(f => !filesEdited.includes(f)),
+    commands: unique(commands),
+    errors: [...errors.values()],
+    decisions: unique(decisions),
+    todos: unique(todos)
+  };
+}
+
+/**
+ * 1-10: edits, errors and decisions are what make a checkpoint worth finding again
+ */
+export function scoreImportance(artifacts, messageCount) {
+  let score = 2;
+  if (artifacts.filesEdited.length) score += artifacts.filesEdited.length >= 5 ? 3 : 2;
+  if (artifacts.commands.length) score += 1;
+  if (artifacts.errors.length) score += artifacts.errors.some(e => e.count > 1) ? 2 : 1;
+  if (artifacts.decisions.length) score += 2;
+  if (artifacts.todos.length) score += 1;
+  if (messageCount > 50) score += 1;
+  return Math.min(10, score);
+}
+
+const bullets = (title, list, render = (x) => x) => list.length
+  ? `\n\n**${title}:**\n${list.slice(0, LIST_LIMIT).map(x => `- ${render(x)}`).join('\n')}${list.length > LIST_LIMIT ? `\n- …${list.length - LIST_LIMIT} more` : ''}`
+  : '';
+
+/**
+ * Build the checkpoint note sent to Susan
+ *
+ * @returns {{ summary: string, tags: string[], importance: number, artifacts: object }}
+ */
+export function summarizeCheckpoint(messages) {
+  const artifacts = extractArtifacts(messages);
+  const counts = [
+    artifacts.filesEdited.length && `edited ${artifacts.filesEdited.length} file(s)`,
+    artifacts.commands.length && `ran ${artifacts.commands.length} command(s)`,
+    artifacts.errors.length && `hit ${artifacts.errors.length} error(s)`,
+    artifacts.decisions.length && `${artifacts.decisions.length} decision(s)`,
+    artifacts.todos.length && `${artifacts.todos.length} TODO(s)`
+  ].filter(Boolean);
+
+  const summary = `${messages.length} messages from local Claude Code session${counts.length ? `: ${counts.join(', ')}` : ''}`
+    + bullets('Decisions', artifacts.decisions)
+    + bullets('Files edited', artifacts.filesEdited, f => `\`${f}\``)
+    + bullets('Commands', artifacts.commands, c => `\`${c}\``)
+    + bullets('Errors', artifacts.errors, e => `${e.message}${e.count > 1 ? ` (×${e.count})` : ''}`)
+    + bullets('TODOs', artifacts.todos)
+    + bullets('Files mentioned', artifacts.filesMentioned, f => `\`${f}\``);
+
+  const tags = [
+    artifacts.filesEdited.length && 'edits',
+    artifacts.commands.length && 'commands',
+    artifacts.errors.length && 'errors',
+    artifacts.decisions.length && 'decisions',
+    artifacts.todos.length && 'todos',
+    ...artifacts.filesEdited.slice(0, LIST_LIMIT).map(f => `file:${f.split(/[/\\]/).pop()}`)
+  ].filter(Boolean);
+
+  return { summary, tags: unique(tags), importance: scoreImportance(artifacts, messages.length), artifacts };
+}
+
+/**
+ * Errors and TODOs seen in earlier checkpoints, kept in a small JSON file
+ */
+export function loadHistory(file) {
+  try {
+    const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { errors: history.errors || {}, todos: history.todos || {} };
+  } catch (e) {
+    return { errors: {}, todos: {} };
+  }
+}
+
+export function saveHistory(file, history) {
+  // Oldest entries go first once the history is full
+  const trim = (map) => Object.fromEntries(Object.entries(map).sort(([, a], [, b]) => (b.lastSeen || '').localeCompare(a.lastSeen || '')).slice(0, HISTORY_LIMIT));
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ errors: trim(history.errors), todos: trim(history.todos) }, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Todos to propose to Susan: errors seen at least twice (in this checkpoint or
+ * across checkpoints) and TODOs that no earlier checkpoint contained.
+ * Updates `history` in place.
+ *
+ * @returns {Array<{ key: string, title: string, description: string, priority: string }>}
+ */
+export function candidateTodos(artifacts, history, now = new Date().toISOString()) {
+  const candidates = [];
+
+  for (const error of artifacts.errors) {
+    const seen = history.errors[error.signature] || { count: 0, firstSeen: now, proposed: false };
+    seen.count += error.count;
+    seen.lastSeen = now;
+    seen.message = error.message;
+    history.errors[error.signature] = seen;
+    if (seen.count >= 2 && !seen.proposed) {
+      seen.proposed = true;
+      candidates.push({
+        key: `error:${error.signature}`,
+        title: clip(`Fix recurring error: ${error.message}`, 120),
+        description: `Seen ${seen.count} times since ${seen.firstSeen}.${error.stack.length ? `\n\n${error.stack.join('\n')}` : ''}`,
+        priority: seen.count >= 5 ? 'high' : 'medium'
+      });
+    }
+  }
+
+  for (const todo of artifacts.todos) {
+    const key = todoKey(todo);
+    if (history.todos[key]) { history.todos[key].lastSeen = now; continue; }
+    history.todos[key] = { firstSeen: now, lastSeen: now };
+    candidates.push({ key: `todo:${key}`, title: clip(todo, 120), description: `Mentioned in a Claude Code session on ${now}: "${todo}"`, priority: /\bFIXME\b/.test(todo) ? 'medium' : 'low' });
+  }
+
+  return candidates;
+}
@@ -0,0 +1,411 @@
+/**
+ * Kodiack Configuration
+ * Loads kodiack.config.json files and named profiles for both binaries
+ *
+ * Layers, lowest to highest precedence:
+ *   1. Built-in defaults
+ *   2. ~/kodiack.config.json (user level)
+ *   3. kodiack.config.json in the working directory or nearest parent (project level)
+ *   4. The selected profile from each file (user, then project)
+ *   5. Environment variables (SUSAN_URL, RYAN_URL, ...)
+ *
+ * The profile comes from --profile <name>, KODIACK_PROFILE, or "defaultProfile" in a config file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+export const CONFIG_FILE = 'kodiack.config.json';
+
+// Services default to this machine; remote servers come from a profile or env variables
+export const DEFAULTS = {
+  services: {
+    susan: 'http://localhost:5403',
+    ryan: 'http://localhost:5407',
+    chad: 'ws://localhost:5401',
+    claudeServer: 'ws://localhost:5400'
+  },
+  auth: {},
+  tls: {},
+  projectPath: null,
+  pathMappings: [],
+  features: {
+    chadLogging: true,
+    serverClaude: true,
+    redaction: true
+  },
+  watcher: {
+    projectPath: null,
+    logDir: null,
+    checkpointMinutes: 30,
+    mode: null,
+    candidateTodos: true
+  },
+  redaction: null,
+  briefing: {
+    template: null,
+    maxTokens: 8000,
+    sections: null
+  },
+  cache: {
+    enabled: true,
+    dir: null,
+    staleSeconds: 300,
+    ttlSeconds: {}
+  },
+  plugins: {
+    dir: null,
+    modules: [],
+    disabled: [],
+    services: {}
+  },
+  terminal: {
+    cols: 200,
+    rows: 50,
+    scrollbackLines: 5000
+  },
+  // Guards server_claude_send; patterns are case-insensitive regexes
+  policy: {
+    enabled: true,
+    builtinRules: true,
+    deny: [
+      // rm with both a recursive and a force flag, short or long, in either order, within one command
+      '\\brm\\b(?=[^;&|\\n]*\\s(?:-[a-z]*r|--recursive\\b))(?=[^;&|\\n]*\\s(?:-[a-z]*f|--force\\b))',
+      '\\bdrop\\s+(?:table|database|schema)\\b',
+      '\\bpm2\\s+(?:delete|kill)\\b',
+      '\\bmkfs\\b'
+    ],
+    confirm: [
+      '\\bgit\\s+push\\b.*(?:--force|\\s-f\\b)',
+      '\\bgit\\s+reset\\s+--hard\\b',
+      '\\bpm2\\s+(?:restart|reload|stop)\\b',
+      '\\bsystemctl\\s+(?:stop|restart|disable)\\b',
+      '\\b(?:delete\\s+from|truncate)\\b',
+      '\\bnpm\\s+publish\\b'
+    ],
+    confirmSeconds: 300,
+    rateLimit: { max: 30, windowSeconds: 60 },
+    projects: {},
+    auditFile: null
+  }
+};
+
+export const ENV_MAP = {
+  SUSAN_URL: 'services.susan',
+  RYAN_URL: 'services.ryan',
+  CHAD_WS_URL: 'services.chad',
+  CLAUDE_SERVER_WS: 'services.claudeServer',
+  KODIACK_PROJECT: 'projectPath',
+  KODIACK_TOKEN: 'auth.token',
+  KODIACK_HMAC_SECRET: 'auth.hmacSecret',
+  KODIACK_CREDENTIALS: 'auth.credentialsFile',
+  KODIACK_CA_FILE: 'tls.ca',
+  CHAD_LOG_DIR: 'watcher.logDir',
+  CHAD_WATCH_MODE: 'watcher.mode',
+  KODIACK_CACHE_DIR: 'cache.dir',
+  KODIACK_PLUGINS_DIR: 'plugins.dir',
+  KODIACK_AUDIT_FILE: 'policy.auditFile'
+};
+
+// Schema: leaf validators return an error string or null
+const isString = (v) => typeof v === 'string' && v.length > 0 ? null : 'must be a non-empty string';
+const isBoolean = (v) => typeof v === 'boolean' ? null : 'must be true or false';
+const isUrl = (...protocols) => (v) => {
+  try {
+    const url = new URL(v);
+    return protocols.includes(url.protocol.slice(0, -1)) ? null : `must be a ${protocols.join('/')} URL`;
+  } catch (e) {
+    return `must be a ${protocols.join('/')} URL`;
+  }
+};
+const isSeconds = (v) => typeof v === 'number' && v >= 0 ? null : 'must be a number of seconds';
+const isCount = (v) => Number.isInteger(v) && v > 0 ? null : 'must be a positive whole number';
+const isStrings = (what) => (v) => Array.isArray(v) && v.every(x => typeof x === 'string') ? null : `must be an array of ${what}`;
+const isPatterns = (v) => {
+  if (!Array.isArray(v) || !v.every(x => typeof x === 'string')) return 'must be an array of regex patterns';
+  for (const pattern of v) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (e) {
+      return `has an invalid pattern ${pattern}: ${e.message}`;
+    }
+  }
+  return null;
+};
+const isPathMappings = (v) => {
+  if (!Array.isArray(v)) return 'must be an array of { local, server } rules';
+  const bad = v.findIndex(m => !m || typeof m.local !== 'string' || typeof m.server !== 'string');
+  return bad >= 0 ? `[${bad}] needs string "local" and "server" prefixes` : null;
+};
+
+const AUTH_FIELDS = {
+  mode: (v) => ['none', 'bearer', 'hmac'].includes(v) ? null : 'must be none, bearer or hmac',
+  token: isString,
+  hmacKeyId: isString,
+  hmacSecret: isString
+};
+
+// Project entries add rules to the global ones
+const PROJECT_POLICY = {
+  enabled: isBoolean,
+  deny: isPatterns,
+  confirm: isPatterns,
+  rateLimit: { max: isCount, windowSeconds: isCount }
+};
+
+const SCHEMA = {
+  services: {
+    susan: isUrl('http', 'https'),
+    ryan: isUrl('http', 'https'),
+    chad: isUrl('ws', 'wss'),
+    claudeServer: isUrl('ws', 'wss')
+  },
+  auth: {
+    ...AUTH_FIELDS,
+    credentialsFile: isString,
+    services: {
+      susan: AUTH_FIELDS,
+      ryan: AUTH_FIELDS,
+      chad: AUTH_FIELDS,
+      claudeServer: AUTH_FIELDS
+    }
+  },
+  tls: {
+    ca: isString,
+    cert: isString,
+    key: isString,
+    rejectUnauthorized: isBoolean
+  },
+  projectPath: isString,
+  pathMappings: isPathMappings,
+  features: {
+    chadLogging: isBoolean,
+    serverClaude: isBoolean,
+    redaction: isBoolean
+  },
+  watcher: {
+    projectPath: isString,
+    logDir: isString,
+    checkpointMinutes: (v) => typeof v === 'number' && v > 0 ? null : 'must be a positive number of minutes',
+    mode: (v) => ['transcripts', 'history', 'stdin'].includes(v) ? null : 'must be transcripts, history or stdin',
+    candidateTodos: isBoolean
+  },
+  redaction: (v) => v && typeof v === 'object' && !Array.isArray(v) ? null : 'must be an object (see README: Secret Redaction)',
+  briefing: {
+    template: isString,
+    maxTokens: isCount,
+    sections: (v) => Array.isArray(v) && v.every(x => typeof x === 'string') ? null : 'must be an array of section names'
+  },
+  cache: {
+    enabled: isBoolean,
+    dir: isString,
+    staleSeconds: isSeconds,
+    ttlSeconds: {
+      context: isSeconds,
+      sessions: isSeconds,
+      todos: isSeconds,
+      ports: isSeconds,
+      ryan: isSeconds,
+      knowledge: isSeconds
+    }
+  },
+  plugins: {
+    dir: isString,
+    modules: isStrings('plugin file paths'),
+    disabled: isStrings('plugin names'),
+    // Worker names are open-ended, so this is checked as a whole
+    services: (v) => {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) return 'must be an object of plugin name to URL';
+      const bad = Object.entries(v).find(([, url]) => isUrl('http', 'https')(url));
+      return bad ? `${bad[0]} must be a http/https URL` : null;
+    }
+  },
+  terminal: {
+    cols: isCount,
+    rows: isCount,
+    scrollbackLines: isCount
+  },
+  policy: {
+    ...PROJECT_POLICY,
+    builtinRules: isBoolean,
+    confirmSeconds: isCount,
+    auditFile: isString,
+    // Keyed by project path, so checked entry by entry
+    projects: (v) => {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) return 'must be an object of project path to rules';
+      const problems = Object.entries(v).flatMap(([project, rules]) => validateConfig(rules, PROJECT_POLICY, project));
+      return problems.length ? problems.join('; ') : null;
+    }
+  }
+};
+
+/**
+ * Check a config layer against the schema. Unknown keys are errors so typos surface.
+ * @returns {string[]} problems, empty when valid
+ */
+export function validateConfig(layer, schema = SCHEMA, prefix = '') {
+  const problems = [];
+  if (!layer || typeof layer !== 'object' || Array.isArray(layer)) return [`${prefix || 'config'}: must be an object`];
+  for (const [key, value] of Object.entries(layer)) {
+    const where = prefix ? `${prefix}.${key}` : key;
+    const rule = schema[key];
+    if (!rule) {
+      problems.push(`${where}: unknown setting`);
+    } else if (value === null) {
+      continue;
+    } else if (typeof rule === 'function') {
+      const problem = rule(value);
+      if (problem) problems.push(`${where}: ${problem}`);
+    } else {
+      problems.push(...validateConfig(value, rule, where));
+    }
+  }
+  return problems;
+}
+
+// Lists that every layer adds to instead of replacing, so configured rules never drop the built-in ones
+const ADDITIVE = ['policy.deny', 'policy.confirm'];
+
+function merge(base, layer, where = '') {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(layer || {})) {
+    const at = where ? `${where}.${key}` : key;
+    if (ADDITIVE.includes(at) && Array.isArray(value) && Array.isArray(base[key])) {
+      out[key] = [...base[key], ...value];
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object') {
+      out[key] = merge(base[key], value, at);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function setPath(target, dotted, value) {
+  const keys = dotted.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) node = node[key] = { ...(node[key] || {}) };
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Nearest kodiack.config.json from `dir` upwards
+ */
+export function findProjectConfig(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    const candidate = path.join(current, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * chad-watcher's log directory for a config
+ */
+export function watcherLogDir(config, env = process.env) {
+  return config.watcher.logDir || path.join(env.HOME || env.USERPROFILE || os.homedir(), '.claude', 'chad-logs');
+}
+
+function readConfigFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Config ${file} could not be read: ${e.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`Config ${file} must contain a JSON object`);
+
+  const { profiles = {}, defaultProfile, ...base } = raw;
+  const problems = validateConfig(base).map(p => `  - ${p}`);
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) problems.push('  - profiles: must be an object of named profiles');
+  else {
+    for (const [name, profile] of Object.entries(profiles)) {
+      problems.push(...validateConfig(profile).map(p => `  - profiles.${name}.${p}`));
+    }
+  }
+  if (defaultProfile !== undefined && typeof defaultProfile !== 'string') problems.push('  - defaultProfile: must be a profile name');
+  if (problems.length) throw new Error(`Invalid config ${file}:\n${problems.join('\n')}`);
+
+  return { file, base, profiles, defaultProfile };
+}
+
+/**
+ * Read --profile <name> / --profile=<name> from argv
+ */
+export function profileFromArgs(argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile') {
+      if (!argv[i + 1] || argv[i + 1].startsWith('--')) throw new Error('--profile needs a profile name');
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith('--profile=')) return argv[i].slice('--profile='.length);
+  }
+  return null;
+}
+
+/**
+ * First positional argument (a subcommand such as "doctor"), skipping options
+ * and the value that follows --profile
+ */
+export function commandFromArgs(argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile') i++;
+    else if (!argv[i].startsWith('-')) return argv[i];
+  }
+  return null;
+}
+
+/**
+ * Load the effective configuration
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.argv]
+ * @param {string} [options.cwd]
+ * @param {object} [options.env]
+ * @returns {object} merged config plus `profile` and `sources`
+ */
+export function loadConfig({ argv = process.argv.slice(2), cwd = process.cwd(), env = process.env } = {}) {
+  const files = [];
+  const userFile = path.join(env.HOME || env.USERPROFILE || os.homedir(), CONFIG_FILE);
+  if (fs.existsSync(userFile)) files.push(userFile);
+  const projectFile = env.KODIACK_CONFIG || findProjectConfig(cwd);
+  if (env.KODIACK_CONFIG && !fs.existsSync(env.KODIACK_CONFIG)) throw new Error(`KODIACK_CONFIG points to ${env.KODIACK_CONFIG}, which does not exist`);
+  if (projectFile && !files.includes(projectFile)) files.push(projectFile);
+
+  const layers = files.map(readConfigFile);
+  const profile = profileFromArgs(argv) || env.KODIACK_PROFILE || [...layers].reverse().find(l => l.defaultProfile)?.defaultProfile || null;
+
+  let config = DEFAULTS;
+  for (const layer of layers) config = merge(config, layer.base);
+  if (profile) {
+    const matching = layers.filter(l => l.profiles[profile]);
+    if (!matching.length) {
+      const available = [...new Set(layers.flatMap(l => Object.keys(l.profiles)))];
+      throw new Error(`Unknown profile "${profile}"${available.length ? ` (available: ${available.join(', ')})` : ` - no profiles defined in ${files.length ? files.join(', ') : `any ${CONFIG_FILE}`}`}`);
+    }
+    for (const layer of matching) config = merge(config, layer.profiles[profile]);
+  }
+
+  const fromEnv = {};
+  for (const [name, key] of Object.entries(ENV_MAP)) {
+    if (env[name]) setPath(fromEnv, key, env[name]);
+  }
+  const envProblems = validateConfig(fromEnv);
+  if (envProblems.length) {
+    const names = Object.fromEntries(Object.entries(ENV_MAP).map(([n, k]) => [k, n]));
+    throw new Error(`Invalid environment:\n${envProblems.map(p => `  - ${names[p.split(':')[0]] || p.split(':')[0]}:${p.split(':').slice(1).join(':')}`).join('\n')}`);
+  }
+  config = merge(config, fromEnv);
+
+  // The built-in rules always lead the lists, so opting out drops exactly those
+  const { policy } = config;
+  if (policy.builtinRules === false) {
+    config = { ...config, policy: { ...policy, deny: policy.deny.slice(DEFAULTS.policy.deny.length), confirm: policy.confirm.slice(DEFAULTS.policy.confirm.length) } };
+  }
+
+  return { ...config, profile, sources: files };
+}
@@ -0,0 +1,278 @@
+/**
+ * Doctor
+ * End-to-end diagnostics behind `kodiack-studio doctor` and the kodiack_health tool
+ *
+ * Validates the config and environment, probes every service this build
+ * talks to (reachability, latency and API version), and looks at
+ * chad-watcher's log dir and the transcripts it tails on this machine. Each
+ * check ends up pass, warn or fail with a hint on how to fix it.
+ *
+ * Susan and Ryan are asked for GET /health ({ version }). Server Claude is
+ * only probed over plain HTTP, since opening its WebSocket starts a terminal
+ * on the server.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ENV_MAP, watcherLogDir } from './config.js';
+import { SERVICE_NAMES } from './transport.js';
+import { inspectOutbox } from './outbox.js';
+import { defaultTranscriptRoot } from './transcript.js';
+
+const PROBE_TIMEOUT_MS = 5000;
+const SLOW_MS = 1500;
+const TRANSCRIPT_STALE_MS = 24 * 3600e3;
+
+// Major API version of each service this build was written against
+export const API_VERSIONS = { susan: 1, ryan: 1 };
+
+// A real endpoint per service, for servers that predate /health
+const FALLBACK_ENDPOINTS = { susan: '/api/ports', ryan: '/api/whats-next' };
+
+// Variables read outside the config loader
+const OTHER_ENV = ['KODIACK_CONFIG', 'KODIACK_PROFILE', 'KODIACK_REDACT_CONFIG', 'KODIACK_REDACT_DRY_RUN', 'CLAUDE_TRANSCRIPT_DIR'];
+const OUR_PREFIX = /^(?:KODIACK|SUSAN|RYAN|CHAD|CLAUDE_SERVER)_/;
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+const worst = (statuses) => statuses.reduce((a, b) => STATUS_ORDER.indexOf(b) > STATUS_ORDER.indexOf(a) ? b : a, 'pass');
+
+const check = (group, name, status, detail, hint) => ({ group, name, status, detail, ...(hint && { hint }) });
+
+export function ago(ms) {
+  if (ms < 60e3) return `${Math.round(ms / 1e3)}s`;
+  if (ms < 3600e3) return `${Math.round(ms / 60e3)} min`;
+  if (ms < 86400e3) return `${(ms / 3600e3).toFixed(1)} h`;
+  return `${(ms / 86400e3).toFixed(1)} days`;
+}
+
+function isNetworkError(e) {
+  return e.name === 'FetchError' || e.name === 'AbortError' || e.name === 'TimeoutError';
+}
+
+function unreachable(service, url, error, group = 'services') {
+  const title = SERVICE_NAMES[service] || service;
+  if (!isNetworkError(error)) return check(group, service, 'fail', error.message, 'Check auth.* in kodiack.config.json or ~/.kodiack/credentials.json for this profile');
+  const reason = error.name === 'FetchError' ? error.code || error.message : `no answer in ${PROBE_TIMEOUT_MS / 1000}s`;
+  return check(group, service, 'fail', `${title} unreachable at ${url}: ${reason}`, `Is ${title} running? Check services.${service} or its env variable, and the firewall`);
+}
+
+/**
+ * Susan and Ryan: GET /health for the version, else the fallback endpoint for reachability
+ */
+async function probeHttp(transport, service, url) {
+  const title = SERVICE_NAMES[service];
+  const get = (endpoint) => transport.request(service, `${url}${endpoint}`, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  const started = Date.now();
+  let res;
+  try {
+    res = await get('/health');
+    if (res.status === 404) {
+      const fallback = await get(FALLBACK_ENDPOINTS[service]);
+      const latencyMs = Date.now() - started;
+      if (!fallback.ok) return check('services', service, 'fail', `${title} ${fallback.status} on ${FALLBACK_ENDPOINTS[service]}`, `Check ${title}'s logs on the server`);
+      return { ...check('services', service, 'warn', `${title} reachable (${latencyMs}ms) but has no /health endpoint - API version unknown`, `Update ${title} to a build with GET /health`), latencyMs };
+    }
+  } catch (e) {
+    return unreachable(service, url, e);
+  }
+
+  const latencyMs = Date.now() - started;
+  if (!res.ok) return { ...check('services', service, 'fail', `${title} ${res.status} on /health`, `Check ${title}'s logs on the server`), latencyMs };
+
+  const health = await res.json().catch(() => ({}));
+  const version = health.version ? String(health.version) : null;
+  const expected = API_VERSIONS[service];
+  const major = version ? parseInt(version, 10) : NaN;
+  if (!version) return { ...check('services', service, 'warn', `${title} reachable (${latencyMs}ms) but reports no version`, `Update ${title} to a build that reports its version`), latencyMs };
+  if (major !== expected) {
+    const hint = major > expected ? 'Update kodiack-studio to a release that speaks this API' : `Update ${title} on the server`;
+    return { ...check('services', service, 'fail', `${title} API ${version} - this build speaks v${expected}.x`, hint), latencyMs, version };
+  }
+  if (latencyMs > SLOW_MS) return { ...check('services', service, 'warn', `${title} ${version} answered slowly (${latencyMs}ms)`, 'Check the network path to the server'), latencyMs, version };
+  return { ...check('services', service, 'pass', `${title} ${version} (${latencyMs}ms)`), latencyMs, version };
+}
+
+function probeWebSocket(transport, service, url) {
+  const started = Date.now();
+  return new Promise((resolve) => {
+    const ws = transport.openWebSocket(service, url);
+    const timer = setTimeout(() => { ws.terminate(); resolve({ error: Object.assign(new Error('timeout'), { name: 'TimeoutError' }) }); }, PROBE_TIMEOUT_MS);
+    ws.on('open', () => { clearTimeout(timer); ws.close(); resolve({ latencyMs: Date.now() - started }); });
+    ws.on('error', (e) => {
+      clearTimeout(timer);
+      const described = transport.describeError(service, e);
+      // Refused connections are network trouble; a rejected handshake is auth or routing
+      resolve({ error: described !== e ? described : Object.assign(new Error(e.code || e.message), { name: e.code ? 'FetchError' : 'Error', code: e.code }) });
+    });
+  });
+}
+
+async function probeChad(transport, url, projectId, live) {
+  const { latencyMs, error } = await probeWebSocket(transport, 'chad', `${url}/ws?project=${encodeURIComponent(projectId)}`);
+  if (error) return unreachable('chad', url, error);
+  const link = live ? `; this server's link is ${live.connected ? 'up' : 'down'}${live.queued ? `, ${live.queued} event(s) queued` : ''}` : '';
+  if (live && !live.connected && live.queued) return { ...check('services', 'chad', 'warn', `Chad accepts connections (${latencyMs}ms)${link}`, 'The link reconnects every 5s; restart the MCP server if it stays down'), latencyMs };
+  return { ...check('services', 'chad', latencyMs > SLOW_MS ? 'warn' : 'pass', `Chad WebSocket (${latencyMs}ms)${link}`), latencyMs };
+}
+
+async function probeServerClaude(transport, url, live) {
+  const started = Date.now();
+  try {
+    await transport.request('claudeServer', url.replace(/^ws/, 'http'), { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  } catch (e) {
+    return unreachable('claudeServer', url, e);
+  }
+  const latencyMs = Date.now() - started;
+  const sessions = live ? `; ${live.sessions} open session(s)` : '';
+  return { ...check('services', 'claudeServer', latencyMs > SLOW_MS ? 'warn' : 'pass', `Server Claude answers on ${url} (${latencyMs}ms)${sessions}`), latencyMs };
+}
+
+function envCheck(env) {
+  const known = new Set([...Object.keys(ENV_MAP), ...OTHER_ENV]);
+  const set = Object.keys(env).filter(k => known.has(k));
+  const unknown = Object.keys(env).filter(k => OUR_PREFIX.test(k) && !known.has(k));
+  if (unknown.length) return check('config', 'environment', 'warn', `Not Kodiack settings: ${unknown.join(', ')}`, `Typo? Known variables: ${[...known].join(', ')}`);
+  return check('config', 'environment', 'pass', set.length ? `Overrides from ${set.join(', ')}` : 'No environment overrides');
+}
+
+function authCheck(transport, warnings, services) {
+  const modes = services.map(s => `${s} ${transport.authMode(s)}`).join(', ');
+  const tls = [transport.tls.customCa && 'custom CA', transport.tls.mutual && 'mTLS', !transport.tls.rejectUnauthorized && 'certificate checks OFF'].filter(Boolean);
+  const detail = `Auth: ${modes}${tls.length ? `; TLS: ${tls.join(', ')}` : ''}`;
+  if (warnings.length) return check('config', 'credentials', 'warn', `${detail}. ${warnings.join('. ')}`, 'Fix the file permissions or settings named above');
+  if (!transport.tls.rejectUnauthorized) return check('config', 'credentials', 'warn', detail, 'Only use tls.rejectUnauthorized: false against test servers');
+  return check('config', 'credentials', 'pass', detail);
+}
+
+function pluginsCheck({ loaded, errors, disabled }) {
+  const detail = `Loaded: ${loaded.join(', ') || 'none'}${disabled.length ? `; disabled: ${disabled.join(', ')}` : ''}`;
+  if (errors.length) return check('config', 'plugins', 'warn', `${detail}. ${errors.length} failed: ${errors.join('; ')}`, 'Fix or remove the plugin files named above - kodiack_plugins shows the same list');
+  return check('config', 'plugins', 'pass', detail);
+}
+
+function newest(dir, pattern) {
+  return fs.readdirSync(dir).filter(f => pattern.test(f))
+    .map(f => ({ file: path.join(dir, f), at: fs.statSync(path.join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.at - a.at)[0] || null;
+}
+
+// What chad-watcher tails in its default mode: <root>/<project-dir>/<session>.jsonl
+function transcriptsCheck(config, env, now) {
+  const mode = config.watcher.mode;
+  if (mode && mode !== 'transcripts') return check('watcher', 'transcripts', 'pass', `Not used - watcher.mode is ${mode}`);
+  const root = env.CLAUDE_TRANSCRIPT_DIR || defaultTranscriptRoot(env);
+  const where = 'Run Claude Code once on this machine, or point CLAUDE_TRANSCRIPT_DIR at the directory it writes session transcripts to';
+  if (!fs.existsSync(root)) return check('watcher', 'transcripts', 'warn', `${root} does not exist - chad-watcher falls back to ~/.claude/history.jsonl`, where);
+
+  let latest = null;
+  try {
+    for (const dir of fs.readdirSync(root, { withFileTypes: true }).filter(d => d.isDirectory())) {
+      const found = newest(path.join(root, dir.name), /\.jsonl$/);
+      if (found && (!latest || found.at > latest.at)) latest = found;
+    }
+  } catch (e) {
+    return check('watcher', 'transcripts', 'fail', `${root} could not be read: ${e.message}`, 'Fix its permissions for the user chad-watcher runs as');
+  }
+  if (!latest) return check('watcher', 'transcripts', 'warn', `No session transcripts in ${root} yet`, where);
+  if (now - latest.at > TRANSCRIPT_STALE_MS) return check('watcher', 'transcripts', 'warn', `Newest session transcript in ${root} is ${ago(now - latest.at)} old`, `No Claude Code session here lately, or it writes transcripts elsewhere. ${where}`);
+  return check('watcher', 'transcripts', 'pass', `${root} - newest session transcript ${ago(now - latest.at)} ago`);
+}
+
+function watcherChecks(config, env, now) {
+  const dir = watcherLogDir(config, env);
+  const intervalMs = config.watcher.checkpointMinutes * 60e3;
+  const start = 'Start it with `npm run chad` (see Running as Background Service)';
+  if (!fs.existsSync(dir)) return [check('watcher', 'log dir', 'warn', `${dir} does not exist - chad-watcher has not run on this machine`, start)];
+
+  const checks = [];
+  try {
+    fs.accessSync(dir, fs.constants.W_OK);
+    checks.push(check('watcher', 'log dir', 'pass', dir));
+  } catch (e) {
+    checks.push(check('watcher', 'log dir', 'fail', `${dir} is not writable`, `Fix its owner or permissions, or point watcher.logDir / CHAD_LOG_DIR elsewhere`));
+  }
+
+  const log = newest(dir, /^chad-\d{4}-\d{2}-\d{2}\.log$/);
+  if (!log) checks.push(check('watcher', 'activity', 'warn', 'No chad-watcher log yet', start));
+  // The watcher logs every checkpoint interval, even when there is nothing to send
+  else if (now - log.at > 2 * intervalMs) checks.push(check('watcher', 'activity', 'warn', `Last log line ${ago(now - log.at)} ago (checkpoints every ${config.watcher.checkpointMinutes} min)`, `chad-watcher does not seem to be running. ${start}`));
+  else checks.push(check('watcher', 'activity', 'pass', `Last log line ${ago(now - log.at)} ago`));
+
+  const checkpoint = newest(dir, /^checkpoint-\d+\.json$/);
+  checks.push(checkpoint
+    ? check('watcher', 'last checkpoint', 'pass', `${ago(now - checkpoint.at)} ago (${path.basename(checkpoint.file)})`)
+    : check('watcher', 'last checkpoint', 'warn', 'No checkpoint saved yet', 'Checkpoints are written once a session has messages'));
+
+  checks.push(transcriptsCheck(config, env, now));
+
+  const outbox = inspectOutbox({ dir });
+  if (outbox) {
+    const { pending, dead, oldest } = outbox;
+    const age = oldest ? now - new Date(oldest).getTime() : 0;
+    if (dead) checks.push(check('watcher', 'outbox', 'warn', `${dead} dead entr${dead === 1 ? 'y' : 'ies'}, ${pending} pending`, 'Inspect with `chad-watcher --status`, retry with `chad-watcher --flush`'));
+    else if (pending && age > intervalMs) checks.push(check('watcher', 'outbox', 'warn', `${pending} pending, oldest ${ago(age)} old`, 'Susan may be unreachable from this machine - try `chad-watcher --flush`'));
+    else checks.push(check('watcher', 'outbox', 'pass', `${pending} pending`));
+  }
+  return checks;
+}
+
+/**
+ * Run every check
+ *
+ * @param {object} options
+ * @param {object} [options.config] - Loaded config; omit along with transport when loading failed
+ * @param {Error} [options.configError]
+ * @param {object} [options.transport]
+ * @param {string[]} [options.warnings] - Warnings raised while building the transport
+ * @param {{ susan?: string, ryan?: string, chad?: string, claudeServer?: string }} [options.urls] - Services to probe
+ * @param {{ loaded: string[], errors: string[], disabled: string[] }} [options.plugins]
+ * @param {string} [options.projectId]
+ * @param {{ chad?: { connected: boolean, queued: number }, claudeServer?: { sessions: number } }} [options.live] - State of a running MCP server
+ * @param {string} [options.version]
+ * @param {object} [options.env]
+ * @returns {Promise<{ status: string, version: string, profile: string, checkedAt: string, counts: object, checks: object[] }>}
+ */
+export async function runDoctor({ config, configError, transport, warnings = [], urls = {}, plugins, projectId, live = {}, version, env = process.env }) {
+  const now = Date.now();
+  const checks = [];
+
+  if (configError) {
+    checks.push(check('config', 'config', 'fail', configError.message, 'Fix the setting named above; the remaining checks need a valid config'));
+  } else {
+    checks.push(check('config', 'config', 'pass', `Profile ${config.profile || 'default'}; ${config.sources.length ? `files: ${config.sources.join(', ')}` : 'built-in defaults only'}`));
+    checks.push(envCheck(env));
+    checks.push(authCheck(transport, warnings, Object.keys(urls).filter(s => urls[s])));
+    if (plugins) checks.push(pluginsCheck(plugins));
+
+    const probes = [];
+    for (const service of ['susan', 'ryan']) if (urls[service]) probes.push(probeHttp(transport, service, urls[service]));
+    if (urls.chad) probes.push(probeChad(transport, urls.chad, projectId, live.chad));
+    if (urls.claudeServer) probes.push(probeServerClaude(transport, urls.claudeServer, live.claudeServer));
+    checks.push(...await Promise.all(probes));
+
+    checks.push(...watcherChecks(config, env, now));
+  }
+
+  const counts = Object.fromEntries(STATUS_ORDER.map(s => [s, checks.filter(c => c.status === s).length]));
+  return { status: worst(checks.map(c => c.status)), version, profile: config?.profile || 'default', checkedAt: new Date(now).toISOString(), counts, checks };
+}
+
+const GROUP_TITLES = { config: 'Config', services: 'Services', watcher: 'Chad Watcher' };
+
+/**
+ * Plain-text report, grouped, with a fix hint under each problem
+ */
+export function formatReport(report) {
+  const width = Math.max(...report.checks.map(c => c.name.length));
+  const lines = [`Kodiack doctor - v${report.version}, profile ${report.profile}`, `Overall: ${report.status.toUpperCase()} (${report.counts.pass} pass, ${report.counts.warn} warn, ${report.counts.fail} fail)`];
+  for (const [group, title] of Object.entries(GROUP_TITLES)) {
+    const checks = report.checks.filter(c => c.group === group);
+    if (!checks.length) continue;
+    lines.push('', title);
+    for (const c of checks) {
+      lines.push(`  ${c.status.toUpperCase().padEnd(4)}  ${c.name.padEnd(width)}  ${c.detail}`);
+      if (c.hint) lines.push(`  ${' '.repeat(4 + 2 + width)}  fix: ${c.hint}`);
+    }
+  }
+  return lines.join('\n');
+}
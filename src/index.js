@@ -1,260 +1,508 @@
 #!/usr/bin/env node
 
 /**
- * Kodiack Studio - MCP Server v1.1
- * Bridges Claude Code to Susan (memory) AND Chad (session logging)
+ * Kodiack Studio - MCP Server (version: SERVER_VERSION below)
+ * Bridges Claude Code to the AI workers - Susan (memory), Ryan, Chad (session logging) and worker plugins
  */
 
+import fs from 'fs';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import WebSocket from 'ws';
-
-const SUSAN_URL = process.env.SUSAN_URL || 'http://161.35.229.220:5403';
-const RYAN_URL = process.env.RYAN_URL || 'http://161.35.229.220:5407';
-const CHAD_WS_URL = process.env.CHAD_WS_URL || 'ws://161.35.229.220:5401';
-const CLAUDE_SERVER_WS = process.env.CLAUDE_SERVER_WS || 'ws://161.35.229.220:5400';
-
-// Use current working directory as project path - no hardcoded fallback
-const DEFAULT_PROJECT = process.cwd();
-
-let serverClaudeWs = null, serverClaudeBuffer = '', serverClaudeConnected = false;
-let chadWs = null, chadConnected = false;
-
-function connectToChad() {
-  if (chadWs && chadConnected) return;
-  const wsUrl = `${CHAD_WS_URL}/ws?project=${encodeURIComponent(DEFAULT_PROJECT)}&userId=claude-mcp`;
-  console.error(`[Kodiack] Connecting to Chad: ${wsUrl}`);
-  chadWs = new WebSocket(wsUrl);
-  chadWs.on('open', () => { chadConnected = true; console.error('[Kodiack] Chad connected'); });
-  chadWs.on('error', (e) => { console.error('[Kodiack] Chad error:', e.message); chadConnected = false; });
-  chadWs.on('close', () => { chadConnected = false; chadWs = null; setTimeout(connectToChad, 5000); });
+import {
+  CallToolRequestSchema, ListToolsRequestSchema,
+  ListResourcesRequestSchema, ListResourceTemplatesRequestSchema, ReadResourceRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema,
+  ListPromptsRequestSchema, GetPromptRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { createRedactor, loadRedactionConfig } from './redact.js';
+import { waitForIdle, createSessionManager } from './server-claude.js';
+import { renderText, grepLines } from './terminal.js';
+import { createPolicy } from './policy.js';
+import { DECISIONS, createAuditLog, defaultAuditFile, renderAudit } from './audit.js';
+import { loadConfig, commandFromArgs } from './config.js';
+import { createPathMapper } from './paths.js';
+import { createTransport } from './transport.js';
+import { composeBriefing, identitySection, checkSections, loadTemplate, resolveTemplatePath, CORE_SECTIONS } from './briefing.js';
+import { RESOURCE_TEMPLATES, resourceUri, parseResourceUri, createSubscriptions } from './resources.js';
+import { PROMPTS, buildPrompt } from './prompts.js';
+import { createCache, defaultCacheDir, cacheNote } from './cache.js';
+import { createTelemetry } from './telemetry.js';
+import { loadPlugins, createServiceClient } from './plugins.js';
+import susanPlugin from './plugins/susan.js';
+import ryanPlugin from './plugins/ryan.js';
+import chadPlugin from './plugins/chad.js';
+import { runDoctor, formatReport } from './doctor.js';
+
+// The one place the version lives: startup log, MCP handshake, doctor and telemetry all read it
+const SERVER_VERSION = '1.2.0';
+
+// `kodiack-studio doctor [--json]` goes through the same startup, prints a health report and exits
+const DOCTOR = commandFromArgs() === 'doctor';
+const printReport = (report) => {
+  console.log(process.argv.includes('--json') ? JSON.stringify(report, null, 2) : formatReport(report));
+  process.exit(report.status === 'fail' ? 1 : 0);
+};
+
+let config, transport;
+const configWarnings = [];
+try {
+  config = loadConfig();
+  transport = createTransport(config, { warn: (m) => { configWarnings.push(m); console.error(`[Kodiack] ${m}`); } });
+} catch (e) {
+  if (DOCTOR) printReport(await runDoctor({ configError: e, version: SERVER_VERSION }));
+  console.error(`[Kodiack] Configuration error: ${e.message}`);
+  process.exit(1);
 }
 
+const CLAUDE_SERVER_WS = config.services.claudeServer;
+
+// Configured project path, else current working directory - no hardcoded fallback
+const DEFAULT_PROJECT = config.projectPath || process.cwd();
+
+// Local and server paths for the same project resolve to one canonical key (the server path)
+const paths = createPathMapper(config.pathMappings);
+const projectKey = (project) => paths.resolve(project || DEFAULT_PROJECT).projectId;
+
+const serverClaude = createSessionManager({
+  wsUrl: CLAUDE_SERVER_WS,
+  open: (url) => transport.openWebSocket('claudeServer', url),
+  describeError: (e) => transport.describeError('claudeServer', e),
+  log: (m) => console.error(`[Kodiack] ${m}`),
+  terminal: config.terminal
+});
+
+// This MCP process is one working session; susan_log_session links it to Susan's session record
+const activeSession = { id: `mcp-${Date.now()}`, summary: null };
+const BOOT_SESSION_ID = activeSession.id;
+const BOOTED_AT = Date.now();
+let toolCalls = 0;
+
+const redactor = createRedactor({ ...(config.redaction || loadRedactionConfig()), enabled: config.features.redaction });
+
+// Everything bound for Chad or Susan passes through here first
+function redactOutbound(value, target) {
+  const { value: clean, findings } = redactor.redactValue(value);
+  if (findings.length) console.error(`[Kodiack] ${redactor.dryRun ? 'Redaction dry run - would mask' : 'Redacted'} ${findings.length} item(s) bound for ${target}: ${findings.map(f => `${f.rule} ${f.preview}`).join(', ')}`);
+  return clean;
+}
+
+const log = (m) => console.error(`[Kodiack] ${m}`);
+
+// Every command for server Claude is checked against the policy and journaled, secrets masked
+const policy = createPolicy(config.policy, { resolveProject: projectKey });
+const audit = createAuditLog({ file: config.policy.auditFile || defaultAuditFile(), redact: (text) => redactor.redact(text).text });
+
+// Text sent without Enter waits in server Claude's input box, so the policy sees it
+// together with whatever enters it. Menu answers and cancels are checked on their own.
+const typed = new Map();      // session -> text typed but not yet entered
+const answering = new Set();  // sessions whose last send stopped at a prompt
+
+// Chad's stream is buffered across disconnects; the Chad plugin attaches the socket that drains it
+let telemetrySink = () => false;
+const telemetry = createTelemetry({
+  enabled: config.features.chadLogging,
+  redact: (value) => redactOutbound(value, 'Chad'),
+  context: () => ({ session: BOOT_SESSION_ID, ...(activeSession.id !== BOOT_SESSION_ID && { susanSession: activeSession.id }), project: projectKey() }),
+  send: (message) => telemetrySink(message)
+});
+
 function logToChad(role, content) {
-  if (!chadWs || !chadConnected) return;
-  try { chadWs.send(JSON.stringify({ type: 'message', role, content, project: DEFAULT_PROJECT, ts: new Date().toISOString() })); } catch (e) {}
+  telemetry.message(role, content);
 }
 
-async function susanFetch(endpoint, options = {}) {
-  const res = await fetch(`${SUSAN_URL}${endpoint}`, { ...options, headers: { 'Content-Type': 'application/json', ...options.headers } });
-  if (!res.ok) throw new Error(`Susan ${res.status}`);
-  return res.json();
+// Last good service data, the offline search index and queued writes all live in the cache dir
+const CACHE_DIR = config.cache.dir || defaultCacheDir();
+fs.mkdirSync(CACHE_DIR, { recursive: true });
+const cache = createCache({ dir: CACHE_DIR, ttlSeconds: config.cache.ttlSeconds, staleSeconds: config.cache.staleSeconds, enabled: config.cache.enabled, log });
+
+const withNote = (text, parts) => { const note = cacheNote(parts); return note ? `${text}\n\n${note}` : text; };
+
+// Everything a worker plugin may use; see src/plugins.js for the plugin shape
+const host = {
+  config,
+  transport,
+  cache,
+  cacheDir: CACHE_DIR,
+  telemetry,
+  activeSession,
+  bootSessionId: BOOT_SESSION_ID,
+  projectKey,
+  log,
+  logToChad,
+  withNote,
+  redact: redactOutbound,
+  attachTelemetry: (send) => { telemetrySink = send; },
+  plugin: (name) => plugins.get(name),
+  sectionNames: () => [...Object.keys(CORE_SECTIONS), ...plugins.sections.keys()],
+  buildBriefing: (project, options) => buildBriefing(project, options),
+  notify: {
+    todosChanged: () => todosChanged(),
+    briefingChanged: () => briefingChanged(),
+    resourceListChanged: () => server.sendResourceListChanged().catch(() => {})
+  }
+};
+
+const plugins = await loadPlugins({
+  builtins: [susanPlugin, ryanPlugin, chadPlugin],
+  host,
+  config: config.plugins,
+  log,
+  client: (name, plugin) => createServiceClient({
+    service: name,
+    title: plugin.title,
+    baseUrl: config.plugins.services?.[name] || config.services[name] || plugin.baseUrl,
+    transport,
+    cache,
+    redact: redactOutbound,
+    onSuccess: plugin.onSuccess
+  })
+});
+
+// Resources and prompts are Susan's data; without her plugin they have nothing to read
+function susanApi() {
+  const susan = plugins.get('susan');
+  if (!susan) throw new Error('The Susan plugin is disabled (plugins.disabled)');
+  return susan.api;
 }
 
-function connectToServerClaude(projectPath = DEFAULT_PROJECT) {
-  return new Promise((resolve, reject) => {
-    if (serverClaudeWs && serverClaudeConnected) return resolve(true);
-    const wsUrl = `${CLAUDE_SERVER_WS}?path=${encodeURIComponent(projectPath)}&mode=claude`;
-    console.error(`[Kodiack] Connecting to server Claude: ${wsUrl}`);
-    serverClaudeWs = new WebSocket(wsUrl);
-    serverClaudeBuffer = '';
-    serverClaudeWs.on('open', () => { serverClaudeConnected = true; console.error('[Kodiack] Server Claude connected'); resolve(true); });
-    serverClaudeWs.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data.toString());
-        if (msg.type === 'output') {
-          const clean = msg.data.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').replace(/\x1b\[\?[0-9;]*[a-zA-Z]/g, '').replace(/\x1b\][^\x07]*\x07/g, '').replace(/\x1b/g, '');
-          serverClaudeBuffer += clean;
-          if (serverClaudeBuffer.length > 50000) serverClaudeBuffer = serverClaudeBuffer.slice(-30000);
+async function buildBriefing(project, { sections: requested, maxTokens } = {}) {
+  const sections = requested?.length ? requested : config.briefing.sections || host.sectionNames();
+  checkSections(sections, host.sectionNames());
+
+  // Each plugin fetches once for all of its sections; cache freshness is noted at the top
+  const fetched = [];
+  const track = (label, result) => { fetched.push({ label, result }); return result.value; };
+  const data = await plugins.briefingData(sections, { project, track });
+
+  const available = {
+    identity: { ...CORE_SECTIONS.identity, build: () => identitySection(loadTemplate(resolveTemplatePath({ template: config.briefing.template, projectDir: DEFAULT_PROJECT }), { project })) }
+  };
+  for (const [name, section] of plugins.sections) {
+    available[name] = { priority: section.priority, order: section.order, build: () => data.has(section.plugin.name) ? section.build(data.get(section.plugin.name) ?? {}) : null };
+  }
+
+  const { text, trimmed, dropped } = composeBriefing({ available, sections, maxTokens: maxTokens || config.briefing.maxTokens });
+  if (trimmed.length || dropped.length) log(`Briefing over budget - trimmed: ${trimmed.join(', ') || 'none'}, dropped: ${dropped.join(', ') || 'none'}`);
+  const note = cacheNote(fetched);
+  return note ? `${note}\n\n${text}` : text;
+}
+
+async function readResource(uri) {
+  const { kind, arg } = parseResourceUri(uri);
+  switch (kind) {
+    case 'briefing': return buildBriefing(projectKey(arg));
+    case 'todos': return susanApi().readTodos(projectKey(arg));
+    case 'ports': return susanApi().readPorts();
+    case 'knowledge': return susanApi().readKnowledge(arg);
+  }
+}
+
+// Named session, else the most recent one, else a fresh session for the default project
+async function serverClaudeSession(id) {
+  const session = serverClaude.resolve(id);
+  if (!session) return serverClaude.connect(projectKey());
+  if (!session.connected) await session.connect();
+  return session;
+}
+
+const server = new Server({ name: 'kodiack-studio', version: SERVER_VERSION }, { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {} } });
+
+const subscriptions = createSubscriptions({
+  read: readResource,
+  notify: (uri) => server.sendResourceUpdated({ uri }),
+  log: (m) => console.error(`[Kodiack] ${m}`)
+});
+
+// Todo and session writes change the todos/briefing resources; Susan is polled for everything else
+const todosChanged = () => subscriptions.changed(r => r.kind === 'todos' || r.kind === 'briefing');
+const briefingChanged = () => subscriptions.changed(r => r.kind === 'briefing');
+
+// Server Claude and project tools belong to this process; every worker tool comes from a plugin
+const CORE_TOOLS = [
+  {
+    name: 'server_claude_connect',
+    description: 'Connect to the server-side Claude terminal at :5400 for a project and return its session ID. Connecting to a project that already has a session reuses it. Call this before sending commands.',
+    inputSchema: { type: 'object', properties: { project: { type: 'string', description: 'Project path on the server (defaults to current working directory)' }, session: { type: 'string', description: 'Optional session name (defaults to the project folder name)' } } },
+    handler: async (args) => {
+      const p = projectKey(args.project);
+      const session = await serverClaude.connect(p, args.session);
+      logToChad('assistant', `Connected server Claude [${session.id}]: ${p}`);
+      return JSON.stringify({ session: session.id, project: p, wsUrl: CLAUDE_SERVER_WS, connected: session.connected }, null, 2);
+    }
+  },
+  {
+    name: 'server_claude_send',
+    description: 'Send a command/message to server-side Claude and wait until it is idle again. Returns JSON with the output of this command only, elapsedMs, timedOut, and blockedOn (a permission/confirmation prompt to answer with another send, e.g. command "1" and enter false). Commands are checked against the command policy: denied ones fail, and risky ones return reason "confirmation-required" with a confirmToken - send the same command again with confirm set to it. Text sent with enter false is checked together with what later enters it, unless it answers a prompt; Ctrl-C drops it.',
+    inputSchema: { type: 'object', properties: { session: { type: 'string', description: 'Session ID from server_claude_connect (defaults to the most recent session)' }, command: { type: 'string', description: 'The command or message to send to server Claude' }, confirm: { type: 'string', description: 'confirmToken from a confirmation-required reply, to send that command' }, timeoutMs: { type: 'number', description: 'Give up waiting after this long (default 120000ms)' }, quietMs: { type: 'number', description: 'Silence that counts as finished when no prompt is detected (default 3000ms)' }, enter: { type: 'boolean', description: 'Press Enter after the command (default true; false for single-key menu answers)' }, waitMs: { type: 'number', description: 'Deprecated - treated as timeoutMs' } }, required: ['command'] },
+    handler: async (args) => {
+      if (!args.command) throw new Error('command required');
+      const session = await serverClaudeSession(args.session);
+      const cancels = args.command.includes('\x03') || args.command === '\x1b';
+      const answers = !cancels && args.enter === false && answering.has(session.id);
+      const enters = args.enter !== false || /[\r\n]/.test(args.command);
+      const line = cancels || answers ? args.command : (typed.get(session.id) || '') + args.command;
+
+      let auditId = null;
+      if (cancels || answers || enters) {
+        const { token, expiresInSeconds, retryAfterMs, limit, invalidToken, ...verdict } = policy.authorize({ project: session.projectPath, session: session.id, command: line, confirm: args.confirm });
+        auditId = audit.command({ session: session.id, project: session.projectPath, command: line, ...verdict });
+        if (verdict.decision === 'deny') {
+          logToChad('assistant', `Refused [${session.id}]: ${line.slice(0, 80)} (policy deny)`);
+          throw new Error(`Refused by command policy: matches deny rule ${verdict.rule}`);
         }
-      } catch (e) { serverClaudeBuffer += data.toString(); }
-    });
-    serverClaudeWs.on('error', (e) => { serverClaudeConnected = false; reject(e); });
-    serverClaudeWs.on('close', () => { serverClaudeConnected = false; serverClaudeWs = null; });
-    setTimeout(() => { if (!serverClaudeConnected) reject(new Error('Timeout')); }, 10000);
+        if (verdict.decision === 'rate-limited') {
+          throw new Error(`Rate limit for ${session.projectPath}: ${limit.max} commands per ${limit.windowSeconds}s - try again in ${Math.ceil(retryAfterMs / 1000)}s`);
+        }
+        if (verdict.decision === 'confirm') {
+          return JSON.stringify({
+            session: session.id,
+            reason: 'confirmation-required',
+            rule: verdict.rule,
+            confirmToken: token,
+            expiresInSeconds,
+            message: `${invalidToken ? 'That token was expired or for another command. ' : ''}This command matches a rule that needs confirmation. Check it is what you mean, then send the same command again with confirm: "${token}".`
+          }, null, 2);
+        }
+      }
+
+      // Only Ctrl-C empties the input box; a bare Escape leaves the typed text in place
+      if (args.command.includes('\x03')) typed.delete(session.id);
+      else if (enters) typed.set(session.id, args.enter === false ? line.split(/[\r\n]/).pop() : '');
+      else if (!answers && !cancels) typed.set(session.id, line);
+
+      const mark = session.total;
+      let result;
+      try {
+        session.send(args.command);
+        if (args.enter !== false) session.send('\r');
+        result = await waitForIdle({
+          read: () => session.outputSince(mark),
+          lastOutputAt: () => session.lastOutputAt,
+          isConnected: () => session.connected,
+          timeoutMs: args.timeoutMs || args.waitMs || 120000,
+          quietMs: args.quietMs || 3000
+        });
+      } catch (e) {
+        if (auditId) audit.outcome(auditId, { error: e.message });
+        throw e;
+      }
+      if (result.blockedOn) answering.add(session.id);
+      else answering.delete(session.id);
+      if (auditId) audit.outcome(auditId, { reason: result.reason, elapsedMs: result.elapsedMs, timedOut: result.timedOut, ...(result.blockedOn && { blockedOn: result.blockedOn.question }), outputChars: result.output.length });
+      logToChad('assistant', `Sent [${session.id}]: ${line.slice(0, 80)}... (${result.reason}, ${result.elapsedMs}ms)`);
+      // Detection reads the plain stream; the caller gets it rendered, without spinner frames and redraws
+      const output = renderText(session.rawSince(mark), config.terminal);
+      return JSON.stringify({ session: session.id, ...result, output: output || '(no output)' }, null, 2);
+    }
+  },
+  {
+    name: 'server_claude_output',
+    description: 'Get output from a server Claude session: the rendered screen, the cleaned scrollback history (default), or the raw terminal stream. Optionally grep it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: { type: 'string', description: 'Session ID (defaults to the most recent session)' },
+        mode: { type: 'string', enum: ['screen', 'scrollback', 'raw'], description: 'screen: what is on the terminal now; scrollback: history with redraws folded away (default); raw: the unprocessed stream with escape codes' },
+        lines: { type: 'number', description: 'Number of recent lines to return (default all)' },
+        search: { type: 'string', description: 'Only return lines matching this case-insensitive regex, grep-style with line numbers' },
+        context: { type: 'number', description: 'Lines of context around each search match (default 2)' }
+      }
+    },
+    handler: async (args) => {
+      const session = serverClaude.resolve(args.session);
+      if (!session) return '(empty)';
+      let lines = session.output(args.mode);
+      const total = lines.length;
+      if (args.lines > 0) lines = lines.slice(-args.lines);
+      if (args.search) {
+        return grepLines(lines, args.search, { context: args.context ?? 2, firstLine: total - lines.length + 1 }) || `(no lines match ${args.search})`;
+      }
+      return lines.join('\n') || '(empty)';
+    }
+  },
+  {
+    name: 'server_claude_audit',
+    description: 'Query the local audit log of commands sent (or refused) to server Claude, newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: { type: 'string', description: 'Only this session' },
+        project: { type: 'string', description: 'Only this project' },
+        decision: { type: 'string', enum: DECISIONS, description: 'allow, deny, confirm (asked for confirmation) or rate-limited' },
+        search: { type: 'string', description: 'Text in the command' },
+        since: { type: 'string', description: 'Recorded on or after this date (YYYY-MM-DD or ISO time)' },
+        limit: { type: 'number', description: 'Most entries to return (default 20)' },
+        format: { type: 'string', enum: ['markdown', 'json'], description: 'markdown (default) or raw json' }
+      }
+    },
+    handler: async (args) => {
+      const entries = audit.query({ ...args, project: args.project && projectKey(args.project) });
+      return args.format === 'json' ? JSON.stringify({ file: audit.file, entries }, null, 2) : renderAudit(entries);
+    }
+  },
+  {
+    name: 'server_claude_status',
+    description: 'Check if connected to server Claude - one session, or all sessions when none is given',
+    inputSchema: { type: 'object', properties: { session: { type: 'string', description: 'Session ID' } } },
+    handler: async (args) => JSON.stringify(args.session ? serverClaude.get(args.session).status() : { wsUrl: CLAUDE_SERVER_WS, current: serverClaude.current, sessions: serverClaude.list() }, null, 2)
+  },
+  {
+    name: 'server_claude_list_sessions',
+    description: 'List open server Claude sessions with their project paths and connection state',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async () => { const list = serverClaude.list(); return list.length ? JSON.stringify(list, null, 2) : 'No server Claude sessions open'; }
+  },
+  {
+    name: 'server_claude_disconnect',
+    description: 'Close a server Claude session',
+    inputSchema: { type: 'object', properties: { session: { type: 'string', description: 'Session ID to close' } }, required: ['session'] },
+    handler: async (args) => {
+      const session = serverClaude.disconnect(args.session);
+      typed.delete(session.id);
+      answering.delete(session.id);
+      logToChad('assistant', `Disconnected server Claude [${session.id}]`);
+      return `Disconnected session ${session.id} (${session.projectPath})`;
+    }
+  },
+  {
+    name: 'kodiack_resolve_project',
+    description: 'Show how a local or server path maps to the canonical project ID used by Susan and server Claude (pathMappings in kodiack.config.json)',
+    inputSchema: { type: 'object', properties: { path: { type: 'string', description: 'Path to resolve (defaults to current working directory)' } } },
+    handler: async (args) => JSON.stringify({ ...paths.resolve(args.path || DEFAULT_PROJECT), rules: paths.rules }, null, 2)
+  },
+  {
+    name: 'kodiack_plugins',
+    description: 'List loaded worker plugins with their tools and briefing sections, plus any that failed to load',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async () => JSON.stringify({
+      plugins: plugins.plugins.map(p => ({ name: p.name, title: p.title, source: p.source, baseUrl: p.client.baseUrl, tools: (p.tools || []).map(t => `${p.name}_${t.name}`), sections: (p.briefing?.sections || []).map(s => s.name) })),
+      errors: plugins.errors
+    }, null, 2)
+  },
+  {
+    name: 'kodiack_health',
+    description: 'Diagnose the setup end to end: config and environment, Susan/Ryan/Chad/server Claude reachability, latency and API versions, and chad-watcher\'s local state. Returns a pass/warn/fail report with fix hints.',
+    inputSchema: { type: 'object', properties: { format: { type: 'string', enum: ['text', 'json'], description: 'text report (default) or JSON' } } },
+    handler: async (args) => {
+      const report = await healthReport({ chad: { connected: plugins.get('chad')?.api.connected() || false, queued: telemetry.status().depth }, claudeServer: { sessions: serverClaude.list().length } });
+      return args.format === 'json' ? JSON.stringify(report, null, 2) : formatReport(report);
+    }
+  }
+];
+
+// Probes only what this profile uses: disabled plugins and features are left out
+function healthReport(live) {
+  return runDoctor({
+    config,
+    transport,
+    warnings: configWarnings,
+    urls: {
+      susan: plugins.get('susan')?.client.baseUrl,
+      ryan: plugins.get('ryan')?.client.baseUrl,
+      chad: config.features.chadLogging && plugins.get('chad') ? config.services.chad : null,
+      claudeServer: config.features.serverClaude ? CLAUDE_SERVER_WS : null
+    },
+    plugins: { loaded: plugins.plugins.map(p => p.name), errors: plugins.errors, disabled: config.plugins.disabled },
+    projectId: projectKey(),
+    live,
+    version: SERVER_VERSION
   });
 }
 
-const server = new Server({ name: 'kodiack-studio', version: '1.2.0' }, { capabilities: { tools: {} } });
-
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: [
-    { name: 'susan_get_briefing', description: 'Get full context briefing from Susan - includes last session, recent conversation, todos, knowledge, ports, schemas, and file structure. Call this at the start of each session to restore memory.', inputSchema: { type: 'object', properties: { project: { type: 'string', description: 'Project path (defaults to current working directory)' } } } },
-    { name: 'susan_get_todos', description: 'Get current pending todos/tasks from Susan', inputSchema: { type: 'object', properties: { project: { type: 'string', description: 'Project path' }, status: { type: 'string', enum: ['pending', 'in_progress', 'completed', 'all'], description: 'Filter by status (defaults to pending)' } } } },
-    { name: 'susan_search_knowledge', description: "Search Susan's knowledge base for relevant information", inputSchema: { type: 'object', properties: { query: { type: 'string', description: 'Search query' }, category: { type: 'string', description: 'Optional category filter' } }, required: ['query'] } },
-    { name: 'susan_log_session', description: 'Log session activity to Susan for memory persistence', inputSchema: { type: 'object', properties: { project: { type: 'string' }, summary: { type: 'string', description: 'Summary of what was accomplished' }, messages: { type: 'array', description: 'Key messages to remember' } }, required: ['summary'] } },
-    { name: 'susan_add_knowledge', description: "Add new knowledge to Susan's database for future reference", inputSchema: { type: 'object', properties: { title: { type: 'string' }, content: { type: 'string' }, category: { type: 'string' }, project: { type: 'string' } }, required: ['title', 'content', 'category'] } },
-    { name: 'susan_get_ports', description: 'Get the port assignments for all services in the dev environment', inputSchema: { type: 'object', properties: {} } },
-    { name: 'server_claude_connect', description: 'Connect to the server-side Claude terminal at :5400. Call this before sending commands.', inputSchema: { type: 'object', properties: { project: { type: 'string', description: 'Project path on the server (defaults to current working directory)' } } } },
-    { name: 'server_claude_send', description: 'Send a command/message to server-side Claude and get the response. Server Claude will execute directly on the server codebase.', inputSchema: { type: 'object', properties: { command: { type: 'string', description: 'The command or message to send to server Claude' }, waitMs: { type: 'number', description: 'How long to wait for response (default 5000ms)' } }, required: ['command'] } },
-    { name: 'server_claude_output', description: 'Get the recent output buffer from server Claude terminal', inputSchema: { type: 'object', properties: { lines: { type: 'number', description: 'Number of recent lines to return (default all)' } } } },
-    { name: 'server_claude_status', description: 'Check if connected to server Claude terminal', inputSchema: { type: 'object', properties: {} } },
-    { name: 'chad_status', description: 'Check if connected to Chad for session logging', inputSchema: { type: 'object', properties: {} } },
-  ]
-}));
+const listTools = () => [
+  ...plugins.list(),
+  ...CORE_TOOLS.filter(t => config.features.serverClaude || !t.name.startsWith('server_claude_')).map(({ handler, ...tool }) => tool)
+];
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  logToChad('system', `Tool: ${name}`);
+server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: listTools() }));
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  const project = projectKey();
+  const resources = [
+    { uri: resourceUri('briefing', project), name: `Briefing - ${project}`, mimeType: 'text/markdown' },
+    { uri: resourceUri('todos', project), name: `Todos - ${project}`, mimeType: 'text/markdown' },
+    { uri: resourceUri('ports'), name: 'Port assignments', mimeType: 'text/markdown' }
+  ];
   try {
-    switch (name) {
-      case 'susan_get_briefing': {
-        const project = args?.project || DEFAULT_PROJECT;
-        const ctx = await susanFetch(`/api/context?project=${encodeURIComponent(project)}`);
-
-        // Fetch last 6 hours of session logs from Susan
-        let sessions = [];
-        try {
-          const sessionsRes = await susanFetch(`/api/sessions?hours=6&limit=5`);
-          sessions = sessionsRes.sessions || sessionsRes || [];
-        } catch (e) { console.error('Failed to fetch sessions:', e.message); }
-
-        // Fetch Ryan's whats-next recommendation
-        let ryanRec = null;
-        try {
-          const ryanRes = await fetch(`${RYAN_URL}/api/whats-next`);
-          if (ryanRes.ok) ryanRec = await ryanRes.json();
-        } catch (e) { console.error('Failed to fetch Ryan:', e.message); }
-
-        let b = "# Welcome Back, Claude!\n\n";
-
-        // Identity & Context Section
-        b += `## Who You Are\n`;
-        b += `You are **Claude** - the lead AI developer at **Kodiack Studios**. You work directly with Michael (the human founder) on building software projects.\n\n`;
-
-        b += `## Your AI Team\n`;
-        b += `You're not alone! You have AI teammates that help you:\n`;
-        b += `- **Chad** (:5401) - Transcription & Capture Specialist\n`;
-        b += `- **Jen** (:5402) - Scrubbing & Signal Extraction\n`;
-        b += `- **Susan** (:5403) - Classification & Sorting, your long-term memory\n`;
-        b += `- **Clair** (:5404) - Documentation Specialist\n`;
-        b += `- **Mike** (:5405) - QA Tester\n`;
-        b += `- **Tiffany** (:5406) - QA Tester\n`;
-        b += `- **Ryan** (:5407) - Roadmap & Prioritization Lead\n\n`;
-
-        b += `## Server Claude\n`;
-        b += `You have a **Server-Side Claude** running on the droplet at :5400. Use these tools to work directly on server code:\n`;
-        b += `- \`server_claude_connect\` - Connect to server Claude\n`;
-        b += `- \`server_claude_send\` - Send commands/messages to execute on server\n`;
-        b += `- \`server_claude_output\` - Get recent output from server terminal\n\n`;
-
-        b += `## Kodiack Studios\n`;
-        b += `We build software products. Current projects live on the DigitalOcean droplet at 161.35.229.220.\n`;
-        b += `- **Dev Studio** (:5000) - Development IDE with AI integration (React/Next.js)\n`;
-        b += `- **NextBid** (:5100) - Auction platform project\n`;
-        b += `- **AI Workers** - Chad, Susan, Clair, Ryan (Express.js services)\n`;
-        b += `- **Auth Service** (:7000) - Handles authentication\n\n`;
-
-        b += `## Tech Stack\n`;
-        b += `- **Frontend:** React, Next.js, TypeScript, Tailwind CSS\n`;
-        b += `- **Backend:** Node.js, Express.js\n`;
-        b += `- **Database:** PostgreSQL (kodiack_ai db) with dev_* tables\n`;
-        b += `- **Process Manager:** PM2 for all services\n`;
-        b += `- **Real-time:** WebSockets for terminal & chat\n\n`;
-
-        b += `## Your Role\n`;
-        b += `You're the **front-end lead** working from Michael's Windows machine (C:\\Projects\\...).\n`;
-        b += `Server Claude handles server-side code on the droplet (/var/www/Kodiack_Studio/...).\n`;
-        b += `When you need server changes, use \`server_claude_send\` to tell Server Claude what to do.\n`;
-        b += `Chad logs everything, Jen extracts insights, Susan files them, Ryan tracks the roadmap.\n\n`;
-
-        b += `## Quick Commands\n`;
-        b += `- \`/server <cmd>\` - Send command to Server Claude\n`;
-        b += `- \`/ports\` - See all service ports\n`;
-        b += `- \`/todos\` - Check pending tasks\n`;
-        b += `- \`/remember <info>\` - Save knowledge for later\n`;
-        b += `- \`/search <query>\` - Search Susan's knowledge base\n\n`;
-
-        b += `---\n\n`;
-
-        if (ctx.greeting) b += ctx.greeting + '\n\n';
-
-        // Last Session Summary
-        if (ctx.lastSession) {
-          b += '## Last Session Summary\n';
-          b += `- Started: ${ctx.lastSession.startedAt}\n- Ended: ${ctx.lastSession.endedAt}\n`;
-          if (ctx.lastSession.summary) b += `- Summary: ${ctx.lastSession.summary}\n`;
-          b += '\n';
-        }
+    const { value: ctx } = await susanApi().context(project);
+    for (const k of ctx.knowledge || []) {
+      if (k.id) resources.push({ uri: resourceUri('knowledge', k.id), name: k.title, description: k.category, mimeType: 'text/markdown' });
+    }
+  } catch (e) { console.error('[Kodiack] Knowledge listing unavailable:', e.message); }
+  return { resources };
+});
 
-        // Chad's Last 3 Session Logs (Full Content - cleaned)
-        if (sessions.length > 0) {
-          b += '## Chad\'s Session Logs (Last 3)\n\n';
-          sessions.slice(0, 3).forEach((s, i) => {
-            b += `### Session ${i + 1} - ${s.started_at || s.startedAt || 'Unknown'}\n`;
-            if (s.summary) b += `**Summary:** ${s.summary}\n\n`;
-            // Handle messages array from sessions
-            if (s.messages && s.messages.length > 0) {
-              const msgLog = s.messages.slice(0, 20).map(m => `[${m.role}] ${(m.content || '').slice(0, 150)}`).join('\n');
-              b += `**Log (${s.messages.length} messages):**\n\`\`\`\n${msgLog}\n\`\`\`\n\n`;
-            } else if (s.raw_content || s.rawContent) {
-              // Clean terminal garbage from raw content
-              let content = (s.raw_content || s.rawContent || '')
-                .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')  // ANSI escape codes
-                .replace(/\x1b\[\?[0-9;]*[a-zA-Z]/g, '') // ANSI modes
-                .replace(/\x1b\][^\x07]*\x07/g, '')      // OSC sequences
-                .replace(/\x1b/g, '')                     // Remaining escapes
-                .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '') // Control chars (keep newlines/tabs)
-                .slice(0, 2000);
-              b += `**Log:**\n\`\`\`\n${content}${content.length >= 2000 ? '\n...(truncated)' : ''}\n\`\`\`\n\n`;
-            }
-          });
-        }
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
 
-        // Ryan's What's Next Recommendations
-        b += '## Ryan\'s Recommendations - What\'s Next\n\n';
-        if (ryanRec && ryanRec.success && ryanRec.recommendation) {
-          const rec = ryanRec.recommendation;
-          b += `**${ryanRec.action_message || 'Focus on current task'}**\n\n`;
-          b += `📍 **Current:** ${rec.phase} (${rec.project})\n`;
-          if (rec.description) b += `   ${rec.description}\n`;
-          if (rec.reasons?.length) b += `   ${rec.reasons.join(' ')}\n`;
-          b += '\n';
-          if (ryanRec.alternatives?.length) {
-            b += '**Alternatives:**\n';
-            ryanRec.alternatives.slice(0, 3).forEach((alt, i) => {
-              b += `${i + 1}. ${alt.phase} (${alt.project}) - ${alt.reasons?.join(' ') || ''}\n`;
-            });
-            b += '\n';
-          }
-          if (ryanRec.warnings?.length) {
-            b += '**⚠️ Blockers:**\n';
-            ryanRec.warnings.forEach(w => b += `- ${w.message}\n`);
-            b += '\n';
-          }
-          b += `*${ryanRec.summary?.total_phases || 0} phases tracked, ${ryanRec.summary?.actionable || 0} actionable*\n\n`;
-        } else {
-          b += `*Ryan is not online or has no recommendations.*\n\n`;
-        }
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  return { contents: [{ uri, mimeType: 'text/markdown', text: await readResource(uri) }] };
+});
 
-        // Pending Todos
-        if (ctx.todos?.length) {
-          b += '## All Pending Todos\n';
-          ctx.todos.forEach(t => b += `- [${t.priority}] ${t.title}: ${t.description || ''}\n`);
-          b += '\n';
-        }
+server.setRequestHandler(SubscribeRequestSchema, async (request) => { await subscriptions.subscribe(request.params.uri); return {}; });
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => { subscriptions.unsubscribe(request.params.uri); return {}; });
 
-        // Port Assignments
-        if (ctx.ports?.length) {
-          b += '## Port Assignments\n';
-          ctx.ports.forEach(p => b += `- :${p.port} - ${p.service}: ${p.description}\n`);
-          b += '\n';
-        }
+server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+  prompts: PROMPTS.filter(p => config.features.serverClaude || p.name !== 'server')
+}));
 
-        logToChad('assistant', `Briefing for ${project}`);
-        return { content: [{ type: 'text', text: b }] };
-      }
-      case 'susan_get_todos': { const d = await susanFetch(`/api/todos?project=${encodeURIComponent(args?.project || DEFAULT_PROJECT)}&status=${args?.status || 'pending'}`); return { content: [{ type: 'text', text: JSON.stringify(d, null, 2) }] }; }
-      case 'susan_search_knowledge': { const d = await susanFetch(`/api/query?q=${encodeURIComponent(args.query)}${args.category ? '&category=' + encodeURIComponent(args.category) : ''}`); logToChad('assistant', `Search: ${args.query}`); return { content: [{ type: 'text', text: JSON.stringify(d, null, 2) }] }; }
-      case 'susan_log_session': { const d = await susanFetch('/api/sessions', { method: 'POST', body: JSON.stringify({ project: args?.project || DEFAULT_PROJECT, summary: args.summary, messages: args.messages || [] }) }); logToChad('assistant', `Logged: ${args.summary}`); return { content: [{ type: 'text', text: `Session logged: ${JSON.stringify(d)}` }] }; }
-      case 'susan_add_knowledge': { const d = await susanFetch('/api/remember', { method: 'POST', body: JSON.stringify({ projectPath: args?.project || DEFAULT_PROJECT, title: args.title, summary: args.content, category: args.category, importance: 8 }) }); logToChad('assistant', `Added: ${args.title}`); return { content: [{ type: 'text', text: `Knowledge added: ${JSON.stringify(d)}` }] }; }
-      case 'susan_get_ports': { const d = await susanFetch('/api/ports'); let t = '# Port Assignments\n\n'; if (Array.isArray(d)) d.forEach(p => t += `- **:${p.port}** - ${p.service}: ${p.description}\n`); else t = JSON.stringify(d, null, 2); return { content: [{ type: 'text', text: t }] }; }
-      case 'server_claude_connect': { const p = args?.project || DEFAULT_PROJECT; await connectToServerClaude(p); logToChad('assistant', `Connected server Claude: ${p}`); return { content: [{ type: 'text', text: `Connected to server Claude at ${CLAUDE_SERVER_WS} for ${p}` }] }; }
-      case 'server_claude_send': { if (!args.command) throw new Error('command required'); if (!serverClaudeConnected) await connectToServerClaude(); serverClaudeBuffer = ''; serverClaudeWs.send(JSON.stringify({ type: 'input', data: args.command })); serverClaudeWs.send(JSON.stringify({ type: 'input', data: '\r' })); await new Promise(r => setTimeout(r, args.waitMs || 5000)); logToChad('assistant', `Sent: ${args.command.slice(0, 80)}...`); return { content: [{ type: 'text', text: serverClaudeBuffer || '(no output)' }] }; }
-      case 'server_claude_output': { let o = serverClaudeBuffer; if (args?.lines > 0) o = o.split('\n').slice(-args.lines).join('\n'); return { content: [{ type: 'text', text: o || '(empty)' }] }; }
-      case 'server_claude_status': { return { content: [{ type: 'text', text: JSON.stringify({ connected: serverClaudeConnected, wsUrl: CLAUDE_SERVER_WS, bufferSize: serverClaudeBuffer.length }, null, 2) }] }; }
-      case 'chad_status': { return { content: [{ type: 'text', text: JSON.stringify({ connected: chadConnected, wsUrl: CHAD_WS_URL }, null, 2) }] }; }
-      default: throw new Error(`Unknown tool: ${name}`);
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+  if (name === 'server' && !config.features.serverClaude) throw new Error(`Server Claude is disabled in profile ${config.profile || '(default)'} (features.serverClaude)`);
+  telemetry.event('prompt', { prompt: name, args: args || {} });
+  return buildPrompt(name, args, {
+    readResource,
+    projectKey,
+    search: async (query, category) => {
+      const d = await susanApi().searchKnowledge(query, { category });
+      const results = d.results || [];
+      const list = results.length ? results.map(k => `- **${k.title}**${k.category ? ` (${k.category})` : ''} \`${resourceUri('knowledge', k.id)}\`: ${(k.summary || k.content || '').slice(0, 300)}`).join('\n') : '*No matches.*';
+      return d.note ? `${list}\n\n${d.note}` : list;
     }
-  } catch (err) { logToChad('error', `${name}: ${err.message}`); return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true }; }
+  });
 });
 
+// Every call is recorded for Chad with its timing and outcome
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+  const call = telemetry.startCall(name, args);
+  toolCalls++;
+  const result = await runTool(name, args);
+  call.end(result);
+  return result;
+});
+
+async function runTool(name, args = {}) {
+  try {
+    if (name.startsWith('server_claude_') && !config.features.serverClaude) throw new Error(`Server Claude tools are disabled in profile ${config.profile || '(default)'} (features.serverClaude)`);
+    const core = CORE_TOOLS.find(t => t.name === name);
+    if (!core) return await plugins.call(name, args);
+    return { content: [{ type: 'text', text: await core.handler(args) }] };
+  } catch (err) { return { content: [{ type: 'text', text: `Error: ${err.message}` }], isError: true }; }
+}
+
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
-  console.error('[Kodiack Studio] MCP server running v1.1 - Susan + Chad connected');
-  connectToChad();
+  console.error(`[Kodiack Studio] MCP server running v${SERVER_VERSION} - Susan + Chad connected (profile: ${config.profile || 'default'}${config.sources.length ? `, config: ${config.sources.join(', ')}` : ''})`);
+  plugins.start();
+  telemetry.event('session_start', { pid: process.pid, version: SERVER_VERSION, profile: config.profile || 'default', tools: listTools().length, plugins: plugins.plugins.map(p => p.name) });
 }
 
-main().catch(console.error);
+let shuttingDown = false;
+
+// session_end gets a moment to reach Chad before the process goes away
+function shutdown(reason) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  telemetry.event('session_end', { reason, uptimeMs: Date.now() - BOOTED_AT, toolCalls });
+  const { depth } = telemetry.status();
+  if (depth) console.error(`[Kodiack] Exiting with ${depth} Chad event(s) unsent`);
+  setTimeout(() => process.exit(0), plugins.get('chad')?.api.connected() ? 200 : 0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.stdin.on('end', () => shutdown('stdin closed'));
+
+if (DOCTOR) printReport(await healthReport());
+else main().catch(console.error);
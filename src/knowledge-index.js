@@ -0,0 +1,104 @@
+/**
+ * Local Knowledge Index
+ * Small full-text index over every knowledge entry we have seen, for offline search
+ *
+ * Entries arrive from briefings, searches, knowledge reads and local writes.
+ * Scoring is plain TF-IDF with title matches weighted up; the last query word
+ * also matches as a prefix so partial words still find something.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const MAX_ENTRIES = 2000;
+const TITLE_WEIGHT = 3;
+
+export function tokenize(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length > 1);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - Directory for knowledge-index.json
+ * @param {boolean} [options.enabled]
+ * @param {(message: string) => void} [options.log]
+ */
+export function createKnowledgeIndex({ dir, enabled = true, log = () => {} }) {
+  const file = path.join(dir, 'knowledge-index.json');
+  let entries = {}; // id -> { entry, indexedAt }
+  let postings = null; // token -> Map(id -> weighted count), rebuilt lazily
+
+  if (enabled) {
+    try {
+      entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') log(`Knowledge index ${file} unreadable, starting empty: ${e.message}`);
+    }
+  }
+
+  function build() {
+    postings = new Map();
+    for (const [id, { entry }] of Object.entries(entries)) {
+      const weights = new Map();
+      for (const t of tokenize(entry.title)) weights.set(t, (weights.get(t) || 0) + TITLE_WEIGHT);
+      for (const t of tokenize(`${entry.summary || ''} ${entry.content || ''} ${entry.category || ''} ${(entry.tags || []).join(' ')}`)) weights.set(t, (weights.get(t) || 0) + 1);
+      for (const [t, w] of weights) {
+        if (!postings.has(t)) postings.set(t, new Map());
+        postings.get(t).set(id, w);
+      }
+    }
+  }
+
+  /**
+   * Add or refresh entries (anything without an id or title is skipped)
+   */
+  function add(list) {
+    if (!enabled) return;
+    let changed = false;
+    for (const entry of list || []) {
+      if (!entry?.id || !entry.title) continue;
+      entries[entry.id] = { entry, indexedAt: Date.now() };
+      changed = true;
+    }
+    if (!changed) return;
+    const ids = Object.keys(entries);
+    if (ids.length > MAX_ENTRIES) {
+      ids.sort((a, b) => entries[a].indexedAt - entries[b].indexedAt).slice(0, ids.length - MAX_ENTRIES).forEach(id => delete entries[id]);
+    }
+    postings = null;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entries));
+  }
+
+  function remove(id) {
+    if (!enabled || !entries[id]) return;
+    delete entries[id];
+    postings = null;
+    fs.writeFileSync(file, JSON.stringify(entries));
+  }
+
+  /**
+   * @returns {Array<object>} matching entries, best first, each with a `score`
+   */
+  function search(query, { category, limit = 20 } = {}) {
+    if (!postings) build();
+    const terms = tokenize(query);
+    const total = Object.keys(entries).length || 1;
+    const scores = new Map();
+    terms.forEach((term, i) => {
+      const tokens = i === terms.length - 1 ? [...postings.keys()].filter(t => t.startsWith(term)) : postings.has(term) ? [term] : [];
+      for (const token of tokens) {
+        const docs = postings.get(token);
+        const idf = Math.log(1 + total / docs.size);
+        for (const [id, weight] of docs) scores.set(id, (scores.get(id) || 0) + weight * idf * (token === term ? 1 : 0.5));
+      }
+    });
+    return [...scores.entries()]
+      .map(([id, score]) => ({ ...entries[id].entry, score: Math.round(score * 100) / 100 }))
+      .filter(e => !category || e.category === category)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { file, add, remove, search, get: (id) => entries[id]?.entry || null, get size() { return Object.keys(entries).length; } };
+}
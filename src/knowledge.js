@@ -0,0 +1,190 @@
+/**
+ * Knowledge Helpers
+ * Validates knowledge writes, filters and ranks search results, and spots near-duplicates
+ *
+ * Entries that were archived or superseded stay in Susan for the record but
+ * drop out of searches and briefings unless asked for.
+ */
+
+import { tokenize } from './knowledge-index.js';
+
+export const RELATIONS = ['related', 'depends-on', 'see-also'];
+// What susan_add_knowledge has always sent without one; entries missing it rank as if they had it
+export const DEFAULT_IMPORTANCE = 8;
+export const DUPLICATE_THRESHOLD = 0.6;
+
+const RECENT_MS = 30 * 86400e3;
+
+export const isCurrent = (k) => !k.status || k.status === 'active';
+
+const createdAt = (k) => Date.parse(k.created_at || k.createdAt || k.updated_at || k.updatedAt || '') || null;
+
+/**
+ * Lowercase, trimmed, unique tags from a string list
+ */
+export function normalizeTags(tags) {
+  if (tags === undefined) return undefined;
+  if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) throw new Error('tags must be an array of strings');
+  return [...new Set(tags.map(t => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Pick the writable knowledge fields out of tool arguments
+ * `content` is stored as Susan's `summary`.
+ * @returns {object} only the fields that were given
+ */
+export function knowledgeFields(args = {}) {
+  if (args.importance !== undefined && !(Number.isInteger(args.importance) && args.importance >= 1 && args.importance <= 10)) {
+    throw new Error('importance must be a whole number from 1 to 10');
+  }
+  const fields = {};
+  for (const key of ['title', 'category', 'importance']) {
+    if (args[key] !== undefined) fields[key] = args[key];
+  }
+  if (args.content !== undefined) fields.summary = args.content;
+  if (args.tags !== undefined) fields.tags = normalizeTags(args.tags);
+  return fields;
+}
+
+/**
+ * Check search filters from tool arguments
+ *
+ * @param {object} args - Tool arguments
+ * @param {string} [project] - Canonical project ID, when filtering by project
+ */
+export function searchFilters(args = {}, project) {
+  for (const key of ['since', 'until']) {
+    if (args[key] !== undefined && Number.isNaN(Date.parse(args[key]))) throw new Error(`${key} must be a date, e.g. 2026-01-31`);
+  }
+  if (args.minImportance !== undefined && typeof args.minImportance !== 'number') throw new Error('minImportance must be a number from 1 to 10');
+  return {
+    category: args.category,
+    project,
+    tags: normalizeTags(args.tags),
+    since: args.since,
+    until: args.until,
+    minImportance: args.minImportance,
+    includeArchived: args.includeArchived === true
+  };
+}
+
+/**
+ * Susan's search endpoint with the filters as query params
+ */
+export function searchPath(query, filters = {}) {
+  const params = new URLSearchParams({ q: query });
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined || value === false || (Array.isArray(value) && !value.length)) continue;
+    params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+  }
+  return `/api/query?${params}`;
+}
+
+/**
+ * Does an entry pass the filters? Applied locally too, since older Susan builds ignore them.
+ */
+export function matchesFilters(k, { category, project, tags, since, until, minImportance, includeArchived } = {}) {
+  if (!includeArchived && !isCurrent(k)) return false;
+  if (category && k.category !== category) return false;
+  if (project && k.projectPath && k.projectPath !== project && k.project !== project) return false;
+  if (tags?.length && !tags.every(t => (k.tags || []).map(x => x.toLowerCase()).includes(t))) return false;
+  if (minImportance !== undefined && (k.importance ?? DEFAULT_IMPORTANCE) < minImportance) return false;
+  const at = createdAt(k);
+  if (since && (!at || at < Date.parse(since))) return false;
+  // A bare date means the whole day
+  if (until && (!at || at > Date.parse(until) + (/^\d{4}-\d{2}-\d{2}$/.test(until) ? 86400e3 - 1 : 0))) return false;
+  return true;
+}
+
+/**
+ * Order results: query words in the title count most, then tags, then the text;
+ * importance scales that up and entries from the last 30 days get a small lift
+ *
+ * @returns {Array<object>} entries with a `rank` score, best first
+ */
+export function rankKnowledge(entries, query, now = Date.now()) {
+  const terms = tokenize(query);
+  return entries.map(k => {
+    const title = tokenize(k.title);
+    const tags = (k.tags || []).flatMap(tokenize);
+    const text = tokenize(`${k.summary || ''} ${k.content || ''}`);
+    const hit = (tokens, term) => tokens.some(t => t === term || t.startsWith(term));
+    const relevance = terms.reduce((sum, term) => sum + (hit(title, term) ? 3 : 0) + (hit(tags, term) ? 2 : 0) + (hit(text, term) ? 1 : 0), 0);
+    const at = createdAt(k);
+    const rank = (relevance || 0.5) * (1 + (k.importance ?? DEFAULT_IMPORTANCE) / 10) + (at && now - at < RECENT_MS ? 0.5 : 0);
+    return { ...k, rank: Math.round(rank * 100) / 100 };
+  }).sort((a, b) => b.rank - a.rank);
+}
+
+const jaccard = (a, b) => {
+  const x = new Set(a), y = new Set(b);
+  if (!x.size && !y.size) return 0;
+  let shared = 0;
+  for (const t of x) if (y.has(t)) shared++;
+  return shared / (x.size + y.size - shared);
+};
+
+/**
+ * 0-1 overlap of two entries' words; near-identical titles count on their own
+ */
+export function similarity(a, b) {
+  const words = (k) => tokenize(`${k.title} ${k.summary || k.content || ''}`);
+  return Math.max(jaccard(words(a), words(b)), 0.9 * jaccard(tokenize(a.title), tokenize(b.title)));
+}
+
+/**
+ * Current entries that look like the same fact as `entry`, most similar first
+ */
+export function findDuplicates(entry, candidates, threshold = DUPLICATE_THRESHOLD) {
+  const seen = new Set();
+  return candidates
+    .filter(k => k?.id && isCurrent(k) && !seen.has(k.id) && seen.add(k.id))
+    .filter(k => !entry.projectPath || !k.projectPath || k.projectPath === entry.projectPath)
+    .map(k => ({ ...k, similarity: Math.round(similarity(entry, k) * 100) / 100 }))
+    .filter(k => k.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Fold a new entry into an existing one: text appended unless already there,
+ * tags combined, the higher importance kept
+ */
+export function mergeFields(existing, incoming) {
+  const text = existing.summary || existing.content || '';
+  return {
+    summary: !incoming.summary || text.includes(incoming.summary.trim()) ? text : `${text}\n\n${incoming.summary}`.trim(),
+    tags: [...new Set([...(existing.tags || []), ...(incoming.tags || [])])],
+    importance: Math.max(existing.importance ?? DEFAULT_IMPORTANCE, incoming.importance ?? DEFAULT_IMPORTANCE)
+  };
+}
+
+/**
+ * Add or remove a link in an entry's `links` list
+ */
+export function withLink(links = [], id, relation) {
+  const rest = links.filter(l => l.id !== id);
+  return relation ? [...rest, { id, relation }] : rest;
+}
+
+function resultLine(k, i) {
+  const meta = [k.category, `importance ${k.importance ?? DEFAULT_IMPORTANCE}`, k.tags?.length && k.tags.map(t => `#${t}`).join(' '), createdAt(k) && new Date(createdAt(k)).toISOString().slice(0, 10), !isCurrent(k) && `**${k.status}**`].filter(Boolean);
+  const text = (k.summary || k.content || '').replace(/\s+/g, ' ').trim();
+  return `${i + 1}. **${k.title}** \`${k.id}\` - ${meta.join(' · ')}${text ? `\n   ${text.length > 300 ? `${text.slice(0, 299)}…` : text}` : ''}`;
+}
+
+/**
+ * Ranked results as a numbered markdown list
+ */
+export function renderResults(results, { query, filters = {} } = {}) {
+  const active = [
+    filters.category && `category ${filters.category}`,
+    filters.project && `project ${filters.project}`,
+    filters.tags?.length && `tags ${filters.tags.join(', ')}`,
+    filters.since && `since ${filters.since}`,
+    filters.until && `until ${filters.until}`,
+    filters.minImportance !== undefined && `importance ≥ ${filters.minImportance}`,
+    filters.includeArchived && 'including archived'
+  ].filter(Boolean);
+  const heading = `# Knowledge: "${query}" (${results.length} result${results.length === 1 ? '' : 's'})${active.length ? `\n\n*Filters: ${active.join(' · ')}*` : ''}`;
+  return results.length ? `${heading}\n\n${results.map(resultLine).join('\n')}` : `${heading}\n\n*No matches.*`;
+}
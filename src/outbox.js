@@ -0,0 +1,275 @@
+/**
+ * Durable Outbox
+ * Append-only journal of requests that still have to reach Susan
+ *
+ * Every entry is written to disk before it is sent, so a crash or a Susan
+ * outage never loses captured work. Entries are keyed by a content hash,
+ * which makes replays idempotent: enqueueing the same message twice is a no-op.
+ * One process owns a journal at a time (lockOutbox); others only read it
+ * (inspectOutbox).
+ *
+ * Journal records (one JSON object per line):
+ *   { op: 'enqueue', id, endpoint, body, ts }
+ *   { op: 'fail', id, attempts, nextAttemptAt, error }
+ *   { op: 'ack', id }
+ *   { op: 'dead', id, error }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 20;
+const ACK_HISTORY = 5000; // acked ids kept across compactions for dedupe
+const COMPACT_AFTER = 2000; // journal records appended before a long-running outbox compacts
+
+/**
+ * Stable id for a payload - same content always hashes to the same id
+ */
+export function outboxId(...parts) {
+  return crypto.createHash('sha1').update(parts.map(p => typeof p === 'string' ? p : JSON.stringify(p)).join('|')).digest('hex');
+}
+
+/**
+ * Backoff delay for the given attempt number (1-based)
+ */
+export function backoffMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Fold journal lines into what is still pending, dead and acked
+ */
+function replay(lines) {
+  const pending = new Map();  // id -> entry, insertion ordered
+  const dead = new Map();     // id -> entry
+  const acked = new Set();
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      // Torn write from a crash - skip the partial line
+      continue;
+    }
+    switch (record.op) {
+      case 'enqueue':
+        if (!acked.has(record.id) && !dead.has(record.id)) {
+          pending.set(record.id, { id: record.id, endpoint: record.endpoint, body: record.body, ts: record.ts, attempts: 0, nextAttemptAt: null, error: null });
+        }
+        break;
+      case 'fail': {
+        const entry = pending.get(record.id);
+        if (entry) Object.assign(entry, { attempts: record.attempts, nextAttemptAt: record.nextAttemptAt, error: record.error });
+        break;
+      }
+      case 'ack':
+        pending.delete(record.id);
+        acked.add(record.id);
+        break;
+      case 'dead': {
+        const entry = pending.get(record.id);
+        if (entry) {
+          pending.delete(record.id);
+          dead.set(record.id, { ...entry, error: record.error });
+        }
+        break;
+      }
+    }
+  }
+  return { pending, dead, acked };
+}
+
+function describe(file, pending, dead, lastFlushAt = null) {
+  const entries = [...pending.values()];
+  const retryTimes = entries.map(e => e.nextAttemptAt).filter(Boolean);
+  return {
+    file,
+    pending: entries.length,
+    dead: dead.size,
+    oldest: entries[0]?.ts || null,
+    nextAttemptAt: retryTimes.length ? Math.min(...retryTimes) : null,
+    lastFlushAt,
+    entries: entries.map(e => ({ id: e.id, endpoint: e.endpoint, ts: e.ts, attempts: e.attempts, nextAttemptAt: e.nextAttemptAt, error: e.error })),
+    deadEntries: [...dead.values()].map(e => ({ id: e.id, endpoint: e.endpoint, ts: e.ts, attempts: e.attempts, error: e.error }))
+  };
+}
+
+/**
+ * Read-only look at another process's outbox: never compacts or writes
+ *
+ * @param {object} options
+ * @param {string} options.dir
+ * @param {string} [options.name]
+ * @returns {object | null} the same shape as status(), null when there is no journal
+ */
+export function inspectOutbox({ dir, name = 'outbox' }) {
+  const file = path.join(dir, `${name}.jsonl`);
+  if (!fs.existsSync(file)) return null;
+  const { pending, dead } = replay(fs.readFileSync(file, 'utf8').split('\n'));
+  return describe(file, pending, dead);
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0); // signal 0 only checks the process exists
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Claim `<dir>/<name>.lock` for this process. Only the holder may load (and so
+ * compact) or flush the journal; a lock left by a process that died is taken over.
+ *
+ * @returns {{ file: string, release: () => void }}
+ * @throws {Error} with `pid` of the live holder
+ */
+export function lockOutbox({ dir, name = 'outbox' }) {
+  const file = path.join(dir, `${name}.lock`);
+  fs.mkdirSync(dir, { recursive: true });
+  for (;;) {
+    try {
+      fs.writeFileSync(file, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    const holder = Number(fs.readFileSync(file, 'utf8'));
+    if (holder && holder !== process.pid && isAlive(holder)) {
+      throw Object.assign(new Error(`${file} is held by process ${holder}`), { pid: holder });
+    }
+    fs.rmSync(file, { force: true });
+  }
+  return {
+    file,
+    release: () => {
+      try {
+        if (fs.readFileSync(file, 'utf8') === String(process.pid)) fs.rmSync(file);
+      } catch (e) {
+        // already gone
+      }
+    }
+  };
+}
+
+/**
+ * Create an outbox backed by `<dir>/<name>.jsonl`
+ *
+ * @param {object} options
+ * @param {string} options.dir - Directory holding the journal
+ * @param {string} [options.name] - Journal file name without extension
+ * @param {(entry: object) => Promise<void>} options.send - Delivers one entry, throws on failure
+ * @param {(message: string, data?: object) => void} [options.log]
+ * @param {number} [options.compactAfter] - Compact after a flush once this many records were appended
+ */
+export function createOutbox({ dir, name = 'outbox', send, log = () => {}, compactAfter = COMPACT_AFTER }) {
+  const file = path.join(dir, `${name}.jsonl`);
+  let pending = new Map();  // id -> entry, insertion ordered
+  let dead = new Map();     // id -> entry
+  let acked = new Set();
+  let flushing = null;
+  let lastFlushAt = null;
+  let appended = 0;
+
+  function append(record) {
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+    appended++;
+  }
+
+  /**
+   * Rebuild state from the journal, then rewrite it without settled entries
+   */
+  function load() {
+    const exists = fs.existsSync(file);
+    ({ pending, dead, acked } = replay(exists ? fs.readFileSync(file, 'utf8').split('\n') : []));
+    if (exists) compact();
+  }
+
+  /**
+   * Rewrite the journal with only what is still needed
+   */
+  function compact() {
+    const records = [];
+    for (const id of [...acked].slice(-ACK_HISTORY)) records.push({ op: 'ack', id });
+    for (const entry of [...pending.values(), ...dead.values()]) {
+      records.push({ op: 'enqueue', id: entry.id, endpoint: entry.endpoint, body: entry.body, ts: entry.ts });
+      if (entry.attempts) records.push({ op: 'fail', id: entry.id, attempts: entry.attempts, nextAttemptAt: entry.nextAttemptAt, error: entry.error });
+    }
+    for (const entry of dead.values()) records.push({ op: 'dead', id: entry.id, error: entry.error });
+
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : ''));
+    fs.renameSync(tmp, file);
+    appended = 0;
+  }
+
+  /**
+   * Journal a request. Returns false if the same id was already queued or delivered.
+   */
+  function enqueue(id, endpoint, body) {
+    if (pending.has(id) || acked.has(id) || dead.has(id)) return false;
+    const entry = { id, endpoint, body, ts: new Date().toISOString(), attempts: 0, nextAttemptAt: null, error: null };
+    append({ op: 'enqueue', id, endpoint, body, ts: entry.ts });
+    pending.set(id, entry);
+    return true;
+  }
+
+  async function deliver(entry) {
+    try {
+      await send(entry);
+      append({ op: 'ack', id: entry.id });
+      pending.delete(entry.id);
+      acked.add(entry.id);
+      return true;
+    } catch (error) {
+      entry.attempts++;
+      entry.error = error.message;
+      if (entry.attempts >= MAX_ATTEMPTS) {
+        append({ op: 'dead', id: entry.id, error: entry.error });
+        pending.delete(entry.id);
+        dead.set(entry.id, entry);
+        log('Outbox entry gave up after max attempts', { id: entry.id, endpoint: entry.endpoint, error: entry.error });
+      } else {
+        entry.nextAttemptAt = Date.now() + backoffMs(entry.attempts);
+        append({ op: 'fail', id: entry.id, attempts: entry.attempts, nextAttemptAt: entry.nextAttemptAt, error: entry.error });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Send pending entries in order
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Ignore backoff and try everything now
+   * @param {boolean} [options.retriesOnly] - Only entries that already failed and are due
+   */
+  function flush({ force = false, retriesOnly = false } = {}) {
+    if (flushing) return flushing;
+    flushing = (async () => {
+      let sent = 0, failed = 0;
+      const now = Date.now();
+      for (const entry of [...pending.values()]) {
+        if (retriesOnly && !entry.attempts) continue;
+        if (!force && entry.nextAttemptAt && entry.nextAttemptAt > now) continue;
+        if (await deliver(entry)) sent++; else failed++;
+      }
+      lastFlushAt = Date.now();
+      // A long-running process never reloads, so settled records are dropped here
+      if (appended >= compactAfter) compact();
+      return { sent, failed, pending: pending.size, dead: dead.size };
+    })().finally(() => { flushing = null; });
+    return flushing;
+  }
+
+  function status() {
+    return describe(file, pending, dead, lastFlushAt);
+  }
+
+  return { file, load, enqueue, flush, status, compact, get size() { return pending.size; } };
+}
@@ -0,0 +1,87 @@
+/**
+ * Project Path Mapping
+ * Translates between local (often Windows) and server project paths
+ *
+ * Local Claude works in C:\Projects\..., server Claude in /var/www/Kodiack_Studio/...
+ * Both must land on the same Susan project key, so every path is normalized and
+ * mapped through prefix rules from `pathMappings` in kodiack.config.json:
+ *
+ *   [{ "local": "C:\\Projects", "server": "/var/www/Kodiack_Studio" }]
+ *
+ * The canonical project ID is the normalized server-side path.
+ */
+
+import path from 'path';
+
+/**
+ * Forward slashes, lowercase drive letter, no duplicate or trailing slashes, . and .. resolved
+ */
+export function normalizePath(input) {
+  if (!input) return '';
+  let p = String(input).trim().replace(/\\/g, '/');
+  const drive = /^([A-Za-z]):(?:\/|$)/.exec(p);
+  if (drive) p = `${drive[1].toLowerCase()}:/${p.slice(drive[0].length)}`;
+  p = path.posix.normalize(p);
+  if (p.length > 1 && p.endsWith('/') && !/^[a-z]:\/$/.test(p)) p = p.slice(0, -1);
+  return p === '.' ? '' : p;
+}
+
+function isWindowsPath(p) {
+  return /^[a-z]:\//.test(p);
+}
+
+// Windows paths compare case-insensitively, POSIX paths exactly
+function prefixRemainder(p, prefix) {
+  const windows = isWindowsPath(prefix);
+  const a = windows ? p.toLowerCase() : p;
+  const b = windows ? prefix.toLowerCase() : prefix;
+  if (a === b) return '';
+  const base = b.endsWith('/') ? b : `${b}/`;
+  return a.startsWith(base) ? p.slice(base.length) : null;
+}
+
+function join(prefix, remainder) {
+  if (!remainder) return prefix;
+  return prefix.endsWith('/') ? prefix + remainder : `${prefix}/${remainder}`;
+}
+
+/**
+ * Build a mapper from prefix rules
+ *
+ * @param {Array<{ local: string, server: string }>} [mappings]
+ */
+export function createPathMapper(mappings = []) {
+  const rules = mappings.map(m => ({ local: normalizePath(m.local), server: normalizePath(m.server) }));
+
+  /**
+   * Work out which side a path is on and what it maps to
+   *
+   * @returns {{ input: string, normalized: string, side: 'local'|'server'|'unmapped', localPath: string|null, serverPath: string, projectId: string, rule: object|null }}
+   */
+  function resolve(input) {
+    const normalized = normalizePath(input);
+    let best = null;
+    for (const rule of rules) {
+      for (const side of ['local', 'server']) {
+        const remainder = prefixRemainder(normalized, rule[side]);
+        if (remainder !== null && (!best || rule[side].length > best.rule[side].length)) best = { rule, side, remainder };
+      }
+    }
+
+    if (!best) {
+      return { input, normalized, side: 'unmapped', localPath: null, serverPath: normalized, projectId: normalized, rule: null };
+    }
+    const serverPath = join(best.rule.server, best.remainder);
+    return {
+      input,
+      normalized,
+      side: best.side,
+      localPath: join(best.rule.local, best.remainder),
+      serverPath,
+      projectId: serverPath,
+      rule: { local: best.rule.local, server: best.rule.server }
+    };
+  }
+
+  return { resolve, rules };
+}
@@ -0,0 +1,289 @@
+/**
+ * Worker Plugins
+ * Each AI worker brings its own service client, tools and briefing sections
+ *
+ * A plugin is a JS module whose default export is a plugin object or a factory
+ * `(host) => plugin`, or a JSON manifest. Susan, Ryan and Chad ship as built-in
+ * plugins (src/plugins/); Jen, Clair, Mike, Tiffany or anything else load from
+ * the plugins directory (~/.kodiack/plugins) or `plugins.modules` in the config.
+ *
+ *   {
+ *     name: 'tiffany',                          // namespace: tools become tiffany_<tool>
+ *     title: 'Tiffany',                         // used in messages
+ *     baseUrl: 'http://localhost:5406',         // plugins.services.<name> or services.<name> win
+ *     tools: [{
+ *       name: 'run_tests', description, inputSchema,
+ *       handler: async (args, client) => 'text' | { content },     // modules
+ *       http: { method: 'POST', path: '/api/runs/{id}', query: ['project'], body: ['suite'] },
+ *       format: 'json' | 'text' | { title, list, item, empty }    // manifests
+ *     }],
+ *     briefing: {
+ *       fetch: async ({ project, client, track }) => data,   // or an http mapping in manifests
+ *       required: false,                        // true: a failed fetch fails the whole briefing
+ *       sections: [{ name, priority, order, build: (data) => ({ title, items, footer }) | null, template }]
+ *     },
+ *     onSuccess(),                              // after every successful response from the service
+ *     api: { ... },                             // helpers for resources, prompts and other plugins
+ *     start()                                   // once the MCP server is connected
+ *   }
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const NAME = /^[a-z][a-z0-9]*$/;
+const TOOL_NAME = /^[a-z][a-z0-9_]*$/;
+
+export function defaultPluginsDir() {
+  return path.join(process.env.HOME || process.env.USERPROFILE || os.homedir(), '.kodiack', 'plugins');
+}
+
+// Network failures and 5xx mean the service is unreachable - cached data may stand in
+export const offlineError = (service, reason) => Object.assign(new Error(`${service} unreachable: ${reason}`), { offline: true });
+export const isOffline = (e) => e.offline === true;
+
+/**
+ * HTTP access to one worker: auth from the transport, outbound redaction, offline detection
+ *
+ * @param {object} options
+ * @param {string} options.service - Transport key for credentials (susan, ryan, or the plugin name)
+ * @param {string} options.title
+ * @param {string} options.baseUrl
+ * @param {object} options.transport - createTransport() result
+ * @param {object} [options.cache] - createCache() result, for cached()
+ * @param {(value: any, target: string) => any} [options.redact]
+ * @param {() => void} [options.onSuccess] - Called after every successful response
+ */
+export function createServiceClient({ service, title, baseUrl, transport, cache, redact = (v) => v, onSuccess = () => {} }) {
+  async function request(endpoint, options = {}) {
+    if (!baseUrl) throw new Error(`${title} has no URL - set plugins.services.${service} in kodiack.config.json`);
+    if (typeof options.body === 'string') options = { ...options, body: JSON.stringify(redact(JSON.parse(options.body), title)) };
+    let res;
+    try {
+      res = await transport.request(service, `${baseUrl}${endpoint}`, { ...options, headers: { 'Content-Type': 'application/json', ...options.headers } });
+    } catch (e) { throw e.name === 'FetchError' ? offlineError(title, e.message) : e; }
+    if (res.status >= 500) throw offlineError(title, `HTTP ${res.status}`);
+    if (!res.ok) throw new Error(`${title} ${res.status}`);
+    onSuccess();
+    return res.json();
+  }
+
+  return {
+    service,
+    title,
+    baseUrl,
+    request,
+    // Read-through cache: { value, source: live|cache|stale|offline, ageMs }
+    cached: (key, kind, endpoint) => cache.read(key, kind, () => request(endpoint), { isOffline })
+  };
+}
+
+function dig(value, dotted) {
+  return dotted.split('.').reduce((v, key) => v?.[key], value);
+}
+
+const fill = (template, value) => template.replace(/\{\{([\w.]+)\}\}/g, (m, key) => dig(value, key) ?? '');
+
+/**
+ * Render a manifest tool's response
+ *
+ * @param {'json'|'text'|{ title?: string, list?: string, item: string, empty?: string }} format
+ *   json (default) pretty-prints, text returns the body (or its text/message field),
+ *   and a template renders `list` (a dotted path, default the body itself) one `item` per line
+ */
+export function formatResult(format = 'json', data) {
+  if (format === 'json') return JSON.stringify(data, null, 2);
+  if (format === 'text') return typeof data === 'string' ? data : data?.text ?? data?.message ?? JSON.stringify(data, null, 2);
+  const items = format.list ? dig(data, format.list) : data;
+  const list = Array.isArray(items) ? items : [items].filter(Boolean);
+  const body = list.length ? list.map(item => fill(format.item, item)).join('\n') : (format.empty || '*Nothing found.*');
+  return format.title ? `${fill(format.title, data)}\n\n${body}` : body;
+}
+
+/**
+ * Turn a tool's `http` mapping and arguments into a request.
+ * `{name}` path segments and the listed query/body fields come from the arguments;
+ * a `project` field is mapped to its canonical project ID and defaults to the current project.
+ */
+export function buildHttpRequest(http, args = {}, projectKey = (p) => p) {
+  const value = (key) => key === 'project' ? projectKey(args.project) : args[key];
+  const endpoint = http.path.replace(/\{(\w+)\}/g, (m, key) => {
+    if (args[key] === undefined || args[key] === '') throw new Error(`${key} required`);
+    return encodeURIComponent(args[key]);
+  });
+  const params = new URLSearchParams();
+  for (const key of http.query || []) if (value(key) !== undefined) params.set(key, value(key));
+  const query = params.toString();
+
+  const method = (http.method || 'GET').toUpperCase();
+  const options = { method };
+  if (http.body) {
+    const fields = http.body === true ? Object.keys(args) : http.body;
+    options.body = JSON.stringify(Object.fromEntries(fields.map(key => [key, value(key)]).filter(([, v]) => v !== undefined)));
+  }
+  return { endpoint: query ? `${endpoint}?${query}` : endpoint, options };
+}
+
+function validatePlugin(plugin, source) {
+  const problems = [];
+  if (!plugin || typeof plugin !== 'object') return [`${source}: must export a plugin object or factory`];
+  if (!NAME.test(plugin.name || '')) problems.push(`name must be lowercase letters and digits (got ${JSON.stringify(plugin.name)})`);
+  for (const [i, tool] of (plugin.tools || []).entries()) {
+    const where = `tools[${i}]${tool?.name ? ` (${tool.name})` : ''}`;
+    if (!TOOL_NAME.test(tool?.name || '')) problems.push(`${where}: name must be lowercase with underscores`);
+    if (!tool?.description) problems.push(`${where}: description required`);
+    if (typeof tool?.handler !== 'function' && !tool?.http?.path) problems.push(`${where}: needs a handler or an http mapping`);
+  }
+  for (const [i, section] of (plugin.briefing?.sections || []).entries()) {
+    if (!section?.name) problems.push(`briefing.sections[${i}]: name required`);
+    if (typeof section?.build !== 'function' && !section?.template) problems.push(`briefing.sections[${i}]: needs build() or a template`);
+  }
+  return problems.map(p => `${source}: ${p}`);
+}
+
+async function importPlugin(file, host) {
+  if (file.endsWith('.json')) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  const mod = await import(pathToFileURL(file).href);
+  const exported = mod.default ?? mod.plugin;
+  return typeof exported === 'function' ? exported(host) : exported;
+}
+
+/**
+ * Plugin files named in the config plus everything in the plugins directory
+ */
+export function pluginFiles({ dir, modules = [], cwd = process.cwd() }) {
+  const files = modules.map(m => path.resolve(cwd, m));
+  if (dir && fs.existsSync(dir)) {
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (/\.(json|js|mjs)$/.test(name)) files.push(path.join(dir, name));
+    }
+  }
+  return [...new Set(files)];
+}
+
+// A manifest section renders `list` from the fetched data, one `item` per line
+function templateSection(section) {
+  const { title, list, item } = section.template;
+  return (data) => {
+    const items = list ? dig(data, list) : data;
+    return Array.isArray(items) && items.length ? { title, items: items.map(x => fill(item, x)) } : null;
+  };
+}
+
+/**
+ * Load built-in and configured plugins
+ *
+ * @param {object} options
+ * @param {Array<(host) => object>} options.builtins - Built-in plugin factories
+ * @param {object} options.host - Shared services handed to every plugin (see README: Plugins)
+ * @param {object} [options.config] - The `plugins` config block: { dir, modules, disabled, services }
+ * @param {(name: string, plugin: object) => object} options.client - Service client for a plugin
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<object>} registry
+ */
+export async function loadPlugins({ builtins, host, config = {}, client, log = () => {} }) {
+  const disabled = new Set(config.disabled || []);
+  const loaded = [];
+  const errors = [];
+
+  // Disabled plugins are left out before they load, so their factories never start timers or sockets.
+  // Built-ins go by factory name, files by file name; a plugin named differently from its file
+  // is still dropped once its name is known.
+  const candidates = builtins.map(factory => ({ name: factory.name, source: `built-in ${factory.name}`, load: () => factory(host), builtin: true }));
+  for (const file of pluginFiles({ dir: config.dir || defaultPluginsDir(), modules: config.modules })) {
+    candidates.push({ name: path.basename(file).replace(/\.(json|js|mjs)$/, ''), source: file, load: () => importPlugin(file, host) });
+  }
+
+  for (const candidate of candidates) {
+    if (disabled.has(candidate.name)) continue;
+    let plugin;
+    try {
+      plugin = await candidate.load();
+    } catch (e) {
+      errors.push(`${candidate.source}: ${e.message}`);
+      continue;
+    }
+    if (plugin && disabled.has(plugin.name)) continue;
+    const problems = validatePlugin(plugin, candidate.source);
+    if (loaded.some(p => p.name === plugin?.name)) problems.push(`${candidate.source}: a plugin named "${plugin.name}" is already loaded`);
+    if (problems.length) {
+      errors.push(...problems);
+      continue;
+    }
+    // Kept as the same object: factories close over it to reach their client
+    loaded.push(Object.assign(plugin, { title: plugin.title || plugin.name[0].toUpperCase() + plugin.name.slice(1), source: candidate.source, builtin: Boolean(candidate.builtin) }));
+  }
+  for (const error of errors) log(`Plugin skipped - ${error}`);
+
+  const tools = new Map();
+  const sections = new Map();
+  for (const plugin of loaded) {
+    plugin.client = client(plugin.name, plugin);
+    for (const tool of plugin.tools || []) {
+      const name = `${plugin.name}_${tool.name}`;
+      if (tools.has(name)) { errors.push(`${plugin.source}: tool ${name} is already defined by ${tools.get(name).plugin.name}`); continue; }
+      tools.set(name, { ...tool, name, plugin });
+    }
+    for (const section of plugin.briefing?.sections || []) {
+      if (sections.has(section.name)) { errors.push(`${plugin.source}: briefing section ${section.name} is already defined by ${sections.get(section.name).plugin.name}`); continue; }
+      sections.set(section.name, { order: 100 + sections.size, priority: 5, ...section, build: section.build || templateSection(section), plugin });
+    }
+  }
+
+  /**
+   * Run a plugin tool; the result is text or a full MCP tool result
+   */
+  async function call(name, args = {}) {
+    const tool = tools.get(name);
+    if (!tool) throw new Error(`Unknown tool: ${name}`);
+    let result;
+    if (tool.handler) {
+      result = await tool.handler(args, tool.plugin.client);
+    } else {
+      const { endpoint, options } = buildHttpRequest(tool.http, args, host.projectKey);
+      result = formatResult(tool.format, await tool.plugin.client.request(endpoint, options));
+    }
+    return typeof result === 'string' ? { content: [{ type: 'text', text: result }] } : result;
+  }
+
+  /**
+   * Fetch each plugin's briefing data once, for the requested sections only.
+   * Optional plugins that fail just leave their sections out.
+   */
+  async function briefingData(names, { project, track }) {
+    const data = new Map();
+    const owners = [...new Set(names.map(n => sections.get(n)?.plugin).filter(Boolean))];
+    for (const plugin of owners) {
+      if (!plugin.briefing.fetch) { data.set(plugin.name, {}); continue; }
+      try {
+        const { fetch } = plugin.briefing;
+        if (typeof fetch === 'function') data.set(plugin.name, await fetch({ project, client: plugin.client, track }));
+        else {
+          // Manifests declare the fetch as an http mapping, like a tool's
+          const { endpoint, options } = buildHttpRequest(fetch, { project }, host.projectKey);
+          data.set(plugin.name, await plugin.client.request(endpoint, options));
+        }
+      } catch (e) {
+        if (plugin.briefing.required) throw e;
+        log(`${plugin.title} briefing data unavailable: ${e.message}`);
+      }
+    }
+    return data;
+  }
+
+  return {
+    plugins: loaded,
+    errors,
+    tools: [...tools.values()],
+    // inputSchema may be a function when it depends on other plugins (e.g. briefing section names)
+    list: () => [...tools.values()].map(t => ({ name: t.name, description: t.description, inputSchema: typeof t.inputSchema === 'function' ? t.inputSchema() : t.inputSchema || { type: 'object', properties: {} } })),
+    sections,
+    get: (name) => loaded.find(p => p.name === name) || null,
+    has: (toolName) => tools.has(toolName),
+    call,
+    briefingData,
+    start: () => loaded.forEach(p => p.start?.())
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Chad - The Transcriber
+ * Carries the telemetry stream over Chad's WebSocket and shows his session logs in the briefing
+ */
+
+import { renderText } from '../terminal.js';
+
+export default function chad(host) {
+  const { config, transport, telemetry, projectKey } = host;
+  const CHAD_WS_URL = config.services.chad;
+  let chadWs = null, chadConnected = false;
+
+  function connectToChad() {
+    if (chadWs && chadConnected) return;
+    // Identity travels in the handshake headers; the userId param is only for servers without auth
+    const wsUrl = `${CHAD_WS_URL}/ws?project=${encodeURIComponent(projectKey())}${transport.authMode('chad') === 'none' ? '&userId=claude-mcp' : ''}`;
+    host.log(`Connecting to Chad: ${wsUrl}`);
+    chadWs = transport.openWebSocket('chad', wsUrl);
+    chadWs.on('open', () => { chadConnected = true; host.log('Chad connected'); telemetry.flush(); });
+    let rejected = false;
+    chadWs.on('error', (e) => { const err = transport.describeError('chad', e); rejected = err !== e; host.log(`Chad error: ${err.message}`); chadConnected = false; });
+    // Retrying rejected credentials only spams Chad - wait for a restart with fixed config
+    chadWs.on('close', () => { chadConnected = false; chadWs = null; if (!rejected) setTimeout(connectToChad, 5000); });
+  }
+
+  // The telemetry queue holds events until this says Chad took them
+  host.attachTelemetry((message) => {
+    if (!chadWs || !chadConnected) return false;
+    try { chadWs.send(JSON.stringify(host.redact(message, 'Chad'))); return true; } catch (e) { return false; }
+  });
+
+  return {
+    name: 'chad',
+    title: 'Chad',
+    tools: [
+      {
+        name: 'status',
+        description: 'Check if connected to Chad for session logging',
+        inputSchema: { type: 'object', properties: {} },
+        handler: () => JSON.stringify({ connected: chadConnected, wsUrl: CHAD_WS_URL, enabled: config.features.chadLogging, auth: transport.authMode('chad'), session: host.bootSessionId, queue: telemetry.status() }, null, 2)
+      }
+    ],
+    briefing: {
+      // Chad's logs are filed with Susan
+      fetch: async ({ track }) => {
+        const susan = host.plugin('susan');
+        if (!susan) return { sessions: [] };
+        try {
+          const value = track('session logs', await susan.client.cached('sessions', 'sessions', '/api/sessions?hours=6&limit=5'));
+          return { sessions: value.sessions || value || [] };
+        } catch (e) {
+          host.log(`Failed to fetch sessions: ${e.message}`);
+          return { sessions: [] };
+        }
+      },
+      sections: [
+        {
+          name: 'sessionLogs', priority: 6, order: 20,
+          build: ({ sessions }) => {
+            if (!sessions?.length) return null;
+            const items = sessions.slice(0, 3).map((s, i) => {
+              let b = `### Session ${i + 1} - ${s.started_at || s.startedAt || 'Unknown'}\n`;
+              if (s.summary) b += `**Summary:** ${s.summary}\n\n`;
+              if (s.messages && s.messages.length > 0) {
+                const msgLog = s.messages.slice(0, 20).map(m => `[${m.role}] ${(m.content || '').slice(0, 150)}`).join('\n');
+                b += `**Log (${s.messages.length} messages):**\n\`\`\`\n${msgLog}\n\`\`\`\n`;
+              } else if (s.raw_content || s.rawContent) {
+                const content = renderText(s.raw_content || s.rawContent || '', config.terminal).slice(0, 2000);
+                b += `**Log:**\n\`\`\`\n${content}${content.length >= 2000 ? '\n...(truncated)' : ''}\n\`\`\`\n`;
+              }
+              return b;
+            });
+            return { title: `Chad's Session Logs (Last ${items.length})`, items };
+          }
+        }
+      ]
+    },
+    api: { connected: () => chadConnected },
+    start() {
+      if (config.features.chadLogging) connectToChad();
+    }
+  };
+}
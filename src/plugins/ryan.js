@@ -0,0 +1,152 @@
+/**
+ * Ryan - The Project Orchestrator
+ * What's next across the roadmap, project stages, dependencies and recorded progress
+ */
+
+import { STAGE_COUNT, projectName, findProject, renderBoard, renderProject, renderDependencies, dependencyGraph, progressBar, projectPercent } from '../roadmap.js';
+
+export function whatsNextSection(ryanRec, error) {
+  const title = "Ryan's Recommendations - What's Next";
+  if (error) return { title, items: [`*Ryan is unreachable (${error}) - ryan_whats_next shows the details once he is back.*`] };
+  if (!ryanRec?.success || !ryanRec.recommendation) {
+    return { title, items: ['*Ryan has no recommendations right now.*'] };
+  }
+  const rec = ryanRec.recommendation;
+  let current = `**${ryanRec.action_message || 'Focus on current task'}**\n\n📍 **Current:** ${rec.phase} (${rec.project})\n`;
+  if (rec.description) current += `   ${rec.description}\n`;
+  if (rec.reasons?.length) current += `   ${rec.reasons.join(' ')}\n`;
+  const items = [current];
+  if (ryanRec.warnings?.length) {
+    items.push('**⚠️ Blockers:**\n' + ryanRec.warnings.map(w => `- ${w.message}`).join('\n') + '\n');
+  }
+  if (ryanRec.alternatives?.length) {
+    items.push('**Alternatives:**\n' + ryanRec.alternatives.slice(0, 3).map((alt, i) => `${i + 1}. ${alt.phase} (${alt.project}) - ${alt.reasons?.join(' ') || ''}`).join('\n') + '\n');
+  }
+  return { title, items, footer: `*${ryanRec.summary?.total_phases || 0} phases tracked, ${ryanRec.summary?.actionable || 0} actionable*` };
+}
+
+const FORMAT = { type: 'string', enum: ['markdown', 'json'], description: 'markdown (default) or raw json' };
+const PROJECT = { type: 'string', description: "Ryan's project ID or name, or a project path (defaults to the current project)" };
+
+export default function ryan(host) {
+  const { cache, activeSession, projectKey, withNote, logToChad, notify } = host;
+
+  // The roadmap endpoints are newer than /api/whats-next (README: Ryan API); a Ryan without them says 404
+  async function roadmap(client) {
+    try {
+      return await client.cached('ryan:projects', 'ryan', '/api/projects');
+    } catch (e) {
+      if (e.message === `${client.title} 404`) throw new Error(`${client.title} 404 on GET /api/projects - this Ryan has no roadmap API yet. The roadmap tools need GET /api/projects, POST /api/projects/:id/phases/complete and POST /api/focus (see README: Ryan API).`);
+      throw e;
+    }
+  }
+
+  function resolve(projects, ref) {
+    const project = findProject(projects, ref || projectKey(), projectKey);
+    if (!project) throw new Error(`Ryan doesn't track ${ref ? `"${ref}"` : `the current project (${projectKey()})`} - known projects: ${projects.map(p => p.id).join(', ') || 'none'}`);
+    return project;
+  }
+
+  // Writes change what's next too, so both cached reads go
+  function recorded(message) {
+    cache.invalidate('ryan');
+    notify.briefingChanged();
+    logToChad('assistant', message);
+  }
+
+  const tools = [
+    {
+      name: 'whats_next',
+      description: "Ryan's recommendation for what to work on next, with blockers and alternatives",
+      inputSchema: { type: 'object', properties: { format: FORMAT } },
+      handler: async (args, client) => {
+        const r = await client.cached('ryan', 'ryan', '/api/whats-next');
+        if (args.format === 'json') return withNote(JSON.stringify(r.value, null, 2), [{ label: 'Ryan', result: r }]);
+        const { title, items, footer } = whatsNextSection(r.value);
+        return withNote(`# ${title}\n\n${items.join('\n')}${footer ? `\n${footer}` : ''}`, [{ label: 'Ryan', result: r }]);
+      }
+    },
+    {
+      name: 'project_status',
+      description: `Stage progress (1-${STAGE_COUNT}) for every project Ryan tracks as progress bars, or one project in detail with its phases and dependencies`,
+      inputSchema: { type: 'object', properties: { project: { type: 'string', description: "Show one project in detail - Ryan's project ID or name, or a project path" }, format: FORMAT } },
+      handler: async (args, client) => {
+        const r = await roadmap(client);
+        const { projects = [], focus } = r.value;
+        const project = args.project && resolve(projects, args.project);
+        if (args.format === 'json') return withNote(JSON.stringify(project ? { project, focus } : { projects, focus }, null, 2), [{ label: 'roadmap', result: r }]);
+        return withNote(project ? renderProject(project, projects, { focus }) : renderBoard(projects, { focus }), [{ label: 'roadmap', result: r }]);
+      }
+    },
+    {
+      name: 'dependencies',
+      description: 'Which project needs which, as a text graph, with unmet dependencies and bottlenecks marked. Give a project to see only what it needs and what it holds up.',
+      inputSchema: { type: 'object', properties: { project: { type: 'string', description: "Ryan's project ID or name, or a project path" }, format: FORMAT } },
+      handler: async (args, client) => {
+        const r = await roadmap(client);
+        const { projects = [] } = r.value;
+        const project = args.project && resolve(projects, args.project);
+        if (args.format === 'json') {
+          const graph = dependencyGraph(projects);
+          const edges = project ? graph.edges.filter(e => e.from === project.id || e.to === project.id) : graph.edges;
+          return withNote(JSON.stringify({ ...graph, edges }, null, 2), [{ label: 'roadmap', result: r }]);
+        }
+        return withNote(renderDependencies(projects, { project }), [{ label: 'roadmap', result: r }]);
+      }
+    },
+    {
+      name: 'complete_phase',
+      description: "Record a phase as complete. Without a phase, the one in progress (or the next pending one) in the project's current stage is completed. Ryan moves the project to the next stage when its last phase is done.",
+      inputSchema: { type: 'object', properties: { project: PROJECT, phase: { type: 'string', description: 'Phase ID or name' }, note: { type: 'string', description: 'What was done' }, format: FORMAT } },
+      handler: async (args, client) => {
+        const { projects = [] } = (await roadmap(client)).value;
+        const target = resolve(projects, args.project);
+        const d = await client.request(`/api/projects/${encodeURIComponent(target.id)}/phases/complete`, {
+          method: 'POST',
+          body: JSON.stringify({ phase: args.phase, note: args.note, sessionId: activeSession.id })
+        });
+        const project = d.project || target;
+        const phase = d.phase?.name || args.phase || 'current phase';
+        recorded(`Completed phase "${phase}" of ${projectName(project)}${d.advanced ? ` - now Stage ${project.stage}` : ''}`);
+        if (args.format === 'json') return JSON.stringify(d, null, 2);
+        return `Completed **${phase}** in ${projectName(project)}${d.advanced ? ` - advanced to Stage ${project.stage}/${STAGE_COUNT}` : ''}\n\n${progressBar(projectPercent(project))} Stage ${project.stage}/${STAGE_COUNT} (${projectPercent(project)}%)`;
+      }
+    },
+    {
+      name: 'set_focus',
+      description: 'Tell Ryan which project is the focus now, and why. Ryan weighs his recommendations toward it. clear: true drops the focus.',
+      inputSchema: { type: 'object', properties: { project: PROJECT, reason: { type: 'string', description: 'Why this project, now' }, clear: { type: 'boolean', description: 'Drop the current focus instead' }, format: FORMAT } },
+      handler: async (args, client) => {
+        const { projects = [] } = (await roadmap(client)).value;
+        const project = args.clear ? null : resolve(projects, args.project);
+        const d = await client.request('/api/focus', { method: 'POST', body: JSON.stringify({ project: project?.id || null, reason: args.reason, sessionId: activeSession.id }) });
+        recorded(project ? `Focus set to ${projectName(project)}${args.reason ? `: ${args.reason}` : ''}` : 'Focus cleared');
+        if (args.format === 'json') return JSON.stringify(d, null, 2);
+        return project ? `Focus: **${projectName(project)}**${args.reason ? ` - ${args.reason}` : ''}` : 'Focus cleared';
+      }
+    }
+  ];
+
+  return {
+    name: 'ryan',
+    title: 'Ryan',
+    tools,
+    briefing: {
+      // Ryan being down still gets a line in the briefing rather than a missing section
+      fetch: async ({ client, track }) => {
+        try {
+          return { rec: track('Ryan', await client.cached('ryan', 'ryan', '/api/whats-next')) };
+        } catch (e) {
+          host.log(`Failed to fetch Ryan: ${e.message}`);
+          return { rec: null, error: e.message };
+        }
+      },
+      sections: [
+        {
+          name: 'ryan', priority: 4, order: 30,
+          build: ({ rec, error }) => whatsNextSection(rec, error)
+        }
+      ]
+    }
+  };
+}
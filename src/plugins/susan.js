@@ -0,0 +1,437 @@
+/**
+ * Susan - The Cataloger
+ * Memory tools, todos, the offline knowledge index and queued writes
+ */
+
+import crypto from 'crypto';
+import { PRIORITIES, STATUSES, todoFields, renderChecklist } from '../todos.js';
+import { createKnowledgeIndex } from '../knowledge-index.js';
+import { RELATIONS, DEFAULT_IMPORTANCE, isCurrent, normalizeTags, knowledgeFields, searchFilters, searchPath, matchesFilters, rankKnowledge, findDuplicates, mergeFields, withLink, renderResults } from '../knowledge.js';
+import { createOutbox, outboxId } from '../outbox.js';
+import { isOffline } from '../plugins.js';
+
+export function renderPorts(d) {
+  if (!Array.isArray(d)) return JSON.stringify(d, null, 2);
+  return '# Port Assignments\n\n' + d.map(p => `- **:${p.port}** - ${p.service}: ${p.description}\n`).join('');
+}
+
+export function renderKnowledge(k) {
+  let t = `# ${k.title}\n\n`;
+  const meta = [k.category && `Category: ${k.category}`, k.projectPath && `Project: ${k.projectPath}`, k.importance && `Importance: ${k.importance}`, k.tags?.length && `Tags: ${k.tags.join(', ')}`, !isCurrent(k) && `Status: ${k.status}`].filter(Boolean);
+  if (meta.length) t += `*${meta.join(' · ')}*\n\n`;
+  const links = [
+    k.supersededBy && `- Superseded by \`${k.supersededBy}\``,
+    ...(k.supersedes || []).map(id => `- Supersedes \`${id}\``),
+    ...(k.links || []).map(l => `- ${l.relation} \`${l.id}\``)
+  ].filter(Boolean);
+  return t + (k.content || k.summary || '') + '\n' + (links.length ? `\n**Links:**\n${links.join('\n')}\n` : '');
+}
+
+const queuedText = (what, d) => `Susan is unreachable - ${what} queued locally and will sync when she is back (${d.pending} write(s) pending)`;
+
+export default function susan(host) {
+  const { cache, activeSession, projectKey, withNote, logToChad, notify } = host;
+  const client = () => plugin.client;
+
+  const knowledgeIndex = createKnowledgeIndex({ dir: host.cacheDir, enabled: host.config.cache.enabled, log: host.log });
+  const offlineWrites = createOutbox({ dir: host.cacheDir, name: 'offline-writes', send: (entry) => client().request(entry.endpoint, { method: 'POST', body: JSON.stringify(entry.body) }), log: host.log });
+
+  const context = async (project) => {
+    const r = await client().cached(`context:${project}`, 'context', `/api/context?project=${encodeURIComponent(project)}`);
+    knowledgeIndex.add(r.value?.knowledge);
+    return r;
+  };
+
+  // Writes Susan can't take right now are queued on disk and replayed once she answers again
+  async function write(endpoint, body) {
+    try {
+      return await client().request(endpoint, { method: 'POST', body: JSON.stringify(body) });
+    } catch (e) {
+      if (!isOffline(e)) throw e;
+      // Each call is its own write: two identical notes logged offline are both kept
+      const id = outboxId(endpoint, body, crypto.randomUUID());
+      if (!offlineWrites.enqueue(id, endpoint, body)) throw new Error(`${e.message} - ${endpoint} could not be queued locally`);
+      host.log(`${e.message} - queued ${endpoint} (${offlineWrites.size} pending)`);
+      return { queued: true, id, pending: offlineWrites.size };
+    }
+  }
+
+  // The sync's own requests succeed too and land in onSuccess, so one sync at a time
+  let syncing = null;
+  function syncOfflineWrites({ force = false } = {}) {
+    if (syncing) return syncing;
+    syncing = offlineWrites.flush({ force }).then(result => {
+      if (!result.sent) return;
+      host.log(`Synced ${result.sent} offline write(s) to Susan (${result.pending} pending)`);
+      cache.invalidate('context:', 'sessions');
+      notify.briefingChanged();
+    }).catch(e => host.log(`Offline sync failed: ${e.message}`)).finally(() => { syncing = null; });
+    return syncing;
+  }
+
+  // Live search feeds the local index; when Susan is unreachable the index answers instead.
+  // Filters go to Susan and are applied again here, for builds that ignore them and for the index.
+  async function searchKnowledge(query, filters = {}) {
+    let results, offline;
+    try {
+      const d = await client().request(searchPath(query, filters));
+      results = d.results || (Array.isArray(d) ? d : []);
+      knowledgeIndex.add(results);
+    } catch (e) {
+      if (!isOffline(e)) throw e;
+      results = knowledgeIndex.search(query, { limit: 50 });
+      offline = { offline: true, note: `> ⚠️ **Offline** - Susan unreachable, results from the local index (${knowledgeIndex.size} entries)` };
+    }
+    return { results: rankKnowledge(results.filter(k => matchesFilters(k, filters)), query), ...offline };
+  }
+
+  // Always fresh - edits are made against what Susan has now
+  async function getKnowledge(id) {
+    if (!id) throw new Error('id required');
+    const d = await client().request(`/api/knowledge/${encodeURIComponent(id)}`);
+    return d.entry || d;
+  }
+
+  async function updateKnowledge(id, fields) {
+    if (!id) throw new Error('id required');
+    const d = await client().request(`/api/knowledge/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify(fields) });
+    const entry = d.entry || { ...knowledgeIndex.get(id), id, ...fields };
+    knowledgeIndex.add([entry]);
+    cache.invalidate('context:', `knowledge:${id}`);
+    notify.briefingChanged();
+    return entry;
+  }
+
+  // Susan's search plus the local index, so entries Susan words differently still turn up
+  async function nearDuplicates(entry) {
+    let candidates = [];
+    try {
+      candidates = (await searchKnowledge(entry.title)).results;
+    } catch (e) {
+      host.log(`Duplicate check skipped Susan: ${e.message}`);
+    }
+    return findDuplicates(entry, [...candidates, ...knowledgeIndex.search(`${entry.title} ${entry.summary}`)]);
+  }
+
+  async function updateTodo(id, fields) {
+    if (!id) throw new Error('id required');
+    const d = await client().request(`/api/todos/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify(fields) });
+    cache.invalidate('todos:', 'context:');
+    // Older Susan builds only answer { success } - fall back to what was sent
+    return d.todo || (d.id ? d : { id, title: id, ...fields });
+  }
+
+  async function readTodos(project) {
+    const r = await client().cached(`todos:${project}:all`, 'todos', `/api/todos?project=${encodeURIComponent(project)}&status=all`);
+    return withNote(renderChecklist(r.value.todos || [], { project, status: 'all' }), [{ label: 'todos', result: r }]);
+  }
+
+  async function readPorts() {
+    const r = await client().cached('ports', 'ports', '/api/ports');
+    return withNote(renderPorts(r.value), [{ label: 'ports', result: r }]);
+  }
+
+  async function readKnowledge(id) {
+    try {
+      const r = await client().cached(`knowledge:${id}`, 'knowledge', `/api/knowledge/${encodeURIComponent(id)}`);
+      knowledgeIndex.add([r.value.entry || r.value]);
+      return withNote(renderKnowledge(r.value.entry || r.value), [{ label: 'entry', result: r }]);
+    } catch (e) {
+      if (!isOffline(e) || !knowledgeIndex.get(id)) throw e;
+      return `${renderKnowledge(knowledgeIndex.get(id))}\n> ⚠️ **Offline** - Susan unreachable, entry from the local index`;
+    }
+  }
+
+  const tools = [
+    {
+      name: 'get_briefing',
+      description: 'Get full context briefing from Susan - includes identity, last session, session logs, Ryan recommendations, todos, ports and knowledge. Sections are trimmed by priority to fit maxTokens. Call this at the start of each session to restore memory.',
+      inputSchema: () => ({ type: 'object', properties: { project: { type: 'string', description: 'Project path (defaults to current working directory)' }, sections: { type: 'array', items: { type: 'string', enum: host.sectionNames() }, description: 'Sections to include (default all)' }, maxTokens: { type: 'number', description: 'Token budget for the whole briefing (default 8000)' } } }),
+      handler: async (args) => {
+        const project = projectKey(args.project);
+        const text = await host.buildBriefing(project, args);
+        logToChad('assistant', `Briefing for ${project}`);
+        return text;
+      }
+    },
+    {
+      name: 'get_todos',
+      description: 'Get current todos/tasks from Susan as a checklist (in progress first, then by priority)',
+      inputSchema: { type: 'object', properties: { project: { type: 'string', description: 'Project path' }, status: { type: 'string', enum: [...STATUSES, 'all'], description: 'Filter by status (defaults to pending)' }, format: { type: 'string', enum: ['checklist', 'json'], description: 'checklist (default) or raw json' } } },
+      handler: async (args) => {
+        const project = projectKey(args.project);
+        const status = args.status || 'pending';
+        const r = await client().cached(`todos:${project}:${status}`, 'todos', `/api/todos?project=${encodeURIComponent(project)}&status=${status}`);
+        const text = args.format === 'json' ? JSON.stringify(r.value, null, 2) : renderChecklist(r.value.todos || [], { project, status });
+        return withNote(text, [{ label: 'todos', result: r }]);
+      }
+    },
+    {
+      name: 'create_todo',
+      description: 'Create a todo in Susan, linked to the current session',
+      inputSchema: { type: 'object', properties: { title: { type: 'string' }, description: { type: 'string' }, priority: { type: 'string', enum: PRIORITIES, description: 'Defaults to medium' }, project: { type: 'string', description: 'Project path (defaults to current working directory)' }, sessionId: { type: 'string', description: 'Session to link (defaults to the active session)' } }, required: ['title'] },
+      handler: async (args) => {
+        if (!args.title) throw new Error('title required');
+        const fields = todoFields({ priority: 'medium', sessionId: activeSession.id, ...args, status: 'pending' });
+        const d = await client().request('/api/todos', { method: 'POST', body: JSON.stringify({ project: projectKey(args.project), ...fields }) });
+        cache.invalidate('todos:', 'context:');
+        const todo = d.todo || d;
+        notify.todosChanged();
+        logToChad('assistant', `Created todo [${todo.id}]: ${args.title}`);
+        return `Todo created: ${todo.id} - ${args.title} (${fields.priority})`;
+      }
+    },
+    {
+      name: 'update_todo',
+      description: "Change a todo's title, description, priority, status or linked session",
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Todo ID' }, title: { type: 'string' }, description: { type: 'string' }, priority: { type: 'string', enum: PRIORITIES }, status: { type: 'string', enum: STATUSES }, sessionId: { type: 'string' } }, required: ['id'] },
+      handler: async (args) => {
+        const fields = todoFields(args);
+        if (!Object.keys(fields).length) throw new Error('nothing to update - give title, description, priority, status or sessionId');
+        const todo = await updateTodo(args.id, fields);
+        notify.todosChanged();
+        return `Todo updated: ${args.id} (${Object.keys(fields).join(', ')})\n\n${renderChecklist([todo])}`;
+      }
+    },
+    {
+      name: 'start_todo',
+      description: 'Claim a todo: mark it in progress and link it to the active session',
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Todo ID' } }, required: ['id'] },
+      handler: async (args) => {
+        const todo = await updateTodo(args.id, { status: 'in_progress', sessionId: activeSession.id, startedAt: new Date().toISOString() });
+        notify.todosChanged();
+        logToChad('assistant', `Started todo [${args.id}]: ${todo.title || ''}`);
+        return `Started ${args.id} in session ${activeSession.id}\n\n${renderChecklist([todo], { status: 'in_progress' })}`;
+      }
+    },
+    {
+      name: 'complete_todo',
+      description: 'Mark a todo completed. Logs the completion to Chad with the active session summary so Ryan stays current.',
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Todo ID' }, summary: { type: 'string', description: 'What was done (defaults to the last susan_log_session summary)' } }, required: ['id'] },
+      handler: async (args) => {
+        const summary = args.summary || activeSession.summary;
+        const todo = await updateTodo(args.id, { status: 'completed', completedAt: new Date().toISOString(), sessionId: activeSession.id, ...(summary && { sessionSummary: summary }) });
+        notify.todosChanged();
+        logToChad('assistant', `Completed todo [${args.id}]: ${todo.title || ''}${summary ? ` - session: ${summary}` : ''}`);
+        return `Completed ${args.id}${summary ? ` (session: ${summary})` : ''}\n\n${renderChecklist([todo], { status: 'completed' })}`;
+      }
+    },
+    {
+      name: 'search_knowledge',
+      description: "Search Susan's knowledge base. Results are ranked by relevance, importance and recency; archived and superseded entries are left out unless includeArchived is set.",
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Search query' },
+          category: { type: 'string', description: 'Only this category' },
+          project: { type: 'string', description: 'Only this project (path or ID)' },
+          tags: { type: 'array', items: { type: 'string' }, description: 'Only entries with all of these tags' },
+          since: { type: 'string', description: 'Created on or after this date (YYYY-MM-DD or ISO time)' },
+          until: { type: 'string', description: 'Created on or before this date' },
+          minImportance: { type: 'number', description: 'Only entries at least this important (1-10)' },
+          includeArchived: { type: 'boolean', description: 'Also return archived and superseded entries' },
+          limit: { type: 'number', description: 'Most results to return (default 10)' },
+          format: { type: 'string', enum: ['markdown', 'json'], description: 'markdown (default) or raw json' }
+        },
+        required: ['query']
+      },
+      handler: async (args) => {
+        const filters = searchFilters(args, args.project && projectKey(args.project));
+        const { note, results } = await searchKnowledge(args.query, filters);
+        const top = results.slice(0, args.limit || 10);
+        logToChad('assistant', `Search: ${args.query}`);
+        const text = args.format === 'json' ? JSON.stringify({ results: top }, null, 2) : renderResults(top, { query: args.query, filters });
+        return note ? `${note}\n\n${text}` : text;
+      }
+    },
+    {
+      name: 'get_knowledge',
+      description: 'Get one knowledge entry in full, with its status and links',
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Knowledge entry ID' } }, required: ['id'] },
+      handler: (args) => {
+        if (!args.id) throw new Error('id required');
+        return readKnowledge(args.id);
+      }
+    },
+    {
+      name: 'update_knowledge',
+      description: "Edit a knowledge entry's title, content, category, tags, importance or project",
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Knowledge entry ID' }, title: { type: 'string' }, content: { type: 'string' }, category: { type: 'string' }, tags: { type: 'array', items: { type: 'string' }, description: 'Replaces the tags (see susan_tag_knowledge to add or remove some)' }, importance: { type: 'number', description: '1-10' }, project: { type: 'string' } }, required: ['id'] },
+      handler: async (args) => {
+        const fields = { ...knowledgeFields(args), ...(args.project !== undefined && { projectPath: projectKey(args.project) }) };
+        if (!Object.keys(fields).length) throw new Error('nothing to update - give title, content, category, tags, importance or project');
+        const entry = await updateKnowledge(args.id, fields);
+        logToChad('assistant', `Updated knowledge [${args.id}]: ${Object.keys(fields).join(', ')}`);
+        return `Knowledge updated: ${args.id} (${Object.keys(fields).join(', ')})\n\n${renderKnowledge(entry)}`;
+      }
+    },
+    {
+      name: 'tag_knowledge',
+      description: 'Add or remove tags on a knowledge entry',
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Knowledge entry ID' }, add: { type: 'array', items: { type: 'string' } }, remove: { type: 'array', items: { type: 'string' } } }, required: ['id'] },
+      handler: async (args) => {
+        const add = normalizeTags(args.add) || [];
+        const remove = normalizeTags(args.remove) || [];
+        if (!add.length && !remove.length) throw new Error('give tags to add or remove');
+        const current = await getKnowledge(args.id);
+        const tags = [...new Set([...(current.tags || []), ...add])].filter(t => !remove.includes(t));
+        await updateKnowledge(args.id, { tags });
+        return `Tags for ${args.id}: ${tags.length ? tags.map(t => `#${t}`).join(' ') : '(none)'}`;
+      }
+    },
+    {
+      name: 'archive_knowledge',
+      description: 'Archive a knowledge entry that no longer applies. It stays in Susan but leaves searches and briefings. restore: true brings it back.',
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Knowledge entry ID' }, restore: { type: 'boolean', description: 'Make an archived entry active again' } }, required: ['id'] },
+      handler: async (args) => {
+        const entry = await updateKnowledge(args.id, args.restore ? { status: 'active', archivedAt: null } : { status: 'archived', archivedAt: new Date().toISOString() });
+        logToChad('assistant', `${args.restore ? 'Restored' : 'Archived'} knowledge [${args.id}]: ${entry.title || ''}`);
+        return `${args.restore ? 'Restored' : 'Archived'} ${args.id}${entry.title ? ` - ${entry.title}` : ''}`;
+      }
+    },
+    {
+      name: 'delete_knowledge',
+      description: 'Delete a knowledge entry for good. Prefer susan_archive_knowledge unless the entry is wrong or sensitive.',
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Knowledge entry ID' } }, required: ['id'] },
+      handler: async (args) => {
+        if (!args.id) throw new Error('id required');
+        await client().request(`/api/knowledge/${encodeURIComponent(args.id)}`, { method: 'DELETE' });
+        knowledgeIndex.remove(args.id);
+        cache.invalidate('context:', `knowledge:${args.id}`);
+        notify.resourceListChanged();
+        notify.briefingChanged();
+        logToChad('assistant', `Deleted knowledge [${args.id}]`);
+        return `Deleted ${args.id}`;
+      }
+    },
+    {
+      name: 'link_knowledge',
+      description: 'Link two related knowledge entries (both sides get the link), or unlink them',
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Knowledge entry ID' }, to: { type: 'string', description: 'Entry to link it to' }, relation: { type: 'string', enum: RELATIONS, description: 'Defaults to related' }, unlink: { type: 'boolean', description: 'Remove the link instead' } }, required: ['id', 'to'] },
+      handler: async (args) => {
+        if (!args.to || args.to === args.id) throw new Error('to must be a different entry');
+        const relation = args.unlink ? null : args.relation || 'related';
+        if (relation && !RELATIONS.includes(relation)) throw new Error(`relation must be one of: ${RELATIONS.join(', ')}`);
+        const [a, b] = await Promise.all([getKnowledge(args.id), getKnowledge(args.to)]);
+        await updateKnowledge(args.id, { links: withLink(a.links, args.to, relation) });
+        await updateKnowledge(args.to, { links: withLink(b.links, args.id, relation) });
+        return relation ? `Linked ${args.id} and ${args.to} (${relation})` : `Unlinked ${args.id} and ${args.to}`;
+      }
+    },
+    {
+      name: 'supersede_knowledge',
+      description: 'Mark an entry as replaced by a newer one. The old entry is kept for the record but leaves searches and briefings.',
+      inputSchema: { type: 'object', properties: { id: { type: 'string', description: 'Entry that is out of date' }, by: { type: 'string', description: 'Entry that replaces it' } }, required: ['id', 'by'] },
+      handler: async (args) => {
+        if (!args.by || args.by === args.id) throw new Error('by must be a different entry');
+        const [old, next] = await Promise.all([getKnowledge(args.id), getKnowledge(args.by)]);
+        if (!isCurrent(next)) throw new Error(`${args.by} is ${next.status} - supersede with a current entry`);
+        await updateKnowledge(args.id, { status: 'superseded', supersededBy: args.by });
+        await updateKnowledge(args.by, { supersedes: [...new Set([...(next.supersedes || []), args.id])] });
+        logToChad('assistant', `Knowledge [${args.id}] superseded by [${args.by}]`);
+        return `${args.id}${old.title ? ` (${old.title})` : ''} is superseded by ${args.by}${next.title ? ` (${next.title})` : ''}`;
+      }
+    },
+    {
+      name: 'log_session',
+      description: 'Log session activity to Susan for memory persistence',
+      inputSchema: { type: 'object', properties: { project: { type: 'string' }, summary: { type: 'string', description: 'Summary of what was accomplished' }, messages: { type: 'array', description: 'Key messages to remember' } }, required: ['summary'] },
+      handler: async (args) => {
+        const d = await write('/api/sessions', { project: projectKey(args.project), summary: args.summary, messages: args.messages || [] });
+        activeSession.summary = args.summary;
+        if (d?.id && !d.queued) activeSession.id = d.id;
+        cache.invalidate('sessions', 'context:');
+        notify.briefingChanged();
+        logToChad('assistant', `Logged: ${args.summary}`);
+        return d.queued ? queuedText('session', d) : `Session logged: ${JSON.stringify(d)}`;
+      }
+    },
+    {
+      name: 'add_knowledge',
+      description: "Add new knowledge to Susan's database for future reference. If it looks like an existing entry, nothing is written and the matches are listed - then merge with mergeInto or add anyway with force.",
+      inputSchema: { type: 'object', properties: { title: { type: 'string' }, content: { type: 'string' }, category: { type: 'string' }, project: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } }, importance: { type: 'number', description: `1-10 (default ${DEFAULT_IMPORTANCE})` }, mergeInto: { type: 'string', description: 'Fold this into an existing entry instead of adding one' }, force: { type: 'boolean', description: 'Add even if a near-duplicate exists' } }, required: ['title', 'content', 'category'] },
+      handler: async (args) => {
+        const entry = { projectPath: projectKey(args.project), tags: [], importance: DEFAULT_IMPORTANCE, ...knowledgeFields(args) };
+        if (args.mergeInto) {
+          const merged = await updateKnowledge(args.mergeInto, mergeFields(await getKnowledge(args.mergeInto), entry));
+          logToChad('assistant', `Merged into [${args.mergeInto}]: ${args.title}`);
+          return `Merged into ${args.mergeInto}\n\n${renderKnowledge(merged)}`;
+        }
+        if (!args.force) {
+          const duplicates = await nearDuplicates(entry);
+          if (duplicates.length) {
+            const list = duplicates.slice(0, 3).map(k => `- **${k.title}** \`${k.id}\` (${Math.round(k.similarity * 100)}% similar): ${(k.summary || k.content || '').slice(0, 200)}`).join('\n');
+            return `Not added - this looks like existing knowledge:\n\n${list}\n\nCall susan_add_knowledge again with mergeInto: "${duplicates[0].id}" to fold it into that entry, or force: true to add it anyway.`;
+          }
+        }
+        const d = await write('/api/remember', entry);
+        knowledgeIndex.add([{ ...entry, id: d.queued ? `local-${d.id.slice(0, 12)}` : d.id }]);
+        cache.invalidate('context:');
+        notify.resourceListChanged();
+        notify.briefingChanged();
+        logToChad('assistant', `Added: ${args.title}`);
+        return d.queued ? queuedText('knowledge', d) : `Knowledge added: ${JSON.stringify(d)}`;
+      }
+    },
+    {
+      name: 'get_ports',
+      description: 'Get the port assignments for all services in the dev environment',
+      inputSchema: { type: 'object', properties: {} },
+      handler: () => readPorts()
+    }
+  ];
+
+  const plugin = {
+    name: 'susan',
+    title: 'Susan',
+    tools,
+    // Susan answered, so anything queued while she was down can go now
+    onSuccess: () => { if (offlineWrites.size) syncOfflineWrites({ force: true }); },
+    briefing: {
+      required: true,
+      fetch: async ({ project, track }) => track('context', await context(project)),
+      sections: [
+        {
+          name: 'lastSession', priority: 2, order: 10,
+          build: (ctx) => {
+            const items = [];
+            if (ctx.greeting) items.push(ctx.greeting);
+            if (ctx.lastSession) {
+              items.push(`- Started: ${ctx.lastSession.startedAt}\n- Ended: ${ctx.lastSession.endedAt}`);
+              if (ctx.lastSession.summary) items.push(`- Summary: ${ctx.lastSession.summary}`);
+            }
+            return items.length ? { title: 'Last Session Summary', items } : null;
+          }
+        },
+        {
+          name: 'todos', priority: 3, order: 40,
+          build: (ctx) => ctx.todos?.length
+            ? { title: 'All Pending Todos', items: ctx.todos.map(t => `- [${t.priority}] ${t.title}: ${t.description || ''}`) }
+            : null
+        },
+        {
+          name: 'ports', priority: 7, order: 50,
+          build: (ctx) => ctx.ports?.length
+            ? { title: 'Port Assignments', items: ctx.ports.map(p => `- :${p.port} - ${p.service}: ${p.description}`) }
+            : null
+        },
+        {
+          name: 'knowledge', priority: 5, order: 60,
+          build: (ctx) => ctx.knowledge?.filter(isCurrent).length
+            ? { title: 'Key Knowledge', items: ctx.knowledge.filter(isCurrent).map(k => `- **${k.title}**${k.category ? ` (${k.category})` : ''}: ${(k.summary || k.content || '').slice(0, 300)}`) }
+            : null
+        }
+      ]
+    },
+    // Resources and prompts read through these
+    api: { context, searchKnowledge, readTodos, readPorts, readKnowledge },
+
+    // Replay writes queued by an earlier offline session, then keep retrying with backoff
+    start() {
+      offlineWrites.load();
+      if (offlineWrites.size) syncOfflineWrites();
+      setInterval(syncOfflineWrites, 30000).unref();
+    }
+  };
+  return plugin;
+}
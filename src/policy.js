@@ -0,0 +1,101 @@
+/**
+ * Command Policy
+ * Decides whether a command may be sent to server Claude, which has write access to production
+ *
+ * Checked in order:
+ *   1. deny rules - the command is refused outright
+ *   2. confirm rules - the first call gets a one-time token; the command only goes
+ *      out when it is sent again, unchanged, with that token
+ *   3. the rate limit - commands per project within a sliding window
+ *
+ * Rules are case-insensitive regexes. Entries in `projects` add their rules to the
+ * global ones and may override `enabled` and the rate limit for that project.
+ */
+
+import crypto from 'crypto';
+
+const compile = (rules, where) => rules.map(rule => {
+  try {
+    return { rule, pattern: new RegExp(rule, 'i') };
+  } catch (e) {
+    throw new Error(`policy.${where}: invalid pattern ${rule}: ${e.message}`);
+  }
+});
+
+/**
+ * @param {object} [options] - `policy` from kodiack.config.json
+ * @param {object} [deps]
+ * @param {(project: string) => string} [deps.resolveProject] - Canonical project ID for keys in `projects`
+ * @param {() => number} [deps.now]
+ */
+export function createPolicy({ enabled = true, deny = [], confirm = [], confirmSeconds = 300, rateLimit = null, projects = {} } = {}, { resolveProject = (p) => p, now = Date.now } = {}) {
+  const global = { enabled, deny: compile(deny, 'deny'), confirm: compile(confirm, 'confirm'), rateLimit };
+  const perProject = new Map(Object.entries(projects).map(([project, rules]) => [resolveProject(project), {
+    enabled: rules.enabled,
+    deny: compile(rules.deny || [], `projects.${project}.deny`),
+    confirm: compile(rules.confirm || [], `projects.${project}.confirm`),
+    rateLimit: rules.rateLimit
+  }]));
+  const sent = new Map();    // project -> send times inside the window
+  const tokens = new Map();  // token -> { key, expiresAt }
+
+  function rulesFor(project) {
+    const own = perProject.get(project) || {};
+    return {
+      enabled: own.enabled ?? global.enabled,
+      deny: [...global.deny, ...(own.deny || [])],
+      confirm: [...global.confirm, ...(own.confirm || [])],
+      rateLimit: own.rateLimit ? { ...global.rateLimit, ...own.rateLimit } : global.rateLimit
+    };
+  }
+
+  function issueToken(key) {
+    for (const [token, held] of tokens) if (held.expiresAt < now()) tokens.delete(token);
+    const token = crypto.randomBytes(6).toString('hex');
+    tokens.set(token, { key, expiresAt: now() + confirmSeconds * 1000 });
+    return token;
+  }
+
+  /**
+   * Decide on one command. An allowed command counts against the rate limit and
+   * uses up its confirmation token, so only call this right before sending.
+   *
+   * @param {object} request
+   * @param {string} request.project - Canonical project ID of the session
+   * @param {string} request.session - Session ID; tokens only work for the session they were issued to
+   * @param {string} request.command
+   * @param {string} [request.confirm] - Token from an earlier 'confirm' decision
+   * @returns {{ decision: 'allow'|'deny'|'confirm'|'rate-limited', rule?: string, confirmed?: boolean, token?: string, expiresInSeconds?: number, retryAfterMs?: number, limit?: object }}
+   */
+  function authorize({ project, session, command, confirm: token }) {
+    const rules = rulesFor(project);
+    if (!rules.enabled) return { decision: 'allow' };
+
+    const denied = rules.deny.find(r => r.pattern.test(command));
+    if (denied) return { decision: 'deny', rule: denied.rule };
+
+    const guarded = rules.confirm.find(r => r.pattern.test(command));
+    const key = `${session}\n${command}`;
+    if (guarded) {
+      const held = token && tokens.get(token);
+      if (!held || held.key !== key || held.expiresAt < now()) {
+        return { decision: 'confirm', rule: guarded.rule, token: issueToken(key), expiresInSeconds: confirmSeconds, ...(token && { invalidToken: true }) };
+      }
+    }
+
+    if (rules.rateLimit) {
+      const windowMs = rules.rateLimit.windowSeconds * 1000;
+      const recent = (sent.get(project) || []).filter(at => at > now() - windowMs);
+      sent.set(project, recent);
+      if (recent.length >= rules.rateLimit.max) {
+        return { decision: 'rate-limited', retryAfterMs: recent[0] + windowMs - now(), limit: rules.rateLimit };
+      }
+      recent.push(now());
+    }
+
+    if (guarded) tokens.delete(token);
+    return { decision: 'allow', ...(guarded && { rule: guarded.rule, confirmed: true }) };
+  }
+
+  return { authorize };
+}
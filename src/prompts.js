@@ -0,0 +1,67 @@
+/**
+ * MCP Prompts
+ * The briefing's Quick Commands (/server, /ports, /todos, /remember, /search) as slash commands
+ *
+ * Read-only commands embed the current resource so the answer is in the prompt;
+ * commands that change something ask the model to make the tool call, so the
+ * user still sees and approves it.
+ */
+
+import { resourceUri } from './resources.js';
+
+export const PROMPTS = [
+  { name: 'server', description: 'Send a command to server Claude', arguments: [{ name: 'command', description: 'What server Claude should do', required: true }, { name: 'session', description: 'Session ID (defaults to the most recent session)' }] },
+  { name: 'ports', description: 'See all service ports', arguments: [] },
+  { name: 'todos', description: 'Check tasks and pick the next one', arguments: [{ name: 'project', description: 'Project path (defaults to current working directory)' }] },
+  { name: 'remember', description: 'Save knowledge for later', arguments: [{ name: 'info', description: 'What to remember', required: true }, { name: 'category', description: 'architecture, bug-fix, config, workflow...' }] },
+  { name: 'search', description: "Search Susan's knowledge base", arguments: [{ name: 'query', description: 'Search terms', required: true }, { name: 'category', description: 'Optional category filter' }] }
+];
+
+const user = (text) => ({ role: 'user', content: { type: 'text', text } });
+const embedded = (uri, text) => ({ role: 'user', content: { type: 'resource', resource: { uri, mimeType: 'text/markdown', text } } });
+
+/**
+ * Build a prompts/get result
+ *
+ * @param {string} name
+ * @param {object} args - Prompt arguments (all strings)
+ * @param {object} deps
+ * @param {(uri: string) => Promise<string>} deps.readResource
+ * @param {(query: string, category?: string) => Promise<string>} deps.search - Formatted search results
+ * @param {(project?: string) => string} deps.projectKey
+ */
+export async function buildPrompt(name, args = {}, { readResource, search, projectKey }) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name} (available: ${PROMPTS.map(p => p.name).join(', ')})`);
+  const missing = prompt.arguments.filter(a => a.required && !args[a.name]).map(a => a.name);
+  if (missing.length) throw new Error(`/${name} needs ${missing.join(', ')}`);
+
+  switch (name) {
+    case 'server':
+      return {
+        description: `Send to server Claude: ${args.command}`,
+        messages: [user(`Send this to server Claude with server_claude_send${args.session ? ` (session "${args.session}")` : ''} and report what it did. If it stops on a permission prompt, show me the question and options before answering.\n\n${args.command}`)]
+      };
+    case 'ports': {
+      const uri = resourceUri('ports');
+      return { description: 'Service port assignments', messages: [embedded(uri, await readResource(uri)), user('These are the current port assignments. Use them when configuring or calling services.')] };
+    }
+    case 'todos': {
+      const uri = resourceUri('todos', projectKey(args.project));
+      return {
+        description: 'Project todos',
+        messages: [embedded(uri, await readResource(uri)), user('Summarize where these todos stand and suggest which to take next. Claim it with susan_start_todo once I agree, and close it with susan_complete_todo when it is done.')]
+      };
+    }
+    case 'remember':
+      return {
+        description: 'Save knowledge to Susan',
+        messages: [user(`Save this to Susan with susan_add_knowledge. Write a short title${args.category ? ` and use category "${args.category}"` : ' and pick a category (architecture, bug-fix, config, workflow)'}.\n\n${args.info}`)]
+      };
+    case 'search':
+      return {
+        description: `Knowledge search: ${args.query}`,
+        messages: [user(`Results from Susan's knowledge base for "${args.query}"${args.category ? ` in ${args.category}` : ''}:\n\n${await search(args.query, args.category)}\n\nUse what is relevant to the current task.`)]
+      };
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Secret & PII Redaction
+ * Every payload that leaves the machine (Chad, Susan) goes through here first
+ *
+ * Built-in detectors cover the usual suspects pasted into a terminal; extra
+ * regex rules and an allowlist come from a JSON config file:
+ *
+ *   {
+ *     "dryRun": false,
+ *     "disable": ["email"],
+ *     "allowlist": ["noreply@kodiack.dev", "/@example\\.com$/i"],
+ *     "rules": [{ "name": "internal-host", "pattern": "db-[a-z0-9]+\\.internal", "flags": "i" }]
+ *   }
+ *
+ * A rule may capture a named group `secret` to mask only that part of the match.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const BUILTIN_RULES = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'aws-secret-key', pattern: /aws_secret_access_key\s*[=:]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})/gi },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { name: 'openai-key', pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g },
+  { name: 'bearer-token', pattern: /\bBearer\s+(?<secret>[A-Za-z0-9._~+/-]{8,}=*)/gi },
+  { name: 'connection-string', pattern: /\b(?:postgres(?:ql)?|mysql|mongodb(?:\+srv)?|redis):\/\/(?<secret>[^\s:@/'"]+:[^\s@/'"]+)@/gi },
+  { name: 'env-secret', pattern: /\b[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|PRIVATE_KEY|ACCESS_KEY)[A-Z0-9_]*\s*=\s*["']?(?<secret>(?!\[REDACTED)[^\s"']{4,})/g },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g }
+];
+
+/**
+ * Default config location - override with KODIACK_REDACT_CONFIG
+ */
+export function defaultRedactionConfigPath() {
+  return process.env.KODIACK_REDACT_CONFIG || path.join(process.env.HOME || process.env.USERPROFILE, '.claude', 'kodiack-redact.json');
+}
+
+function toRegExp(value, flags = '') {
+  const literal = /^\/(.+)\/([a-z]*)$/.exec(value);
+  if (literal) return new RegExp(literal[1], literal[2]);
+  return new RegExp(value, flags);
+}
+
+/**
+ * Read and validate a redaction config file. A missing file is an empty config.
+ */
+export function loadRedactionConfig(file = defaultRedactionConfigPath()) {
+  if (!fs.existsSync(file)) return {};
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Redaction config ${file} is not valid JSON: ${e.message}`);
+  }
+  return config;
+}
+
+/**
+ * Build a redactor from config
+ *
+ * @param {object} [config]
+ * @param {Array<{name: string, pattern: string, flags?: string}>} [config.rules] - Extra regex rules
+ * @param {string[]} [config.allowlist] - Exact strings or /regex/flags that are never masked
+ * @param {string[]} [config.disable] - Built-in rule names to turn off
+ * @param {boolean} [config.dryRun] - Report what would be masked but leave text untouched
+ * @param {boolean} [config.enabled] - false turns every rule off (features.redaction in kodiack.config.json)
+ */
+export function createRedactor(config = {}) {
+  const disabled = new Set(config.enabled === false ? BUILTIN_RULES.map(r => r.name) : config.disable || []);
+  const rules = BUILTIN_RULES.filter(r => !disabled.has(r.name)).map(r => ({ ...r, pattern: new RegExp(r.pattern.source, r.pattern.flags) }));
+
+  for (const [i, rule] of (config.enabled === false ? [] : config.rules || []).entries()) {
+    if (!rule?.name || !rule?.pattern) throw new Error(`Redaction rule #${i + 1} needs a name and a pattern`);
+    let pattern;
+    try {
+      pattern = toRegExp(rule.pattern, rule.flags);
+    } catch (e) {
+      throw new Error(`Redaction rule "${rule.name}" has an invalid pattern: ${e.message}`);
+    }
+    if (!pattern.global) pattern = new RegExp(pattern.source, pattern.flags + 'g');
+    rules.push({ name: rule.name, pattern });
+  }
+
+  const allowExact = new Set();
+  const allowPatterns = [];
+  for (const entry of config.allowlist || []) {
+    if (!/^\/.+\/[a-z]*$/.test(entry)) {
+      allowExact.add(entry);
+      continue;
+    }
+    let pattern;
+    try {
+      pattern = toRegExp(entry);
+    } catch (e) {
+      throw new Error(`Redaction allowlist entry ${entry} is not a valid regex: ${e.message}`);
+    }
+    // g and y make test() resume from lastIndex, so the same value would pass only every other time
+    allowPatterns.push(new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')));
+  }
+  const isAllowed = (value) => allowExact.has(value) || allowPatterns.some(p => p.test(value));
+
+  const dryRun = Boolean(config.dryRun || process.env.KODIACK_REDACT_DRY_RUN === '1');
+  const totals = {};
+
+  /**
+   * Redact a string
+   * @returns {{ text: string, findings: Array<{rule: string, preview: string}> }}
+   */
+  function redact(text) {
+    if (typeof text !== 'string' || !text) return { text, findings: [] };
+    const findings = [];
+    let out = text;
+    for (const rule of rules) {
+      out = out.replace(rule.pattern, (...m) => {
+        const match = m[0];
+        const groups = typeof m[m.length - 1] === 'object' ? m[m.length - 1] : null;
+        const secret = groups?.secret || match;
+        if (isAllowed(match) || isAllowed(secret)) return match;
+
+        findings.push({ rule: rule.name, preview: secret.length > 8 ? `${secret.slice(0, 4)}…(${secret.length} chars)` : '…' });
+        totals[rule.name] = (totals[rule.name] || 0) + 1;
+        if (dryRun) return match;
+
+        const mask = `[REDACTED:${rule.name}]`;
+        return groups?.secret ? match.replace(groups.secret, mask) : mask;
+      });
+    }
+    return { text: out, findings };
+  }
+
+  /**
+   * Redact every string inside a JSON-able value
+   * @returns {{ value: any, findings: Array<{rule: string, preview: string}> }}
+   */
+  function redactValue(value) {
+    const findings = [];
+    const walk = (v) => {
+      if (typeof v === 'string') {
+        const r = redact(v);
+        findings.push(...r.findings);
+        return r.text;
+      }
+      if (Array.isArray(v)) return v.map(walk);
+      if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+      return v;
+    };
+    return { value: walk(value), findings };
+  }
+
+  return { redact, redactValue, dryRun, rules: rules.map(r => r.name), totals: () => ({ ...totals }) };
+}
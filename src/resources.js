@@ -0,0 +1,127 @@
+/**
+ * MCP Resources
+ * kodiack:// URIs for the briefing, todos, ports and knowledge, plus change subscriptions
+ *
+ * Project paths contain slashes, so they are URI-encoded in the last segment:
+ *   kodiack://todos/%2Fvar%2Fwww%2Fmy-app
+ */
+
+import crypto from 'crypto';
+
+export const SCHEME = 'kodiack://';
+export const POLL_INTERVAL_MS = 30000;
+
+export const RESOURCE_TEMPLATES = [
+  { uriTemplate: 'kodiack://briefing/{project}', name: 'Briefing', description: 'Session briefing for a project (same as susan_get_briefing)', mimeType: 'text/markdown' },
+  { uriTemplate: 'kodiack://todos/{project}', name: 'Todos', description: 'All todos for a project as a checklist', mimeType: 'text/markdown' },
+  { uriTemplate: 'kodiack://ports', name: 'Ports', description: 'Port assignments for every service', mimeType: 'text/markdown' },
+  { uriTemplate: 'kodiack://knowledge/{id}', name: 'Knowledge entry', description: "One entry from Susan's knowledge base", mimeType: 'text/markdown' }
+];
+
+const KINDS = {
+  briefing: 'project',
+  todos: 'project',
+  ports: null,
+  knowledge: 'id'
+};
+
+export function resourceUri(kind, arg) {
+  return arg === undefined ? `${SCHEME}${kind}` : `${SCHEME}${kind}/${encodeURIComponent(arg)}`;
+}
+
+/**
+ * @returns {{ kind: string, arg: string|null }}
+ */
+export function parseResourceUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(SCHEME)) throw new Error(`Not a kodiack:// resource: ${uri}`);
+  const rest = uri.slice(SCHEME.length);
+  const slash = rest.indexOf('/');
+  const kind = slash < 0 ? rest : rest.slice(0, slash);
+  const arg = slash < 0 ? null : decodeURIComponent(rest.slice(slash + 1));
+  if (!Object.hasOwn(KINDS, kind)) throw new Error(`Unknown resource ${uri} (available: ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(', ')})`);
+  if (KINDS[kind] && !arg) throw new Error(`${uri} needs a ${KINDS[kind]}: ${SCHEME}${kind}/{${KINDS[kind]}}`);
+  if (!KINDS[kind] && arg) throw new Error(`${SCHEME}${kind} takes no argument`);
+  return { kind, arg };
+}
+
+const digest = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+/**
+ * Track resources/subscribe requests and send notifications/resources/updated
+ *
+ * Remote changes are found by re-reading subscribed URIs on an interval and
+ * comparing content; local writes call changed() to notify straight away.
+ *
+ * @param {object} options
+ * @param {(uri: string) => Promise<string>} options.read - Current text of a resource
+ * @param {(uri: string) => Promise<void>} options.notify - Send the update notification
+ * @param {number} [options.intervalMs]
+ * @param {(message: string) => void} [options.log]
+ */
+export function createSubscriptions({ read, notify, intervalMs = POLL_INTERVAL_MS, log = () => {} }) {
+  const subscribed = new Map(); // uri -> last content digest (null until first read)
+  let timer = null;
+
+  async function poll() {
+    for (const [uri, last] of subscribed) {
+      try {
+        const current = digest(await read(uri));
+        if (!subscribed.has(uri)) continue;
+        subscribed.set(uri, current);
+        if (last && last !== current) await notify(uri);
+      } catch (e) {
+        log(`Resource poll failed for ${uri}: ${e.message}`);
+      }
+    }
+  }
+
+  function schedule() {
+    if (!timer && subscribed.size) {
+      timer = setInterval(poll, intervalMs);
+      timer.unref?.();
+    }
+    if (timer && !subscribed.size) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    async subscribe(uri) {
+      parseResourceUri(uri);
+      if (subscribed.has(uri)) return;
+      subscribed.set(uri, null);
+      schedule();
+      try {
+        subscribed.set(uri, digest(await read(uri)));
+      } catch (e) {
+        log(`Subscribed to ${uri}, first read failed: ${e.message}`);
+      }
+    },
+    unsubscribe(uri) {
+      subscribed.delete(uri);
+      schedule();
+    },
+    /**
+     * Notify subscribers of every URI the predicate accepts, e.g. after a todo write
+     * @param {(target: { uri: string, kind: string, arg: string|null }) => boolean} matches
+     */
+    async changed(matches) {
+      for (const uri of subscribed.keys()) {
+        if (!matches({ uri, ...parseResourceUri(uri) })) continue;
+        subscribed.set(uri, null); // re-baseline on the next poll
+        try {
+          await notify(uri);
+        } catch (e) {
+          log(`Resource notification failed for ${uri}: ${e.message}`);
+        }
+      }
+    },
+    list: () => [...subscribed.keys()],
+    poll,
+    stop() {
+      subscribed.clear();
+      schedule();
+    }
+  };
+}
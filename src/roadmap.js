@@ -0,0 +1,160 @@
+/**
+ * Roadmap Helpers
+ * Renders Ryan's projects as stage progress bars, phase checklists and a dependency graph
+ *
+ * Every project moves through five stages. A dependency says a project needs
+ * another one to have reached a stage: { project: 'nextbid-engine', stage: 3 }.
+ * A bare project ID needs it finished.
+ */
+
+export const STAGE_COUNT = 5;
+
+const BAR_WIDTH = 10;
+
+export function progressBar(percent, width = BAR_WIDTH) {
+  const filled = Math.max(0, Math.min(width, Math.round(percent / 100 * width)));
+  return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+/**
+ * Overall 0-100 progress: Ryan's own figure when he sends one, otherwise
+ * finished stages plus the share of this stage's phases that are complete
+ */
+export function projectPercent(p) {
+  if (typeof p.progress === 'number') return Math.max(0, Math.min(100, p.progress));
+  const phases = (p.phases || []).filter(ph => !ph.stage || ph.stage === p.stage);
+  const done = phases.length ? phases.filter(ph => ph.status === 'complete').length / phases.length : 0;
+  return Math.round(((p.stage || 1) - 1 + done) / STAGE_COUNT * 100);
+}
+
+// Ryan may leave out a name; the ID stands in for it
+export const projectName = (p) => p.name || p.id || '';
+
+const needs = (p) => (p.dependsOn || []).map(d => typeof d === 'string' ? { project: d, stage: STAGE_COUNT } : d);
+
+/**
+ * Find a project by ID, name or path (case-insensitive)
+ *
+ * @param {Array<object>} projects
+ * @param {string} ref
+ * @param {(path: string) => string} [projectKey] - Canonical form for path matches
+ */
+export function findProject(projects, ref, projectKey = (p) => p) {
+  const wanted = String(ref).toLowerCase();
+  return projects.find(p => p.id?.toLowerCase() === wanted || p.name?.toLowerCase() === wanted)
+    || projects.find(p => p.path && projectKey(p.path) === projectKey(ref))
+    || null;
+}
+
+/**
+ * Nodes and edges; an edge runs from the project that needs to the one it needs
+ */
+export function dependencyGraph(projects) {
+  const byId = new Map(projects.map(p => [p.id, p]));
+  return {
+    nodes: projects.map(p => ({ id: p.id, name: p.name, stage: p.stage })),
+    edges: projects.flatMap(p => needs(p).map(d => ({
+      from: p.id,
+      to: d.project,
+      stage: d.stage,
+      satisfied: (byId.get(d.project)?.stage || 0) >= d.stage
+    })))
+  };
+}
+
+/**
+ * Projects whose unmet dependencies hold them back, with what holds them
+ * @returns {Map<string, Array<object>>} project ID -> unmet edges
+ */
+function blockers(projects) {
+  const blocked = new Map();
+  for (const edge of dependencyGraph(projects).edges.filter(e => !e.satisfied)) {
+    blocked.set(edge.from, [...(blocked.get(edge.from) || []), edge]);
+  }
+  return blocked;
+}
+
+const nameOf = (projects, id) => projects.find(p => p.id === id)?.name || id;
+const stageText = (p) => `Stage ${p.stage || 1}/${STAGE_COUNT}`;
+
+/**
+ * All projects as progress bars, focus marked with ▶
+ */
+export function renderBoard(projects, { focus } = {}) {
+  if (!projects.length) return '# Project Status\n\n*Ryan is not tracking any projects.*';
+  const blocked = blockers(projects);
+  const width = Math.max(...projects.map(p => projectName(p).length));
+  const rows = projects.map(p => {
+    const held = blocked.get(p.id);
+    const notes = [p.note && `← "${p.note}"`, held && `⛔ waiting on ${held.map(e => nameOf(projects, e.to)).join(', ')}`].filter(Boolean);
+    return `${focus?.project === p.id ? '▶' : ' '} ${projectName(p).padEnd(width)}  ${progressBar(projectPercent(p))} ${stageText(p)}${notes.length ? `  ${notes.join('  ')}` : ''}`;
+  });
+  const focused = focus?.project && `**Focus:** ${nameOf(projects, focus.project)}${focus.reason ? ` - ${focus.reason}` : ''}${focus.since ? ` *(since ${focus.since.slice(0, 10)})*` : ''}`;
+  return `# Project Status\n\n\`\`\`\n${rows.join('\n')}\n\`\`\`${focused ? `\n\n${focused}` : ''}`;
+}
+
+function phaseLine(ph) {
+  const done = ph.status === 'complete';
+  return `- [${done ? 'x' : ' '}] ${done ? `~~${ph.name || ph.id}~~` : `**${ph.name || ph.id}**`}${ph.status === 'in_progress' ? ' *(in progress)*' : ''} \`${ph.id}\``;
+}
+
+/**
+ * One project: its bar, this stage's phases, what it needs and what it holds up
+ */
+export function renderProject(p, projects, { focus } = {}) {
+  const stageName = p.stageName ? ` - ${p.stageName}` : '';
+  let text = `# ${projectName(p)}\n\n${progressBar(projectPercent(p))} ${stageText(p)}${stageName} (${projectPercent(p)}%)`;
+  if (focus?.project === p.id) text += `\n\n▶ **Current focus**${focus.reason ? ` - ${focus.reason}` : ''}`;
+  if (p.note) text += `\n\n> ${p.note}`;
+
+  const phases = (p.phases || []).filter(ph => !ph.stage || ph.stage === p.stage);
+  text += `\n\n**Phases:**\n${phases.length ? phases.map(phaseLine).join('\n') : '*No phases recorded for this stage.*'}`;
+
+  const graph = dependencyGraph(projects);
+  const upstream = graph.edges.filter(e => e.from === p.id);
+  const downstream = graph.edges.filter(e => e.to === p.id);
+  if (upstream.length) text += `\n\n**Needs:**\n${upstream.map(e => `- ${nameOf(projects, e.to)} at Stage ${e.stage} ${e.satisfied ? '✓' : '✗'}`).join('\n')}`;
+  if (downstream.length) text += `\n\n**Holds up:**\n${downstream.map(e => `- ${nameOf(projects, e.from)} (needs Stage ${e.stage}) ${e.satisfied ? '✓' : '✗'}`).join('\n')}`;
+  return text;
+}
+
+/**
+ * Text graph: each project with the tree of what it needs, then the bottlenecks.
+ * With `project`, only that project's upstream tree and the projects it holds up.
+ */
+export function renderDependencies(projects, { project } = {}) {
+  const byId = new Map(projects.map(p => [p.id, p]));
+  const graph = dependencyGraph(projects);
+
+  const tree = (id, prefix, seen) => {
+    const edges = graph.edges.filter(e => e.from === id);
+    return edges.flatMap((e, i) => {
+      const last = i === edges.length - 1;
+      const dep = byId.get(e.to);
+      const label = `${nameOf(projects, e.to)} at Stage ${e.stage} - ${dep ? `now ${stageText(dep)}` : 'unknown project'} ${e.satisfied ? '✓' : '✗'}`;
+      if (seen.has(e.to)) return [`${prefix}${last ? '└─' : '├─'} ${label} (cycle)`];
+      return [`${prefix}${last ? '└─' : '├─'} ${label}`, ...tree(e.to, `${prefix}${last ? '   ' : '│  '}`, new Set([...seen, e.to]))];
+    });
+  };
+  const block = (p) => {
+    const lines = tree(p.id, '', new Set([p.id]));
+    const held = graph.edges.some(e => e.from === p.id && !e.satisfied);
+    return `${projectName(p)} (${stageText(p)})${held ? ' ⛔ blocked' : ''}\n${lines.length ? lines.join('\n') : '└─ (needs nothing)'}`;
+  };
+
+  if (project) {
+    const downstream = graph.edges.filter(e => e.to === project.id);
+    const holds = downstream.length
+      ? downstream.map(e => `- ${nameOf(projects, e.from)} needs it at Stage ${e.stage} ${e.satisfied ? '✓' : '✗ (blocking)'}`).join('\n')
+      : '*Nothing depends on it.*';
+    return `# Dependencies - ${projectName(project)}\n\n\`\`\`\n${block(project)}\n\`\`\`\n\n**Holds up:**\n${holds}`;
+  }
+
+  const dependent = projects.filter(p => needs(p).length);
+  if (!dependent.length) return '# Project Dependencies\n\n*No dependencies between projects.*';
+  const counts = new Map();
+  for (const e of graph.edges.filter(e => !e.satisfied)) counts.set(e.to, (counts.get(e.to) || 0) + 1);
+  const bottlenecks = [...counts].sort((a, b) => b[1] - a[1]).map(([id, n]) => `- **${nameOf(projects, id)}** holds up ${n} project(s)`);
+  return `# Project Dependencies\n\n\`\`\`\n${dependent.map(block).join('\n\n')}\n\`\`\``
+    + `\n\n**Bottlenecks:**\n${bottlenecks.length ? bottlenecks.join('\n') : '*None - every dependency is met.*'}`;
+}
@@ -0,0 +1,313 @@
+/**
+ * Server Claude Sessions
+ * Named terminal connections to server Claude, one per project, plus completion detection
+ *
+ * Claude Code's TUI shows "esc to interrupt" next to its spinner while working,
+ * a "? for shortcuts" footer under an empty input box when idle, and a numbered
+ * menu when it needs permission or confirmation.
+ */
+
+import path from 'path';
+import WebSocket from 'ws';
+import { createTerminal, plainText } from './terminal.js';
+
+const TAIL_CHARS = 2000;
+const BUFFER_CHARS = 50000;
+const CONNECT_TIMEOUT_MS = 10000;
+const BUSY_PATTERN = /esc to interrupt/i;
+const IDLE_PATTERNS = [/\? for shortcuts/, /^\s*[│|]\s*>\s*[│|]?\s*$/m, /^\s*>\s*$/m];
+const QUESTION_PATTERN = /(Do you want to [^\n?]*\?|Would you like to [^\n?]*\?|Are you sure[^\n?]*\?|Continue\?|\(y\/n\)|\[y\/N\]|\[Y\/n\])/gi;
+const OPTION_PATTERN = /^\s*[│|]?\s*(?:[❯>]\s*)?(\d)\.\s+(.+?)\s*[│|]?\s*$/;
+
+function tail(text) {
+  return text.length > TAIL_CHARS ? text.slice(-TAIL_CHARS) : text;
+}
+
+function lastIndex(text, pattern) {
+  let index = -1;
+  for (const m of text.matchAll(new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g'))) index = m.index;
+  return index;
+}
+
+function lastIdleIndex(text) {
+  return Math.max(...IDLE_PATTERNS.map(p => lastIndex(text, p)));
+}
+
+/**
+ * Is server Claude still working? (spinner / "esc to interrupt" drawn after the last idle prompt)
+ */
+export function isBusy(text) {
+  const end = tail(text);
+  const busyAt = lastIndex(end, BUSY_PATTERN);
+  return busyAt >= 0 && busyAt > lastIdleIndex(end);
+}
+
+/**
+ * Is the empty input prompt showing at the end of the output?
+ */
+export function isAtPrompt(text) {
+  const end = tail(text);
+  const idleAt = lastIdleIndex(end);
+  return idleAt >= 0 && idleAt > lastIndex(end, BUSY_PATTERN);
+}
+
+/**
+ * Find a permission/confirmation prompt server Claude is blocked on
+ *
+ * @returns {{ question: string, options: Array<{ key: string, label: string }> } | null}
+ */
+export function detectBlockingPrompt(text) {
+  const end = tail(text);
+  const match = [...end.matchAll(QUESTION_PATTERN)].pop(); // the latest question is the live one
+  if (!match) return null;
+
+  // Only count it if nothing but the menu follows the question
+  const after = end.slice(match.index + match[0].length);
+  const options = [];
+  for (const line of after.split('\n')) {
+    const opt = OPTION_PATTERN.exec(line);
+    if (opt) options.push({ key: opt[1], label: opt[2].replace(/\s*\(esc\)$/, '').trim() });
+  }
+  if (/esc to interrupt/i.test(after)) return null;
+
+  const lineStart = end.lastIndexOf('\n', match.index) + 1;
+  const question = end.slice(lineStart, match.index + match[0].length).replace(/^[\s│|]+/, '').trim();
+  return { question, options };
+}
+
+/**
+ * Wait until server Claude is done with the current command
+ *
+ * Resolves when the output shows a blocking prompt, the idle input prompt, or
+ * goes quiet for `quietMs` without a busy indicator - whichever comes first.
+ *
+ * @param {object} options
+ * @param {() => string} options.read - Output produced since the command was sent
+ * @param {() => number} options.lastOutputAt - Timestamp of the most recent output chunk
+ * @param {() => boolean} [options.isConnected]
+ * @param {number} [options.timeoutMs] - Overall limit
+ * @param {number} [options.quietMs] - Silence that counts as done
+ * @returns {Promise<{ output: string, elapsedMs: number, timedOut: boolean, reason: string, blockedOn: object | null }>}
+ */
+export function waitForIdle({ read, lastOutputAt, isConnected = () => true, timeoutMs = 120000, quietMs = 3000, pollMs = 200 }) {
+  const started = Date.now();
+  const settleMs = Math.min(quietMs, 500); // prompts redraw in bursts - let them land
+
+  return new Promise((resolve) => {
+    const finish = (reason, extra = {}) => {
+      clearInterval(timer);
+      resolve({ output: read(), elapsedMs: Date.now() - started, timedOut: reason === 'timeout', reason, blockedOn: null, ...extra });
+    };
+
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const output = read();
+      const quietFor = now - Math.max(lastOutputAt(), started);
+
+      if (!isConnected()) return finish('disconnected');
+      if (now - started >= timeoutMs) return finish('timeout', { blockedOn: detectBlockingPrompt(output) });
+      if (!output) return;
+
+      if (quietFor >= settleMs) {
+        const blockedOn = detectBlockingPrompt(output);
+        if (blockedOn) return finish('blocked', { blockedOn });
+        // The footer is also drawn around the echoed input, so only trust it once work has started
+        if (BUSY_PATTERN.test(output) && isAtPrompt(output)) return finish('prompt');
+      }
+      if (quietFor >= quietMs && !isBusy(output)) return finish('quiet');
+    }, pollMs);
+  });
+}
+
+/**
+ * Create one server Claude terminal session
+ *
+ * Raw output goes into a fixed-size ring buffer and through a screen model.
+ * `total` counts every char ever received, so a mark taken before a send
+ * stays valid after old output is dropped.
+ */
+function createSession({ id, projectPath, wsUrl, open, describeError, log, terminal }) {
+  let ws = null;
+  let connecting = null;
+  let closedByUser = false;
+
+  const session = {
+    id,
+    projectPath,
+    connected: false,
+    buffer: '',
+    total: 0,
+    terminal: createTerminal(terminal),
+    lastOutputAt: 0,
+    connectedAt: null,
+    reconnects: 0,
+    lastError: null,
+
+    append(text) {
+      session.buffer += text;
+      session.total += text.length;
+      session.lastOutputAt = Date.now();
+      session.terminal.write(text);
+      if (session.buffer.length > BUFFER_CHARS) session.buffer = session.buffer.slice(-BUFFER_CHARS);
+    },
+
+    // Raw output received since `mark` (a `total` value) - clipped if the ring dropped part of it
+    rawSince(mark) {
+      return session.buffer.slice(Math.max(0, session.buffer.length - (session.total - mark)));
+    },
+
+    // The same as plain text, for prompt detection
+    outputSince(mark) {
+      return plainText(session.rawSince(mark));
+    },
+
+    /**
+     * Output as lines: the rendered `screen`, the cleaned `scrollback`, or the `raw` stream
+     */
+    output(mode = 'scrollback') {
+      if (mode === 'screen') return session.terminal.screen();
+      if (mode === 'scrollback') return session.terminal.scrollback();
+      if (mode === 'raw') return session.buffer.split('\n');
+      throw new Error(`Unknown output mode: ${mode} (screen, scrollback or raw)`);
+    },
+
+    connect() {
+      if (ws && session.connected) return Promise.resolve(session);
+      if (connecting) return connecting;
+      closedByUser = false;
+      if (session.connectedAt) session.reconnects++;
+
+      const url = `${wsUrl}?path=${encodeURIComponent(projectPath)}&mode=claude`;
+      log(`Connecting to server Claude [${id}]: ${url}`);
+      connecting = new Promise((resolve, reject) => {
+        ws = open(url);
+        const timer = setTimeout(() => { if (!session.connected) { ws?.terminate(); reject(new Error('Timeout')); } }, CONNECT_TIMEOUT_MS);
+        ws.on('open', () => {
+          clearTimeout(timer);
+          session.connected = true;
+          session.connectedAt = new Date().toISOString();
+          session.lastError = null;
+          log(`Server Claude connected [${id}]`);
+          resolve(session);
+        });
+        ws.on('message', (data) => {
+          try {
+            const msg = JSON.parse(data.toString());
+            if (msg.type === 'output') session.append(msg.data);
+          } catch (e) { session.append(data.toString()); }
+        });
+        ws.on('error', (e) => { clearTimeout(timer); e = describeError(e); session.connected = false; session.lastError = e.message; reject(e); });
+        ws.on('close', () => {
+          session.connected = false;
+          ws = null;
+          if (!closedByUser) log(`Server Claude disconnected [${id}] - will reconnect on next send`);
+        });
+      }).finally(() => { connecting = null; });
+      return connecting;
+    },
+
+    send(data) {
+      if (!ws || !session.connected) throw new Error(`Server Claude session ${id} is not connected`);
+      ws.send(JSON.stringify({ type: 'input', data }));
+    },
+
+    close() {
+      closedByUser = true;
+      ws?.close();
+      session.connected = false;
+    },
+
+    status() {
+      return {
+        session: id,
+        project: projectPath,
+        connected: session.connected,
+        connectedAt: session.connectedAt,
+        reconnects: session.reconnects,
+        lastError: session.lastError,
+        bufferSize: session.buffer.length,
+        screen: session.terminal.status(),
+        lastOutputAt: session.lastOutputAt ? new Date(session.lastOutputAt).toISOString() : null
+      };
+    }
+  };
+  return session;
+}
+
+/**
+ * Track named server Claude sessions keyed by project path
+ *
+ * @param {object} options
+ * @param {string} options.wsUrl - Server Claude WebSocket base URL
+ * @param {(url: string) => WebSocket} [options.open] - Opens the socket (auth/TLS handled by the transport)
+ * @param {(error: Error) => Error} [options.describeError] - Makes handshake failures readable
+ * @param {(message: string) => void} [options.log]
+ * @param {{ cols?: number, rows?: number, scrollbackLines?: number }} [options.terminal] - Screen model size per session
+ */
+export function createSessionManager({ wsUrl, open = (url) => new WebSocket(url), describeError = (e) => e, log = () => {}, terminal = {} }) {
+  const sessions = new Map();
+  let current = null;
+
+  function uniqueId(projectPath) {
+    const base = path.posix.basename(projectPath.replace(/\\/g, '/').replace(/\/+$/, '')).toLowerCase().replace(/[^a-z0-9_-]+/g, '-') || 'session';
+    let id = base;
+    for (let n = 2; sessions.has(id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  /**
+   * Connect (or reconnect) the session for a project. Reuses an existing session for the same project.
+   * A new session that fails to connect is forgotten, and only a connected one becomes current.
+   */
+  async function connect(projectPath, name) {
+    let session = name ? sessions.get(name) : [...sessions.values()].find(s => s.projectPath === projectPath);
+    if (session && session.projectPath !== projectPath) {
+      throw new Error(`Session ${name} is already bound to ${session.projectPath}`);
+    }
+    const created = !session;
+    if (created) {
+      // Registered before connecting, so a concurrent connect for the project shares it
+      session = createSession({ id: name || uniqueId(projectPath), projectPath, wsUrl, open, describeError, log, terminal });
+      sessions.set(session.id, session);
+    }
+    try {
+      await session.connect();
+    } catch (e) {
+      if (created && sessions.get(session.id) === session) sessions.delete(session.id);
+      throw e;
+    }
+    current = session.id;
+    return session;
+  }
+
+  function get(id) {
+    const session = sessions.get(id);
+    if (!session) throw new Error(`Unknown server Claude session: ${id}${sessions.size ? ` (open: ${[...sessions.keys()].join(', ')})` : ''}`);
+    return session;
+  }
+
+  /**
+   * The named session, or the most recently connected one when no name is given
+   */
+  function resolve(id) {
+    if (id) return get(id);
+    return current ? sessions.get(current) : null;
+  }
+
+  function disconnect(id) {
+    const session = get(id);
+    session.close();
+    sessions.delete(id);
+    if (current === id) current = sessions.size ? [...sessions.keys()].pop() : null;
+    return session;
+  }
+
+  return {
+    connect,
+    get,
+    resolve,
+    disconnect,
+    list: () => [...sessions.values()].map(s => ({ ...s.status(), current: s.id === current })),
+    get current() { return current; }
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Chad Telemetry
+ * Ordered, bounded queue of structured events for Chad that survives disconnects
+ *
+ * Every message for Chad - tool call events, session start/end and the free-text
+ * log lines - goes through one queue so they arrive in the order they happened.
+ * While Chad is down the queue holds the newest MAX_QUEUE messages; if older ones
+ * had to be dropped, a `dropped` event tells Chad where the gap is.
+ */
+
+import crypto from 'crypto';
+
+export const MAX_QUEUE = 1000;
+const MAX_STRING = 500;
+const EXCERPT_CHARS = 200;
+
+/**
+ * Shorten long strings and arrays so one call can't flood the stream
+ */
+export function clip(value, depth = 0) {
+  if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…(${value.length} chars)` : value;
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 20).map(v => clip(v, depth + 1));
+    return value.length > 20 ? [...items, `…(${value.length - 20} more)`] : items;
+  }
+  if (value && typeof value === 'object') {
+    if (depth > 4) return '[object]';
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clip(v, depth + 1)]));
+  }
+  return value;
+}
+
+/**
+ * @param {object} options
+ * @param {(message: object) => boolean} options.send - Deliver one message; false when Chad is not connected
+ * @param {() => object} [options.context] - Fields stamped on every event (session, project)
+ * @param {number} [options.maxQueue]
+ * @param {boolean} [options.enabled] - false: drop everything (features.chadLogging off)
+ * @param {(value: any) => any} [options.redact] - Masks secrets in call args and results before they are clipped;
+ *   a secret cut in half (a PEM key without its END line) no longer matches the rules that would mask it
+ */
+export function createTelemetry({ send, context = () => ({}), maxQueue = MAX_QUEUE, enabled = true, redact = (v) => v }) {
+  const queue = [];
+  let seq = 0;
+  let dropped = 0;
+  let unreported = 0;
+  let sent = 0;
+  let lastFlushAt = null;
+
+  function push(message) {
+    if (!enabled) return;
+    queue.push({ ...message, seq: ++seq });
+    if (queue.length > maxQueue) {
+      queue.shift();
+      dropped++;
+      unreported++;
+    }
+    flush();
+  }
+
+  /**
+   * Send queued messages in order until Chad stops accepting them
+   */
+  function flush() {
+    if (unreported && send({ type: 'event', event: 'dropped', count: unreported, ts: new Date().toISOString(), ...context() })) unreported = 0;
+    if (unreported) return;
+    let progressed = false;
+    while (queue.length && send(queue[0])) {
+      queue.shift();
+      sent++;
+      progressed = true;
+    }
+    if (progressed) lastFlushAt = new Date().toISOString();
+  }
+
+  /**
+   * Queue a structured event
+   */
+  function event(name, fields = {}) {
+    push({ type: 'event', event: name, ts: new Date().toISOString(), ...context(), ...fields });
+  }
+
+  /**
+   * Queue a free-text log line (the original logToChad format)
+   */
+  function message(role, content) {
+    push({ type: 'message', role, content, ts: new Date().toISOString(), ...context() });
+  }
+
+  /**
+   * Time a tool call; end() records it with its outcome
+   */
+  function startCall(tool, args) {
+    const callId = crypto.randomUUID();
+    const started = Date.now();
+    return {
+      callId,
+      end(result) {
+        const text = redact((result?.content || []).map(c => c.text || '').join('\n'));
+        event('tool_call', {
+          callId,
+          tool,
+          args: clip(redact(args || {})),
+          durationMs: Date.now() - started,
+          ok: !result?.isError,
+          ...(result?.isError && { error: text.replace(/^Error: /, '').slice(0, MAX_STRING) }),
+          resultChars: text.length,
+          excerpt: text.slice(0, EXCERPT_CHARS)
+        });
+      }
+    };
+  }
+
+  return {
+    event,
+    message,
+    startCall,
+    flush,
+    status: () => ({ depth: queue.length, dropped, sent, lastFlushAt, maxQueue })
+  };
+}
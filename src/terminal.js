@@ -0,0 +1,383 @@
+/**
+ * Terminal Screen Model
+ * Headless VT100/xterm emulation for server Claude's PTY output
+ *
+ * Claude Code's TUI redraws its spinner and input box in place with cursor
+ * moves and erases, so stripping escape codes from the stream leaves every
+ * frame stacked on top of each other. Feeding the stream through a screen
+ * model instead gives what a person at the terminal would see: the current
+ * screen, plus the lines that scrolled off the top of it.
+ *
+ * Covers what TUIs actually send: cursor movement, erase line/display, scroll
+ * regions, insert/delete lines and chars, save/restore cursor and the
+ * alternate screen. Colours and other attributes are dropped. Every char
+ * takes one cell.
+ */
+
+const DEFAULT_COLS = 200;
+const DEFAULT_ROWS = 50;
+const DEFAULT_SCROLLBACK = 5000;
+const TAB_WIDTH = 8;
+const MIN_REPLAY = 3; // lines that must match before a redraw counts as a repeat
+const COMBINING = /^(?:\p{M}|\u200d|\ufe0e|\ufe0f)$/u;
+
+/**
+ * Split a byte stream into prints, controls and escape sequences
+ *
+ * Keeps its state between calls, so a sequence split across two chunks still parses.
+ *
+ * @param {object} handlers
+ * @param {(ch: string) => void} handlers.print
+ * @param {(ch: string) => void} handlers.control - C0 controls and DEL
+ * @param {(ch: string) => void} [handlers.esc] - Final char of a two-char ESC sequence
+ * @param {(params: string, final: string) => void} [handlers.csi]
+ */
+function createParser({ print, control, esc = () => {}, csi = () => {} }) {
+  let state = 'text';
+  let params = '';
+
+  function step(ch) {
+    const code = ch.codePointAt(0);
+    switch (state) {
+      case 'text':
+        if (ch === '\x1b') state = 'esc';
+        else if (code < 0x20 || code === 0x7f) control(ch);
+        else print(ch);
+        return;
+      case 'esc':
+        state = 'text';
+        if (ch === '[') { state = 'csi'; params = ''; }
+        else if (']P_^X'.includes(ch)) state = 'string'; // OSC, DCS, APC, PM, SOS
+        else if ('()*+-./#%'.includes(ch)) state = 'charset';
+        else esc(ch);
+        return;
+      case 'csi':
+        if (code >= 0x40 && code <= 0x7e) { state = 'text'; csi(params, ch); }
+        else if (ch === '\x1b') state = 'esc';
+        else if (code < 0x20) control(ch);
+        else params += ch;
+        return;
+      case 'string':
+        if (ch === '\x07') state = 'text';
+        else if (ch === '\x1b') state = 'stringEsc';
+        return;
+      case 'stringEsc':
+        // ESC \ ends the string; any other escape aborts it and starts over
+        if (ch === '\\') state = 'text';
+        else { state = 'esc'; step(ch); }
+        return;
+      case 'charset':
+        state = 'text';
+    }
+  }
+
+  return (data) => { for (const ch of data) step(ch); };
+}
+
+/**
+ * Output as a plain character stream: escape sequences dropped, nothing
+ * redrawn. Prompt detection wants this - it cares about the order things
+ * were drawn in, not where they ended up.
+ */
+export function plainText(data) {
+  let out = '';
+  createParser({
+    print: (ch) => { out += ch; },
+    control: (ch) => { if (ch === '\n' || ch === '\r' || ch === '\t') out += ch; }
+  })(data);
+  return out;
+}
+
+/**
+ * Lines that scrolled off the screen, with redraws folded away
+ *
+ * A full clear usually means the app is about to print everything again.
+ * After one, incoming lines that repeat what is already here (in order, at
+ * least MIN_REPLAY of them) are skipped until something new shows up.
+ * Runs of blank lines collapse to one.
+ */
+function createHistory(limit) {
+  const lines = [];
+  let replay = null; // { at, skipped } - `at` is null until the first repeated line is found
+
+  function add(list, state, text) {
+    if (state) {
+      if (state.at === null) {
+        if (!text) return state;
+        const at = list.lastIndexOf(text);
+        if (at >= 0) return { at: at + 1, skipped: [text] };
+        state = null;
+      } else if (state.at < list.length && list[state.at] === text) {
+        state.at++;
+        state.skipped.push(text);
+        return state;
+      } else if (!text) {
+        return state; // the reprint may have blank runs we collapsed
+      } else {
+        if (state.skipped.length < MIN_REPLAY) state.skipped.forEach(s => push(list, s));
+        state = null;
+      }
+    }
+    push(list, text);
+    return null;
+  }
+
+  function push(list, text) {
+    if (!text && list.length && !list[list.length - 1]) return;
+    list.push(text);
+    if (list.length > limit) list.shift();
+  }
+
+  // A short match that never grew into a reprint was a coincidence
+  function settle(list, state) {
+    if (state?.at != null && state.skipped.length < MIN_REPLAY) state.skipped.forEach(s => push(list, s));
+  }
+
+  return {
+    add(text) { replay = add(lines, replay, text); },
+    expectRedraw() { replay = { at: null, skipped: [] }; },
+    // History plus lines that have not scrolled off yet, without committing them
+    with(extra) {
+      const list = [...lines];
+      let state = replay && { at: replay.at, skipped: [...replay.skipped] };
+      for (const text of extra) state = add(list, state, text);
+      settle(list, state);
+      return list;
+    },
+    get length() { return lines.length; }
+  };
+}
+
+const trimEnd = (text) => text.replace(/\s+$/, '');
+
+function lastNonBlank(lines) {
+  let end = lines.length;
+  while (end > 0 && !lines[end - 1]) end--;
+  return lines.slice(0, end);
+}
+
+/**
+ * Create a headless terminal
+ *
+ * @param {object} [options]
+ * @param {number} [options.cols] - Should match the server PTY, or wide enough that nothing wraps early
+ * @param {number} [options.rows]
+ * @param {number} [options.scrollbackLines] - History kept above the screen
+ * @returns {{ write: (data: string) => void, screen: () => string[], scrollback: () => string[], status: () => object }}
+ */
+export function createTerminal({ cols = DEFAULT_COLS, rows = DEFAULT_ROWS, scrollbackLines = DEFAULT_SCROLLBACK } = {}) {
+  const blankRow = () => new Array(cols).fill(' ');
+  const blankGrid = () => Array.from({ length: rows }, blankRow);
+
+  const history = createHistory(scrollbackLines);
+  const main = blankGrid();
+  let grid = main;
+  let row = 0, col = 0, wrapPending = false;
+  let top = 0, bottom = rows - 1;
+  let saved = { row: 0, col: 0 };
+  let mainCursor = null; // cursor saved on entering the alternate screen
+
+  const clampRow = (r) => Math.max(0, Math.min(rows - 1, r));
+  const clampCol = (c) => Math.max(0, Math.min(cols - 1, c));
+  const moveTo = (r, c) => { row = clampRow(r); col = clampCol(c); wrapPending = false; };
+  const rowText = (cells) => trimEnd(cells.join(''));
+
+  function scrollUp(n = 1) {
+    for (let i = 0; i < n; i++) {
+      const [gone] = grid.splice(top, 1);
+      // Only the main screen has history, and only lines leaving the very top reach it
+      if (grid === main && top === 0) history.add(rowText(gone));
+      grid.splice(bottom, 0, blankRow());
+    }
+  }
+
+  function scrollDown(n = 1) {
+    for (let i = 0; i < n; i++) {
+      grid.splice(bottom, 1);
+      grid.splice(top, 0, blankRow());
+    }
+  }
+
+  function lineFeed() {
+    if (row === bottom) scrollUp();
+    else if (row < rows - 1) row++;
+  }
+
+  function erase(r, from = 0, to = cols) {
+    grid[r].fill(' ', from, to);
+  }
+
+  // Whatever was on screen is kept, then the app is expected to draw it again
+  function clearScreen() {
+    if (grid === main) {
+      for (const text of lastNonBlank(main.map(rowText))) history.add(text);
+      history.expectRedraw();
+    }
+    for (let r = 0; r < rows; r++) erase(r);
+  }
+
+  function print(ch) {
+    if (COMBINING.test(ch)) {
+      const c = wrapPending ? col : col - 1;
+      if (c >= 0) grid[row][c] += ch;
+      return;
+    }
+    if (wrapPending) {
+      col = 0;
+      lineFeed();
+      wrapPending = false;
+    }
+    grid[row][col] = ch;
+    if (col === cols - 1) wrapPending = true;
+    else col++;
+  }
+
+  function control(ch) {
+    switch (ch) {
+      case '\r': col = 0; wrapPending = false; break;
+      case '\n': case '\v': case '\f': lineFeed(); wrapPending = false; break;
+      case '\b': if (col > 0) col--; wrapPending = false; break;
+      case '\t': col = Math.min(cols - 1, (Math.floor(col / TAB_WIDTH) + 1) * TAB_WIDTH); break;
+    }
+  }
+
+  function setScreen(alternate, keepCursor) {
+    if (alternate && grid === main) {
+      if (keepCursor) mainCursor = { row, col };
+      grid = blankGrid();
+    } else if (!alternate && grid !== main) {
+      grid = main;
+      if (mainCursor) moveTo(mainCursor.row, mainCursor.col);
+      mainCursor = null;
+    }
+  }
+
+  function esc(ch) {
+    switch (ch) {
+      case '7': saved = { row, col }; break;
+      case '8': moveTo(saved.row, saved.col); break;
+      case 'D': lineFeed(); break;
+      case 'E': col = 0; lineFeed(); break;
+      case 'M': if (row === top) scrollDown(); else if (row > 0) row--; break;
+      case 'c': setScreen(false); clearScreen(); top = 0; bottom = rows - 1; moveTo(0, 0); break;
+    }
+  }
+
+  function csi(params, final) {
+    const lead = /^[?<=>]/.test(params) ? params[0] : '';
+    const nums = params.slice(lead.length).split(';').map(n => parseInt(n, 10) || 0);
+    const n = Math.max(1, nums[0]);
+
+    if (lead === '?') {
+      if (final !== 'h' && final !== 'l') return;
+      for (const mode of nums) {
+        if (mode === 1049 || mode === 1047 || mode === 47) setScreen(final === 'h', mode === 1049);
+      }
+      return;
+    }
+    if (lead) return; // xterm queries and key modifiers - nothing to draw
+
+    switch (final) {
+      case 'A': moveTo(row - n, col); break;
+      case 'B': moveTo(row + n, col); break;
+      case 'C': moveTo(row, col + n); break;
+      case 'D': moveTo(row, col - n); break;
+      case 'E': moveTo(row + n, 0); break;
+      case 'F': moveTo(row - n, 0); break;
+      case 'G': case '`': moveTo(row, n - 1); break;
+      case 'd': moveTo(n - 1, col); break;
+      case 'H': case 'f': moveTo(Math.max(1, nums[0]) - 1, Math.max(1, nums[1] || 0) - 1); break;
+      case 'J':
+        if (nums[0] === 0 && row === 0 && col === 0) clearScreen();
+        else if (nums[0] === 0) { erase(row, col); for (let r = row + 1; r < rows; r++) erase(r); }
+        else if (nums[0] === 1) { for (let r = 0; r < row; r++) erase(r); erase(row, 0, col + 1); }
+        else if (nums[0] === 2) clearScreen();
+        else if (nums[0] === 3 && grid === main) history.expectRedraw();
+        break;
+      case 'K':
+        if (nums[0] === 0) erase(row, col);
+        else if (nums[0] === 1) erase(row, 0, col + 1);
+        else erase(row);
+        break;
+      case 'X': erase(row, col, Math.min(cols, col + n)); break;
+      case 'P': grid[row].splice(col, n); while (grid[row].length < cols) grid[row].push(' '); break;
+      case '@': grid[row].splice(col, 0, ...new Array(Math.min(n, cols - col)).fill(' ')); grid[row].length = cols; break;
+      case 'L':
+        if (row < top || row > bottom) break;
+        for (let i = 0; i < n; i++) { grid.splice(bottom, 1); grid.splice(row, 0, blankRow()); }
+        break;
+      case 'M':
+        if (row < top || row > bottom) break;
+        for (let i = 0; i < n; i++) { grid.splice(row, 1); grid.splice(bottom, 0, blankRow()); }
+        break;
+      case 'S': scrollUp(n); break;
+      case 'T': scrollDown(n); break;
+      case 'r': {
+        const t = Math.max(1, nums[0]) - 1;
+        const b = Math.min(rows, nums[1] || rows) - 1;
+        if (t < b) { top = t; bottom = b; moveTo(0, 0); }
+        break;
+      }
+      case 's': saved = { row, col }; break;
+      case 'u': moveTo(saved.row, saved.col); break;
+    }
+  }
+
+  const feed = createParser({ print, control, esc, csi });
+
+  return {
+    write(data) { feed(data); },
+
+    /** The visible screen, trailing blank rows dropped */
+    screen: () => lastNonBlank(grid.map(rowText)),
+
+    /** Everything that scrolled off the main screen, followed by what is on it now */
+    scrollback: () => history.with(lastNonBlank(main.map(rowText))),
+
+    status: () => ({ cols, rows, alternateScreen: grid !== main, cursor: { row, col }, scrollbackLines: history.length })
+  };
+}
+
+/**
+ * Render a stretch of raw output on a fresh terminal and return the cleaned text
+ */
+export function renderText(data, options) {
+  const terminal = createTerminal(options);
+  terminal.write(data);
+  return terminal.scrollback().join('\n');
+}
+
+/**
+ * grep-style search: "12:match" and "11-context" lines, groups split by "--"
+ *
+ * @param {string[]} lines
+ * @param {string} pattern - Case-insensitive regex; matched literally if it does not compile
+ * @param {object} [options]
+ * @param {number} [options.context] - Lines shown around each match
+ * @param {number} [options.firstLine] - Number of the first line in `lines`
+ * @returns {string | null} null when nothing matches
+ */
+export function grepLines(lines, pattern, { context = 2, firstLine = 1 } = {}) {
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'i');
+  } catch (e) {
+    regex = new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+
+  const hits = lines.map((line, i) => regex.test(line) ? i : -1).filter(i => i >= 0);
+  if (!hits.length) return null;
+
+  const out = [];
+  let shownTo = -1;
+  for (const hit of hits) {
+    const from = Math.max(hit - context, shownTo + 1);
+    if (shownTo >= 0 && from > shownTo + 1) out.push('--');
+    for (let i = from; i <= Math.min(lines.length - 1, hit + context); i++) {
+      if (i <= shownTo) continue;
+      out.push(`${firstLine + i}${hits.includes(i) ? ':' : '-'}${lines[i]}`);
+      shownTo = i;
+    }
+  }
+  return out.join('\n');
+}
@@ -0,0 +1,49 @@
+/**
+ * Todo Helpers
+ * Validates todo writes and renders Susan's todo list as a markdown checklist
+ */
+
+export const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+export const STATUSES = ['pending', 'in_progress', 'completed'];
+
+const STATUS_ORDER = { in_progress: 0, pending: 1, completed: 2 };
+const PRIORITY_ICON = { critical: '🔴', high: '🟠', medium: '🟡', low: '⚪' };
+
+/**
+ * Pick the writable todo fields out of tool arguments
+ * @returns {object} only the fields that were given
+ */
+export function todoFields(args = {}) {
+  if (args.priority !== undefined && !PRIORITIES.includes(args.priority)) {
+    throw new Error(`priority must be one of ${PRIORITIES.join(', ')}`);
+  }
+  if (args.status !== undefined && !STATUSES.includes(args.status)) {
+    throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+  }
+  const fields = {};
+  for (const key of ['title', 'description', 'priority', 'status', 'sessionId']) {
+    if (args[key] !== undefined) fields[key] = args[key];
+  }
+  return fields;
+}
+
+function todoLine(t) {
+  const done = t.status === 'completed';
+  let line = `- [${done ? 'x' : ' '}] ${PRIORITY_ICON[t.priority] || '⚪'} ${done ? `~~${t.title}~~` : `**${t.title}**`}`;
+  if (t.status === 'in_progress') line += ' *(in progress)*';
+  line += ` \`${t.id}\``;
+  if (t.description) line += `\n  ${t.description}`;
+  return line;
+}
+
+/**
+ * Render todos as a checklist - in progress first, then by priority
+ */
+export function renderChecklist(todos, { project, status = 'pending' } = {}) {
+  const heading = `# Todos${project ? ` - ${project}` : ''} (${status}: ${todos.length})`;
+  if (!todos.length) return `${heading}\n\n*Nothing here.*`;
+  const sorted = [...todos].sort((a, b) =>
+    (STATUS_ORDER[a.status] ?? 1) - (STATUS_ORDER[b.status] ?? 1) ||
+    (PRIORITIES.indexOf(a.priority) + 1 || 99) - (PRIORITIES.indexOf(b.priority) + 1 || 99));
+  return `${heading}\n\n${sorted.map(todoLine).join('\n')}`;
+}
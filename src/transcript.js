@@ -0,0 +1,219 @@
+/**
+ * Claude Code Transcript Parser
+ * Reads the per-project session transcripts under ~/.claude/projects
+ *
+ * Each session is a JSONL file (<project-dir>/<sessionId>.jsonl). Every line is
+ * a record like { type, sessionId, uuid, timestamp, cwd, message: { role, content } }
+ * where content is a string or an array of text / tool_use / tool_result blocks.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const MAX_CONTENT = 2000;
+const SCAN_INTERVAL_MS = 5000;
+const IDLE_FILE_MS = 6 * 60 * 60 * 1000; // files untouched for 6 hours keep their offset but not their tool names
+
+/**
+ * Default transcript root for the current user
+ */
+export function defaultTranscriptRoot(env = process.env) {
+  return path.join(env.HOME || env.USERPROFILE, '.claude', 'projects');
+}
+
+function truncate(text) {
+  return text.length > MAX_CONTENT ? text.slice(0, MAX_CONTENT) : text;
+}
+
+const isBlock = (b) => b !== null && typeof b === 'object';
+
+function blockText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(b => typeof b === 'string' ? b : isBlock(b) && b.type === 'text' ? b.text : '').filter(Boolean).join('\n');
+  }
+  return '';
+}
+
+// Unparseable timestamps fall back to the time the line was read
+function validTimestamp(value) {
+  const at = typeof value === 'string' || typeof value === 'number' ? new Date(value).getTime() : NaN;
+  return Number.isNaN(at) ? new Date().toISOString() : new Date(at).toISOString();
+}
+
+/**
+ * Parse one transcript line into typed messages
+ *
+ * @param {string} line - Raw JSONL line
+ * @param {Map<string, string>} [toolNames] - tool_use id -> tool name, so results can be labelled
+ * @returns {Array<{kind: string, role: string, content: string, toolName?: string, toolUseId?: string, isError?: boolean, sessionId: string, uuid: string, timestamp: string, cwd?: string}>}
+ */
+export function parseTranscriptLine(line, toolNames = new Map()) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (e) {
+    return [];
+  }
+  if (!record || (record.type !== 'user' && record.type !== 'assistant') || !record.message) return [];
+  if (record.isMeta) return [];
+
+  const base = {
+    sessionId: record.sessionId,
+    uuid: record.uuid,
+    timestamp: validTimestamp(record.timestamp),
+    cwd: record.cwd
+  };
+  const role = record.message.role || record.type;
+  const content = record.message.content;
+
+  if (typeof content === 'string') {
+    return content.trim() ? [{ ...base, kind: role, role, content: truncate(content) }] : [];
+  }
+  if (!Array.isArray(content)) return [];
+
+  const messages = [];
+  for (const block of content) {
+    if (!isBlock(block)) continue;
+    switch (block.type) {
+      case 'text':
+        if (block.text?.trim()) messages.push({ ...base, kind: role, role, content: truncate(block.text) });
+        break;
+      case 'tool_use':
+        toolNames.set(block.id, block.name);
+        messages.push({
+          ...base,
+          kind: 'tool_use',
+          role,
+          toolName: block.name,
+          toolUseId: block.id,
+          content: truncate(`${block.name} ${JSON.stringify(block.input ?? {})}`)
+        });
+        break;
+      case 'tool_result':
+        messages.push({
+          ...base,
+          kind: 'tool_result',
+          role,
+          toolName: toolNames.get(block.tool_use_id),
+          toolUseId: block.tool_use_id,
+          isError: Boolean(block.is_error),
+          content: truncate(blockText(block.content))
+        });
+        break;
+      // thinking, image and other blocks are not worth sending
+    }
+  }
+  return messages;
+}
+
+/**
+ * Discover and tail every session transcript under `root`
+ *
+ * Files present at startup are tailed from their current end; files that appear
+ * later are read from the beginning. Truncated or replaced files start over.
+ * Every file seen keeps its offset, so one that sat idle and grows again
+ * resumes where it left off instead of replaying its history.
+ *
+ * @param {object} options
+ * @param {string} [options.root] - Transcript root directory
+ * @param {(message: object) => void} options.onMessage
+ * @param {(message: string, data?: object) => void} [options.log]
+ * @returns {{ stop: () => void, files: () => string[] }}
+ */
+export function watchTranscripts({ root = defaultTranscriptRoot(), onMessage, log = () => {}, intervalMs = SCAN_INTERVAL_MS }) {
+  const tails = new Map(); // file -> { offset, ino, remainder, toolNames }
+  let firstScan = true;
+
+  function listFiles() {
+    if (!fs.existsSync(root)) return [];
+    const files = [];
+    for (const dir of fs.readdirSync(root, { withFileTypes: true })) {
+      if (!dir.isDirectory()) continue;
+      const projectDir = path.join(root, dir.name);
+      for (const f of fs.readdirSync(projectDir)) {
+        if (f.endsWith('.jsonl')) files.push(path.join(projectDir, f));
+      }
+    }
+    return files;
+  }
+
+  function readNew(file, tail, stat) {
+    if (stat.size <= tail.offset) return 0;
+    const fd = fs.openSync(file, 'r');
+    const buffer = Buffer.alloc(stat.size - tail.offset);
+    fs.readSync(fd, buffer, 0, buffer.length, tail.offset);
+    fs.closeSync(fd);
+    tail.offset = stat.size;
+
+    const lines = (tail.remainder + buffer.toString('utf8')).split('\n');
+    tail.remainder = lines.pop(); // last piece may be a partially written line
+
+    let count = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      for (const message of parseTranscriptLine(line, tail.toolNames)) {
+        onMessage(message);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  function scan() {
+    const now = Date.now();
+    const seen = new Set();
+    for (const file of listFiles()) {
+      let stat;
+      try {
+        stat = fs.statSync(file);
+      } catch (e) {
+        continue; // removed between readdir and stat
+      }
+      seen.add(file);
+
+      const idle = now - stat.mtimeMs > IDLE_FILE_MS;
+      let tail = tails.get(file);
+      if (!tail) {
+        // An idle file found later is old history too, not a new session
+        tail = { offset: firstScan || idle ? stat.size : 0, ino: stat.ino, remainder: '', toolNames: new Map(), idle };
+        tails.set(file, tail);
+        if (!idle) log('Tailing session transcript', { file, offset: tail.offset });
+      } else if (stat.ino !== tail.ino || stat.size < tail.offset) {
+        log('Session transcript rotated, reading from start', { file });
+        Object.assign(tail, { offset: 0, ino: stat.ino, remainder: '', idle: false });
+      } else if (idle) {
+        if (!tail.idle) Object.assign(tail, { idle: true, toolNames: new Map() });
+        continue;
+      } else if (tail.idle) {
+        tail.idle = false;
+        log('Session transcript active again', { file, offset: tail.offset });
+      }
+
+      try {
+        const count = readNew(file, tail, stat);
+        if (count) log('Processed transcript entries', { file: path.basename(file), messages: count });
+      } catch (error) {
+        log('Error reading transcript', { file, error: error.message });
+      }
+    }
+    for (const file of tails.keys()) {
+      if (!seen.has(file)) tails.delete(file);
+    }
+    firstScan = false;
+  }
+
+  scan();
+  const timer = setInterval(() => {
+    try {
+      scan();
+    } catch (error) {
+      log('Error scanning transcripts', { error: error.message });
+    }
+  }, intervalMs);
+
+  return {
+    stop: () => clearInterval(timer),
+    files: () => [...tails].filter(([, tail]) => !tail.idle).map(([file]) => file)
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Service Transport
+ * Authenticated, TLS-capable HTTP and WebSocket access to Susan, Ryan, Chad and server Claude
+ *
+ * Auth modes (auth.mode in kodiack.config.json, inferred when unset):
+ *   none   - no credentials
+ *   bearer - Authorization: Bearer <token>
+ *   hmac   - X-Kodiack-Key-Id / X-Kodiack-Timestamp / X-Kodiack-Signature, where the
+ *            signature is hex HMAC-SHA256 over "<timestamp>\n<METHOD>\n<path+query>\n<sha256(body)>"
+ *
+ * Credentials come from the config, or from a credentials file (default
+ * ~/.kodiack/credentials.json) keyed by profile name, then "default":
+ *
+ *   { "default": { "token": "..." }, "staging": { "hmacKeyId": "ci", "hmacSecret": "..." } }
+ *
+ * TLS: tls.ca adds a custom CA for https/wss, tls.cert + tls.key enable mTLS.
+ * Credentials sent to another machine over plain http/ws are warned about once per host.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import https from 'https';
+import crypto from 'crypto';
+import nodeFetch, { FetchError } from 'node-fetch';
+import WebSocket from 'ws';
+
+const REQUEST_TIMEOUT_MS = 15000;
+const LOOPBACK = /^(localhost|127\.\d+\.\d+\.\d+|\[::1\])$/;
+
+export const SERVICE_NAMES = { susan: 'Susan', ryan: 'Ryan', chad: 'Chad', claudeServer: 'Server Claude' };
+
+export function defaultCredentialsPath() {
+  return path.join(os.homedir(), '.kodiack', 'credentials.json');
+}
+
+function expandHome(file) {
+  return file.startsWith('~') ? path.join(os.homedir(), file.slice(1)) : file;
+}
+
+function readFileOption(file, what) {
+  try {
+    return fs.readFileSync(expandHome(file));
+  } catch (e) {
+    throw new Error(`Could not read ${what} ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Credentials for a profile from the file store - missing file means none
+ */
+export function loadCredentials(file, profile, warn = () => {}) {
+  file = expandHome(file || defaultCredentialsPath());
+  if (!fs.existsSync(file)) return {};
+  let store;
+  try {
+    store = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Credentials file ${file} is not valid JSON: ${e.message}`);
+  }
+  if (process.platform !== 'win32' && (fs.statSync(file).mode & 0o077)) {
+    warn(`Credentials file ${file} is readable by other users - run: chmod 600 ${file}`);
+  }
+  return { ...(store.default || {}), ...((profile && store[profile]) || {}) };
+}
+
+/**
+ * HMAC signature headers for one request
+ */
+export function signRequest({ keyId, secret, method, url, body = '', timestamp = Date.now() }) {
+  const { pathname, search } = new URL(url);
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  const payload = `${timestamp}\n${method.toUpperCase()}\n${pathname}${search}\n${bodyHash}`;
+  return {
+    'X-Kodiack-Key-Id': keyId || 'default',
+    'X-Kodiack-Timestamp': String(timestamp),
+    'X-Kodiack-Signature': crypto.createHmac('sha256', secret).update(payload).digest('hex')
+  };
+}
+
+/**
+ * Build the transport for a loaded config
+ *
+ * @param {object} config - Result of loadConfig()
+ * @param {object} [options]
+ * @param {(message: string) => void} [options.warn]
+ * @param {number} [options.timeoutMs] - Limit for requests that bring no signal of their own
+ */
+export function createTransport(config, { warn = () => {}, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const auth = config.auth || {};
+  const stored = loadCredentials(auth.credentialsFile, config.profile, warn);
+  const tls = config.tls || {};
+
+  const tlsOptions = {};
+  if (tls.ca) tlsOptions.ca = readFileOption(tls.ca, 'CA certificate');
+  if (tls.cert) tlsOptions.cert = readFileOption(tls.cert, 'client certificate');
+  if (tls.key) tlsOptions.key = readFileOption(tls.key, 'client key');
+  if (tls.rejectUnauthorized === false) tlsOptions.rejectUnauthorized = false;
+  const agent = Object.keys(tlsOptions).length ? new https.Agent(tlsOptions) : undefined;
+
+  // Per-service credentials: config auth < file store < auth.services.<name>
+  function credentialsFor(service) {
+    const creds = { ...stored, ...Object.fromEntries(Object.entries(auth).filter(([k]) => k !== 'services' && k !== 'credentialsFile')), ...(auth.services?.[service] || {}) };
+    const mode = creds.mode || (creds.hmacSecret ? 'hmac' : creds.token ? 'bearer' : 'none');
+    if (mode === 'bearer' && !creds.token) throw new Error(`auth.mode is bearer but no token is configured for ${SERVICE_NAMES[service] || service}`);
+    if (mode === 'hmac' && !creds.hmacSecret) throw new Error(`auth.mode is hmac but no hmacSecret is configured for ${SERVICE_NAMES[service] || service}`);
+    return { ...creds, mode };
+  }
+
+  const warnedHosts = new Set();
+  function warnIfPlain(service, url, mode) {
+    const { protocol, hostname, host } = new URL(url);
+    if (mode === 'none' || protocol === 'https:' || protocol === 'wss:' || LOOPBACK.test(hostname) || warnedHosts.has(host)) return;
+    warnedHosts.add(host);
+    warn(`${SERVICE_NAMES[service] || service} credentials (${mode}) are sent to ${host} over unencrypted ${protocol.slice(0, -1)} - use https/wss for remote services`);
+  }
+
+  function authHeaders(service, method, url, body) {
+    const creds = credentialsFor(service);
+    warnIfPlain(service, url, creds.mode);
+    if (creds.mode === 'bearer') return { Authorization: `Bearer ${creds.token}` };
+    if (creds.mode === 'hmac') return signRequest({ keyId: creds.hmacKeyId, secret: creds.hmacSecret, method, url, body });
+    return {};
+  }
+
+  function authError(service, status) {
+    const name = SERVICE_NAMES[service] || service;
+    const mode = credentialsFor(service).mode;
+    return new Error(mode === 'none'
+      ? `${name} requires authentication (${status}) - set auth.token in kodiack.config.json or ~/.kodiack/credentials.json`
+      : `${name} rejected our ${mode} credentials (${status}) - check the token/secret for profile ${config.profile || 'default'}`);
+  }
+
+  /**
+   * fetch() against a service with auth headers and TLS options applied.
+   * 401/403 become a clear auth error; other statuses are left to the caller.
+   * Without a caller signal, a request that takes longer than timeoutMs fails
+   * as a FetchError, the same as a refused connection.
+   */
+  async function request(service, url, options = {}) {
+    const method = options.method || 'GET';
+    const headers = { ...(options.headers || {}), ...authHeaders(service, method, url, options.body) };
+    const signal = options.signal || AbortSignal.timeout(timeoutMs);
+    let res;
+    try {
+      res = await nodeFetch(url, { ...options, method, headers, signal, agent: url.startsWith('https:') ? agent : undefined });
+    } catch (e) {
+      if (e.name === 'AbortError' && !options.signal) throw new FetchError(`request to ${url} timed out after ${timeoutMs}ms`, 'request-timeout');
+      throw e;
+    }
+    if (res.status === 401 || res.status === 403) throw authError(service, res.status);
+    return res;
+  }
+
+  /**
+   * Open a WebSocket to a service, sending credentials in the handshake
+   */
+  function openWebSocket(service, url) {
+    return new WebSocket(url, {
+      headers: { 'X-Kodiack-Client': 'claude-mcp', ...authHeaders(service, 'GET', url) },
+      ...(url.startsWith('wss:') ? tlsOptions : {})
+    });
+  }
+
+  /**
+   * Turn a WebSocket handshake failure into a readable message
+   */
+  function describeError(service, error) {
+    const status = /Unexpected server response: (\d+)/.exec(error?.message || '')?.[1];
+    if (status === '401' || status === '403') return authError(service, Number(status));
+    return error;
+  }
+
+  return {
+    request,
+    openWebSocket,
+    describeError,
+    authMode: (service) => credentialsFor(service).mode,
+    tls: { customCa: Boolean(tls.ca), mutual: Boolean(tls.cert && tls.key), rejectUnauthorized: tls.rejectUnauthorized !== false }
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Briefing composition: section order, priority trimming within the token budget
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { composeBriefing, estimateTokens } from '../src/briefing.js';
+
+const lines = (prefix, n) => Array.from({ length: n }, (_, i) => `- ${prefix} ${i + 1} ${'.'.repeat(32)}`);
+
+// Rendered in order identity, ports, todos, logs; trimmed logs first, then ports, then todos
+function available({ todos = 10, ports = 10, logs = 10 } = {}) {
+  return {
+    identity: { priority: 1, order: 0, build: () => ({ title: null, items: ['# Kodiack Studio'], separator: true }) },
+    ports: { priority: 4, order: 1, build: () => ({ title: 'Ports', items: lines('port', ports) }) },
+    todos: { priority: 2, order: 2, build: () => ({ title: 'Todos', items: lines('todo', todos), footer: '*Use susan_get_todos for all*' }) },
+    logs: { priority: 5, order: 3, build: () => ({ title: 'Logs', items: lines('log', logs) }) },
+    empty: { priority: 3, order: 4, build: () => null }
+  };
+}
+
+test('sections render by order when the budget allows everything', () => {
+  const result = composeBriefing({ available: available(), maxTokens: 10000 });
+  assert.deepEqual(result.trimmed, []);
+  assert.deepEqual(result.dropped, []);
+  assert.match(result.text, /^# Kodiack Studio\n\n---\n\n## Ports\n\n- port 1 [\s\S]*## Todos\n[\s\S]*\*Use susan_get_todos for all\*\n\n## Logs\n/);
+  assert.equal(result.tokens, estimateTokens(result.text.replace(/\*Briefing:.*\*\n$/, '')));
+  assert.match(result.text, new RegExp(`\\*Briefing: ~${result.tokens} tokens of 10000 budget\\*\\n$`));
+});
+
+test('over budget, items go from the least important section first', () => {
+  const full = composeBriefing({ available: available(), maxTokens: 10000 }).tokens;
+
+  // About half the logs have to go
+  const some = composeBriefing({ available: available(), maxTokens: full - 50 });
+  assert.deepEqual(some.trimmed, ['logs']);
+  assert.deepEqual(some.dropped, []);
+  assert.ok(some.tokens <= full - 50);
+  assert.match(some.text, /- log 1 /);
+  assert.doesNotMatch(some.text, /- log 10 /);
+  assert.match(some.text, /\*…\d+ more omitted to fit the token budget\*/);
+  assert.match(some.text, /; trimmed: logs\*\n$/);
+
+  // Logs are gone entirely, then ports are trimmed; todos and identity stay whole
+  const more = composeBriefing({ available: available(), maxTokens: full - 180 });
+  assert.deepEqual(more.dropped, ['logs']);
+  assert.deepEqual(more.trimmed, ['ports']);
+  assert.doesNotMatch(more.text, /## Logs/);
+  assert.match(more.text, /- todo 10 /);
+  assert.match(more.text, /^# Kodiack Studio/);
+  assert.match(more.text, /; trimmed: ports; dropped: logs\*\n$/);
+});
+
+test('the most important section keeps its first item, truncated to the budget', () => {
+  const result = composeBriefing({
+    available: { identity: { priority: 1, order: 0, build: () => ({ title: null, items: ['x'.repeat(2000)] }) } },
+    maxTokens: 100
+  });
+  assert.equal(result.tokens, 100 + estimateTokens('\n...(truncated to fit the token budget)\n'));
+  assert.match(result.text, /\n\.\.\.\(truncated to fit the token budget\)\n\*Briefing/);
+  assert.match(result.text, /^x{400}\n/);
+  assert.deepEqual(result.dropped, []);
+
+  const crowded = composeBriefing({ available: { ...available(), identity: { priority: 1, order: 0, build: () => ({ title: null, items: ['x'.repeat(2000)] }) } }, maxTokens: 100 });
+  assert.deepEqual(crowded.dropped, ['logs', 'ports', 'todos']);
+  assert.match(crowded.text, /^x{400}\n\.\.\.\(truncated/);
+});
+
+test('only the requested sections are built, and unknown names fail early', () => {
+  let built = 0;
+  const sections = available();
+  sections.logs.build = () => { built++; return { title: 'Logs', items: ['- log'] }; };
+  const result = composeBriefing({ available: sections, sections: ['todos', 'identity'] });
+  assert.equal(built, 0);
+  assert.match(result.text, /^# Kodiack Studio[\s\S]*## Todos/);
+  assert.doesNotMatch(result.text, /## Ports/);
+  assert.throws(() => composeBriefing({ available: sections, sections: ['todos', 'weather'] }), /^Error: Unknown briefing section\(s\): weather \(available: identity, ports, todos, logs, empty\)$/);
+});
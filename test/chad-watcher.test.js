@@ -0,0 +1,120 @@
+/**
+ * chad-watcher checkpoints and outbox replay against mock Susan
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockStack } from '../mock/index.js';
+import { startWatcher, tempDir, testEnv, waitFor } from './helpers.js';
+
+let stack;
+
+before(async () => {
+  stack = await startMockStack();
+});
+
+after(async () => {
+  await stack?.close();
+});
+
+function watcherEnv(extra = {}) {
+  const home = tempDir();
+  return testEnv(stack, home, { CHAD_LOG_DIR: path.join(home, 'chad-logs'), ...extra });
+}
+
+test('stdin capture is checkpointed to Susan on SIGINT', async () => {
+  const watcher = startWatcher(watcherEnv(), ['--mode=stdin']);
+  await waitFor(() => watcher.output().includes('Watching stdin'), { message: 'watcher start' });
+
+  watcher.child.stdin.write('> Add a login page\nLet me look at the existing routes first.\n');
+  await new Promise(r => setTimeout(r, 200));
+  watcher.child.kill('SIGINT');
+  assert.equal(await watcher.exited, 0, watcher.output());
+
+  const messages = stack.susan.state.messages.map(m => m.message);
+  assert.deepEqual(messages.map(m => m.role), ['user', 'assistant']);
+  assert.equal(messages[0].content, '> Add a login page');
+  assert.equal(stack.susan.state.messages[0].projectPath, '/srv/projects/demo');
+
+  const note = stack.susan.state.knowledge.find(k => k.category === 'session-checkpoint');
+  assert.ok(note, 'checkpoint note stored');
+  assert.match(note.summary, /2 messages/);
+});
+
+test('messages queued while Susan is down are replayed with --flush', async () => {
+  const env = watcherEnv({ SUSAN_URL: 'http://127.0.0.1:9' });
+  const before = stack.susan.state.messages.length;
+
+  const watcher = startWatcher(env, ['--mode=stdin']);
+  await waitFor(() => watcher.output().includes('Watching stdin'), { message: 'watcher start' });
+  watcher.child.stdin.write('> Queue this while offline please\n');
+  await new Promise(r => setTimeout(r, 200));
+  watcher.child.kill('SIGINT');
+  await watcher.exited;
+
+  const status = startWatcher(env, ['--status']);
+  assert.equal(await status.exited, 0);
+  assert.match(status.output(), /Pending: 2/);
+
+  const flush = startWatcher({ ...env, SUSAN_URL: stack.susan.url }, ['--flush']);
+  assert.equal(await flush.exited, 0, flush.output());
+  assert.match(flush.output(), /Flushed: 2 sent, 0 failed/);
+  assert.equal(stack.susan.state.messages.length, before + 1);
+  assert.equal(stack.susan.state.messages.at(-1).message.content, '> Queue this while offline please');
+});
+
+test('--status only reads the journal and --flush leaves a running watcher alone', async () => {
+  const env = watcherEnv({ SUSAN_URL: 'http://127.0.0.1:9' });
+  const journal = path.join(env.CHAD_LOG_DIR, 'outbox.jsonl');
+  const watcher = startWatcher(env, ['--mode=stdin']);
+  await waitFor(() => watcher.output().includes('Watching stdin'), { message: 'watcher start' });
+  watcher.child.stdin.write('> Keep this queued\n');
+  await waitFor(() => fs.existsSync(journal), { message: 'journal written' });
+
+  const { ino } = fs.statSync(journal);
+  const status = startWatcher(env, ['--status']);
+  assert.equal(await status.exited, 0);
+  assert.match(status.output(), /Pending: 1/);
+  assert.equal(fs.statSync(journal).ino, ino, 'not rewritten');
+
+  const flush = startWatcher({ ...env, SUSAN_URL: stack.susan.url }, ['--flush']);
+  assert.equal(await flush.exited, 1);
+  assert.match(flush.output(), new RegExp(`Another chad-watcher \\(pid ${watcher.child.pid}\\) owns the outbox`));
+
+  watcher.child.kill('SIGINT');
+  await watcher.exited;
+  assert.ok(!fs.existsSync(path.join(env.CHAD_LOG_DIR, 'outbox.lock')), 'lock released on exit');
+});
+
+test('checkpoints carry a local summary and propose todos', async () => {
+  const env = watcherEnv();
+  const watcher = startWatcher(env, ['--mode=stdin']);
+  await waitFor(() => watcher.output().includes('Watching stdin'), { message: 'watcher start' });
+
+  watcher.child.stdin.write([
+    '> We decided to keep the audit log in Postgres',
+    "TypeError: Cannot read properties of undefined (reading 'id') in audit.js line 42",
+    "TypeError: Cannot read properties of undefined (reading 'id') in audit.js line 57",
+    '> TODO: add an index on audit_log.created_at before launch',
+    ''
+  ].join('\n'));
+  await new Promise(r => setTimeout(r, 200));
+  watcher.child.kill('SIGINT');
+  assert.equal(await watcher.exited, 0, watcher.output());
+
+  const note = stack.susan.state.knowledge.filter(k => k.category === 'session-checkpoint').at(-1);
+  assert.match(note.summary, /^4 messages from local Claude Code session: hit 1 error\(s\), 1 decision\(s\), 1 TODO\(s\)/);
+  assert.match(note.summary, /\*\*Decisions:\*\*\n- We decided to keep the audit log in Postgres/);
+  assert.ok(['errors', 'decisions', 'todos'].every(t => note.tags.includes(t)), note.tags.join(', '));
+  assert.ok(note.importance > 3);
+  assert.equal(note.artifacts.errors[0].count, 2);
+
+  const proposed = stack.susan.state.todos.filter(t => t.candidate);
+  assert.deepEqual(proposed.map(t => t.title).sort(), [
+    "Fix recurring error: TypeError: Cannot read properties of undefined (reading 'id') in audit.js line 42",
+    'TODO: add an index on audit_log.created_at before launch'
+  ]);
+  assert.ok(proposed.every(t => t.source === 'chad-watcher' && t.project === '/srv/projects/demo'));
+});
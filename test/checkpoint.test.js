@@ -0,0 +1,56 @@
+/**
+ * Checkpoint summaries: artifact extraction, importance and candidate todos
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractArtifacts, summarizeCheckpoint, candidateTodos, errorSignature } from '../src/checkpoint.js';
+
+const SESSION = [
+  { role: 'user', kind: 'user', content: 'The redirect in src/pages/login.tsx loops forever' },
+  { role: 'assistant', kind: 'tool_use', toolName: 'Read', content: 'Read {"file_path":"/app/src/pages/login.tsx"}' },
+  { role: 'assistant', kind: 'tool_use', toolName: 'Edit', content: 'Edit {"file_path":"/app/src/auth/session.js","old_string":"a","new_string":"b"}' },
+  { role: 'assistant', kind: 'tool_use', toolName: 'Bash', content: 'Bash {"command":"npm test -- auth"}' },
+  { role: 'user', kind: 'tool_result', toolName: 'Bash', isError: true, content: "FAIL auth.test.js\nTypeError: Cannot read properties of undefined (reading 'id')\n    at getUser (/app/src/auth/session.js:42:17)" },
+  { role: 'user', kind: 'tool_result', toolName: 'Read', content: "throw new Error('unreachable');\nError: this line is just file content" },
+  { role: 'assistant', kind: 'assistant', content: "The TypeError: above comes from a missing user. We decided to keep the session in a signed cookie. TODO: add refresh token rotation." }
+];
+
+test('artifacts come from tool calls and conversation text', () => {
+  const a = extractArtifacts(SESSION);
+  assert.deepEqual(a.filesEdited, ['/app/src/auth/session.js']);
+  assert.deepEqual(a.filesMentioned, ['src/pages/login.tsx', '/app/src/pages/login.tsx']);
+  assert.deepEqual(a.commands, ['npm test -- auth']);
+  // Read results and Claude's own prose about an error don't count
+  assert.equal(a.errors.length, 1);
+  assert.deepEqual(a.errors[0].stack, ['at getUser (/app/src/auth/session.js:42:17)']);
+  assert.deepEqual(a.decisions, ['We decided to keep the session in a signed cookie.']);
+  assert.deepEqual(a.todos, ['TODO: add refresh token rotation.']);
+});
+
+test('summary, tags and importance reflect the content', () => {
+  const quiet = summarizeCheckpoint([{ role: 'user', content: 'hello there' }]);
+  assert.equal(quiet.summary, '1 messages from local Claude Code session');
+  assert.equal(quiet.importance, 2);
+
+  const busy = summarizeCheckpoint(SESSION);
+  assert.match(busy.summary, /^7 messages from local Claude Code session: edited 1 file\(s\), ran 1 command\(s\), hit 1 error\(s\), 1 decision\(s\), 1 TODO\(s\)\n/);
+  assert.match(busy.summary, /\*\*Files edited:\*\*\n- `\/app\/src\/auth\/session.js`/);
+  assert.deepEqual(busy.tags, ['edits', 'commands', 'errors', 'decisions', 'todos', 'file:session.js']);
+  assert.equal(busy.importance, 9);
+});
+
+test('errors become todos when they recur, TODOs when they are new', () => {
+  const history = { errors: {}, todos: {} };
+  const first = candidateTodos(extractArtifacts(SESSION), history, '2026-01-01T00:00:00.000Z');
+  assert.deepEqual(first.map(t => t.key.split(':')[0]), ['todo']);
+
+  // Same error with a different line number, next checkpoint
+  const again = extractArtifacts([{ role: 'user', kind: 'tool_result', toolName: 'Bash', isError: true, content: "TypeError: Cannot read properties of undefined (reading 'id')\n    at getUser (/app/src/auth/session.js:44:9)" }]);
+  const second = candidateTodos(again, history, '2026-01-01T00:30:00.000Z');
+  assert.equal(second.length, 1);
+  assert.match(second[0].title, /^Fix recurring error: TypeError/);
+  assert.match(second[0].description, /Seen 2 times since 2026-01-01T00:00:00.000Z/);
+  assert.equal(candidateTodos(again, history).length, 0, 'proposed once');
+  assert.equal(errorSignature('Timeout after 3000ms in /a/b.js'), errorSignature('Timeout after 5000ms in /c/d.js'));
+});
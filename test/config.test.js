@@ -0,0 +1,136 @@
+/**
+ * Config loading: defaults, user and project files, profiles, env overrides, validation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, profileFromArgs, commandFromArgs, validateConfig, DEFAULTS, CONFIG_FILE } from '../src/config.js';
+import { ROOT, tempDir } from './helpers.js';
+
+// A home directory and a project directory (with a nested cwd) holding the given configs
+function setup({ user, project } = {}) {
+  const home = tempDir();
+  const projectDir = tempDir();
+  const cwd = path.join(projectDir, 'src', 'lib');
+  fs.mkdirSync(cwd, { recursive: true });
+  if (user) fs.writeFileSync(path.join(home, CONFIG_FILE), JSON.stringify(user));
+  if (project) fs.writeFileSync(path.join(projectDir, CONFIG_FILE), JSON.stringify(project));
+  return { home, projectDir, cwd, load: ({ argv = [], env = {} } = {}) => loadConfig({ argv, cwd, env: { HOME: home, ...env } }) };
+}
+
+test('layers apply in order: defaults, user file, project file, profile, environment', () => {
+  const { home, projectDir, load } = setup({
+    user: { services: { susan: 'http://user-susan:5403' }, cache: { staleSeconds: 60 }, defaultProfile: 'prod' },
+    project: {
+      services: { ryan: 'http://project-ryan:5407' },
+      profiles: { prod: { services: { susan: 'https://susan.example.com' }, auth: { token: 'prod-token' } }, staging: {} }
+    }
+  });
+
+  const config = load();
+  assert.equal(config.profile, 'prod', 'defaultProfile from the user file');
+  assert.deepEqual(config.sources, [path.join(home, CONFIG_FILE), path.join(projectDir, CONFIG_FILE)]);
+  assert.equal(config.services.susan, 'https://susan.example.com');
+  assert.equal(config.services.ryan, 'http://project-ryan:5407');
+  assert.equal(config.services.chad, DEFAULTS.services.chad);
+  assert.equal(config.cache.staleSeconds, 60);
+  assert.equal(config.cache.enabled, DEFAULTS.cache.enabled, 'nested objects merge key by key');
+  assert.equal(config.auth.token, 'prod-token');
+
+  const staging = load({ argv: ['--profile=staging'], env: { KODIACK_PROFILE: 'prod' } });
+  assert.equal(staging.profile, 'staging', 'argv beats KODIACK_PROFILE and defaultProfile');
+  assert.equal(staging.services.susan, 'http://user-susan:5403');
+});
+
+test('environment variables override every file and profile', () => {
+  const { load } = setup({ project: { defaultProfile: 'prod', profiles: { prod: { services: { susan: 'https://susan.example.com' } } } } });
+  const config = load({ env: { SUSAN_URL: 'http://127.0.0.1:9999', KODIACK_TOKEN: 'env-token', CHAD_LOG_DIR: '/tmp/chad' } });
+  assert.equal(config.services.susan, 'http://127.0.0.1:9999');
+  assert.equal(config.auth.token, 'env-token');
+  assert.equal(config.watcher.logDir, '/tmp/chad');
+});
+
+test('configured policy rules add to the built-in ones unless builtinRules is false', () => {
+  const { load } = setup({
+    user: { policy: { deny: ['\\bshutdown\\b'] } },
+    project: { policy: { confirm: ['\\bmigrate\\b'] }, profiles: { lab: { policy: { builtinRules: false, deny: ['\\breboot\\b'] } } } }
+  });
+  const { policy } = load();
+  assert.deepEqual(policy.deny, [...DEFAULTS.policy.deny, '\\bshutdown\\b']);
+  assert.deepEqual(policy.confirm, [...DEFAULTS.policy.confirm, '\\bmigrate\\b']);
+
+  const lab = load({ argv: ['--profile', 'lab'] }).policy;
+  assert.deepEqual(lab.deny, ['\\bshutdown\\b', '\\breboot\\b']);
+  assert.deepEqual(lab.confirm, ['\\bmigrate\\b']);
+});
+
+test('the example config is valid and pins a project for the watcher only', () => {
+  const { load } = setup();
+  const prod = load({ env: { KODIACK_CONFIG: path.join(ROOT, 'kodiack.config.example.json') } });
+  assert.equal(prod.profile, 'prod');
+  assert.equal(prod.projectPath, null);
+  assert.equal(prod.watcher.projectPath, '/var/www/NextBid_Dev/dev-studio-5000');
+});
+
+test('KODIACK_CONFIG replaces the project file search and must exist', () => {
+  const { projectDir, load } = setup({ project: { services: { ryan: 'http://project-ryan:5407' } } });
+  const explicit = path.join(tempDir(), 'other.json');
+  fs.writeFileSync(explicit, JSON.stringify({ services: { ryan: 'http://explicit-ryan:5407' } }));
+  assert.equal(load({ env: { KODIACK_CONFIG: explicit } }).services.ryan, 'http://explicit-ryan:5407');
+  assert.throws(() => load({ env: { KODIACK_CONFIG: path.join(projectDir, 'missing.json') } }), /KODIACK_CONFIG points to .*missing\.json, which does not exist/);
+});
+
+test('profileFromArgs reads both spellings and rejects a missing name', () => {
+  assert.equal(profileFromArgs(['--profile', 'prod', 'doctor']), 'prod');
+  assert.equal(profileFromArgs(['--mode=stdin', '--profile=staging']), 'staging');
+  assert.equal(profileFromArgs(['doctor']), null);
+  assert.throws(() => profileFromArgs(['--profile']), /--profile needs a profile name/);
+  assert.throws(() => profileFromArgs(['--profile', '--flush']), /--profile needs a profile name/);
+});
+
+test('commandFromArgs finds the subcommand anywhere, skipping option values', () => {
+  assert.equal(commandFromArgs(['doctor', '--json']), 'doctor');
+  assert.equal(commandFromArgs(['--profile', 'prod', 'doctor']), 'doctor');
+  assert.equal(commandFromArgs(['--profile=prod', '--json', 'doctor']), 'doctor');
+  assert.equal(commandFromArgs(['--profile', 'doctor']), null, 'a profile named doctor is not the subcommand');
+  assert.equal(commandFromArgs([]), null);
+});
+
+test('validateConfig reports every problem with its dotted path', () => {
+  assert.deepEqual(validateConfig({
+    services: { susan: 'ws://wrong-protocol', typo: 'x' },
+    features: { redaction: 'yes' },
+    cache: { ttlSeconds: { context: -1 } },
+    policy: { projects: { '/srv/app': { deny: ['('] } } },
+    projectPath: null
+  }), [
+    'services.susan: must be a http/https URL',
+    'services.typo: unknown setting',
+    'features.redaction: must be true or false',
+    'cache.ttlSeconds.context: must be a number of seconds',
+    'policy.projects: /srv/app.deny: has an invalid pattern (: Invalid regular expression: /(/i: Unterminated group'
+  ]);
+  assert.deepEqual(validateConfig([]), ['config: must be an object']);
+});
+
+test('invalid files, profiles and environment variables fail with the source named', () => {
+  const broken = setup({ project: { servcies: {}, profiles: { prod: { tls: { rejectUnauthorized: 'no' } } } } });
+  assert.throws(() => broken.load(), (e) => {
+    assert.ok(e.message.startsWith(`Invalid config ${path.join(broken.projectDir, CONFIG_FILE)}:\n`), e.message);
+    assert.match(e.message, /\n {2}- servcies: unknown setting/);
+    assert.match(e.message, /\n {2}- profiles\.prod\.tls\.rejectUnauthorized: must be true or false/);
+    return true;
+  });
+
+  const { projectDir, load } = setup({ project: { profiles: { prod: {}, staging: {} } } });
+  assert.throws(() => load({ argv: ['--profile', 'qa'] }), /^Error: Unknown profile "qa" \(available: prod, staging\)$/);
+  fs.rmSync(path.join(projectDir, CONFIG_FILE));
+  assert.throws(() => load({ env: { KODIACK_PROFILE: 'qa' } }), /Unknown profile "qa" - no profiles defined in any kodiack\.config\.json/);
+
+  assert.throws(() => load({ env: { SUSAN_URL: 'susan:5403', CHAD_WS_URL: 'http://chad' } }), /^Error: Invalid environment:\n {2}- SUSAN_URL: must be a http\/https URL\n {2}- CHAD_WS_URL: must be a ws\/wss URL$/);
+
+  fs.writeFileSync(path.join(projectDir, CONFIG_FILE), '{ not json');
+  assert.throws(() => load(), /could not be read/);
+});
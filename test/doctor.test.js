@@ -0,0 +1,89 @@
+/**
+ * kodiack-studio doctor: config, service probes and chad-watcher state
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { startMockStack, seedRyan } from '../mock/index.js';
+import { ROOT, tempDir, testEnv } from './helpers.js';
+
+let stack;
+
+before(async () => {
+  stack = await startMockStack({ ryan: { state: { ...seedRyan(), version: '2.1.0' } } });
+});
+
+after(async () => {
+  await stack?.close();
+});
+
+// Async on purpose: the mocks run in this process and must keep answering
+function doctor(env, args = [], leading = []) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [path.join(ROOT, 'src', 'index.js'), ...leading, 'doctor', ...args], { env, timeout: 30000 }, (error, stdout) => resolve({ code: error ? error.code : 0, stdout }));
+  });
+}
+
+test('reports service versions, a dead service and watcher problems as JSON', async () => {
+  const home = tempDir();
+  const logs = path.join(home, '.claude', 'chad-logs');
+  fs.mkdirSync(logs, { recursive: true });
+  const old = Date.now() / 1000 - 3 * 3600;
+  fs.writeFileSync(path.join(logs, 'chad-2026-01-01.log'), 'x\n');
+  fs.utimesSync(path.join(logs, 'chad-2026-01-01.log'), old, old);
+  const transcripts = path.join(home, 'transcripts', '-srv-projects-demo');
+  fs.mkdirSync(transcripts, { recursive: true });
+  fs.writeFileSync(path.join(transcripts, 's-1.jsonl'), '{}\n');
+  const stale = Date.now() / 1000 - 3 * 86400;
+  fs.utimesSync(path.join(transcripts, 's-1.jsonl'), stale, stale);
+  fs.writeFileSync(path.join(logs, 'outbox.jsonl'), [
+    { op: 'enqueue', id: 'a', endpoint: '/api/message', ts: new Date().toISOString() },
+    { op: 'enqueue', id: 'b', endpoint: '/api/message', ts: new Date().toISOString() },
+    { op: 'dead', id: 'b', error: 'Susan 400' }
+  ].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+  await stack.claudeServer.close();
+  const { code, stdout } = await doctor(testEnv(stack, home, { KODIACK_PROJET: '/typo', CLAUDE_TRANSCRIPT_DIR: path.dirname(transcripts) }), ['--json']);
+  const report = JSON.parse(stdout);
+  const get = (name) => report.checks.find(c => c.name === name);
+
+  assert.equal(code, 1);
+  assert.equal(report.status, 'fail');
+  assert.equal(get('susan').status, 'pass');
+  assert.equal(get('susan').version, '1.0.0');
+  assert.ok(get('susan').latencyMs >= 0);
+  assert.equal(get('ryan').status, 'fail');
+  assert.match(get('ryan').detail, /Ryan API 2\.1\.0 - this build speaks v1\.x/);
+  assert.equal(get('chad').status, 'pass');
+  assert.equal(get('claudeServer').status, 'fail');
+  assert.match(get('claudeServer').detail, /unreachable.*ECONNREFUSED/);
+  assert.match(get('claudeServer').hint, /Is Server Claude running\?/);
+  assert.equal(get('environment').status, 'warn');
+  assert.match(get('environment').detail, /KODIACK_PROJET/);
+  assert.equal(get('activity').status, 'warn');
+  assert.match(get('activity').detail, /Last log line 3\.0 h ago/);
+  assert.equal(get('transcripts').status, 'warn');
+  assert.match(get('transcripts').detail, /Newest session transcript in .*transcripts is 3\.0 days old/);
+  assert.equal(get('outbox').status, 'warn');
+  assert.match(get('outbox').detail, /1 dead entry, 1 pending/);
+});
+
+test('an invalid config fails the report instead of crashing', async () => {
+  const home = tempDir();
+  fs.writeFileSync(path.join(home, 'kodiack.config.json'), JSON.stringify({ services: { susan: 'not a url' } }));
+  const { code, stdout } = await doctor(testEnv(stack, home));
+  assert.equal(code, 1);
+  assert.match(stdout, /^Overall: FAIL \(0 pass, 0 warn, 1 fail\)$/m);
+  assert.match(stdout, /FAIL {2}config {2}Invalid config .*\n.*services\.susan: must be a http\/https URL/);
+  assert.match(stdout, /fix: Fix the setting named above/);
+});
+
+test('doctor is found after options such as --profile', async () => {
+  const home = tempDir();
+  fs.writeFileSync(path.join(home, 'kodiack.config.json'), JSON.stringify({ profiles: { lab: { features: { serverClaude: false } } } }));
+  const { stdout } = await doctor(testEnv(stack, home), ['--json'], ['--profile', 'lab']);
+  assert.equal(JSON.parse(stdout).profile, 'lab');
+});
@@ -0,0 +1,76 @@
+/**
+ * Test helpers: mock stack, MCP client and watcher processes
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Fresh HOME so user-level config, credentials and logs never leak into a test
+ */
+export function tempDir(prefix = 'kodiack-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * Base environment for either binary: mocks for every service, no inherited config
+ */
+export function testEnv(stack, home, extra = {}) {
+  return {
+    PATH: process.env.PATH,
+    HOME: home,
+    ...stack.env,
+    KODIACK_PROJECT: '/srv/projects/demo',
+    ...extra
+  };
+}
+
+/**
+ * Start src/index.js over stdio and connect an MCP client to it
+ */
+export async function startMcp(env, args = []) {
+  const transport = new StdioClientTransport({ command: process.execPath, args: [path.join(ROOT, 'src', 'index.js'), ...args], env, stderr: process.env.KODIACK_TEST_DEBUG ? 'inherit' : 'ignore' });
+  const client = new Client({ name: 'kodiack-test', version: '1.0.0' }, { capabilities: {} });
+  await client.connect(transport);
+  return {
+    client,
+    call: async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      return { ...result, text: result.content.map(c => c.text).join('\n') };
+    },
+    close: () => client.close()
+  };
+}
+
+/**
+ * Run chad-watcher and collect its output
+ * @returns {{ child, output: () => string, exited: Promise<number> }}
+ */
+export function startWatcher(env, args = []) {
+  const child = spawn(process.execPath, [path.join(ROOT, 'src', 'chad-watcher.js'), ...args], { env, stdio: ['pipe', 'pipe', 'pipe'] });
+  let output = '';
+  child.stdout.on('data', (d) => { output += d; });
+  child.stderr.on('data', (d) => { output += d; });
+  const exited = new Promise(resolve => child.on('exit', (code) => resolve(code)));
+  return { child, output: () => output, exited };
+}
+
+/**
+ * Poll until `check` returns something truthy
+ */
+export async function waitFor(check, { timeoutMs = 5000, intervalMs = 50, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+  throw new Error(`Timed out waiting for ${message}`);
+}
@@ -0,0 +1,124 @@
+/**
+ * Knowledge lifecycle: filters, ranking, near-duplicates, merge and supersede
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockStack } from '../mock/index.js';
+import { searchFilters, searchPath, matchesFilters, rankKnowledge, findDuplicates, mergeFields, withLink } from '../src/knowledge.js';
+import { startMcp, tempDir, testEnv } from './helpers.js';
+
+let stack, mcp;
+
+const day = (n) => new Date(Date.parse('2026-03-10T12:00:00Z') - n * 86400e3).toISOString();
+
+before(async () => {
+  stack = await startMockStack({
+    susan: {
+      state: {
+        todos: [], sessions: [], messages: [], ports: [],
+        knowledge: [
+          { id: 'k-1', title: 'Deploys go through the staging gate', category: 'workflow', summary: 'Every deploy runs the smoke suite on staging before production', importance: 7, tags: ['deploy'], created_at: day(2) },
+          { id: 'k-2', title: 'Deploy keys', category: 'security', summary: 'Deploy keys live in the vault, never in the repo', importance: 9, tags: ['deploy', 'secrets'], created_at: day(40) },
+          { id: 'k-3', title: 'Old deploy script', category: 'workflow', summary: 'deploy.sh pushes straight to production', importance: 3, tags: ['deploy'], created_at: day(400) }
+        ]
+      }
+    }
+  });
+  mcp = await startMcp(testEnv(stack, tempDir()));
+});
+
+after(async () => {
+  await mcp?.close();
+  await stack?.close();
+});
+
+test('filters are checked, sent to Susan and applied locally', () => {
+  const filters = searchFilters({ tags: [' Deploy '], since: '2026-03-01', minImportance: 5 }, '/srv/app');
+  assert.equal(searchPath('keys', filters), '/api/query?q=keys&project=%2Fsrv%2Fapp&tags=deploy&since=2026-03-01&minImportance=5');
+  assert.throws(() => searchFilters({ since: 'last week' }), /since must be a date/);
+
+  const entry = { title: 'x', tags: ['Deploy'], importance: 6, created_at: '2026-03-05T10:00:00Z', projectPath: '/srv/app' };
+  assert.ok(matchesFilters(entry, filters));
+  assert.ok(matchesFilters(entry, { until: '2026-03-05' }), 'a bare until date covers the whole day');
+  assert.ok(!matchesFilters(entry, { project: '/srv/other' }));
+  assert.ok(!matchesFilters({ ...entry, status: 'archived' }, {}));
+  assert.ok(matchesFilters({ ...entry, status: 'archived' }, { includeArchived: true }));
+});
+
+test('ranking weighs title hits, importance and recency', () => {
+  const now = Date.parse('2026-03-10T12:00:00Z');
+  const ranked = rankKnowledge([
+    { id: 'a', title: 'Notes', summary: 'about the cache', importance: 10, created_at: day(100) },
+    { id: 'b', title: 'Cache layout', summary: 'keys and ttl', importance: 5, created_at: day(100) },
+    { id: 'c', title: 'Cache warmup', summary: 'runs at boot', importance: 5, created_at: day(1) }
+  ], 'cache', now);
+  assert.deepEqual(ranked.map(k => k.id), ['c', 'b', 'a']);
+  assert.ok(ranked.every(k => typeof k.rank === 'number'));
+});
+
+test('near-duplicates, merging and links', () => {
+  const existing = { id: 'k-1', title: 'Staging gate for deploys', summary: 'Every deploy runs the smoke suite on staging first', tags: ['deploy'], importance: 7 };
+  const incoming = { title: 'Deploys go through staging', summary: 'Every deploy runs the smoke suite on staging first', tags: ['ci'], importance: 4 };
+  assert.deepEqual(findDuplicates(incoming, [existing, existing, { id: 'k-9', title: 'Cache keys', summary: 'ttl of an hour' }]).map(k => k.id), ['k-1']);
+  assert.deepEqual(findDuplicates(incoming, [{ ...existing, status: 'superseded' }]), []);
+
+  assert.deepEqual(mergeFields(existing, incoming), { summary: existing.summary, tags: ['deploy', 'ci'], importance: 7 });
+  assert.match(mergeFields(existing, { summary: 'Also tag the release' }).summary, /first\n\nAlso tag the release$/);
+
+  const links = withLink([{ id: 'k-2', relation: 'related' }], 'k-3', 'depends-on');
+  assert.deepEqual(withLink(links, 'k-2', null), [{ id: 'k-3', relation: 'depends-on' }]);
+});
+
+test('search filters and ranks, and renders a numbered list', async () => {
+  const all = await mcp.call('susan_search_knowledge', { query: 'deploy' });
+  assert.match(all.text, /^# Knowledge: "deploy" \(3 results\)/);
+  assert.ok(all.text.indexOf('`k-2`') < all.text.indexOf('`k-3`'));
+
+  const filtered = await mcp.call('susan_search_knowledge', { query: 'deploy', tags: ['secrets'], minImportance: 8 });
+  assert.match(filtered.text, /\(1 result\)\n\n\*Filters: tags secrets · importance ≥ 8\*\n\n1\. \*\*Deploy keys\*\* `k-2` - security · importance 9 · #deploy #secrets/);
+  assert.equal(stack.susan.requests.at(-1).query.tags, 'secrets');
+
+  const none = await mcp.call('susan_search_knowledge', { query: 'deploy', since: '2099-01-01' });
+  assert.match(none.text, /\(0 results\)[\s\S]*\*No matches\.\*/);
+
+  const json = JSON.parse((await mcp.call('susan_search_knowledge', { query: 'deploy', limit: 1, format: 'json' })).text);
+  assert.equal(json.results.length, 1);
+});
+
+test('adding a near-duplicate offers a merge instead of writing', async () => {
+  const args = { title: 'Staging gate for deploys', content: 'Every deploy runs the smoke suite on staging before production', category: 'workflow', tags: ['ci'] };
+  const offered = await mcp.call('susan_add_knowledge', args);
+  assert.match(offered.text, /^Not added - this looks like existing knowledge:\n\n- \*\*Deploys go through the staging gate\*\* `k-1` \(\d+% similar\)/);
+  assert.match(offered.text, /mergeInto: "k-1"/);
+  assert.equal(stack.susan.state.knowledge.length, 3);
+
+  const merged = await mcp.call('susan_add_knowledge', { ...args, mergeInto: 'k-1' });
+  assert.match(merged.text, /^Merged into k-1/);
+  assert.deepEqual(stack.susan.state.knowledge[0].tags, ['deploy', 'ci']);
+  assert.equal(stack.susan.state.knowledge.length, 3);
+
+  const forced = await mcp.call('susan_add_knowledge', { ...args, force: true });
+  assert.match(forced.text, /Knowledge added/);
+  assert.equal(stack.susan.state.knowledge.length, 4);
+});
+
+test('superseded and archived entries leave search and the briefing', async () => {
+  assert.match((await mcp.call('susan_supersede_knowledge', { id: 'k-3', by: 'k-1' })).text, /k-3 \(Old deploy script\) is superseded by k-1/);
+  const search = await mcp.call('susan_search_knowledge', { query: 'deploy' });
+  assert.doesNotMatch(search.text, /`k-3`/);
+  assert.match((await mcp.call('susan_search_knowledge', { query: 'deploy', includeArchived: true })).text, /`k-3` - .*\*\*superseded\*\*/);
+  assert.match((await mcp.call('susan_get_knowledge', { id: 'k-3' })).text, /Status: superseded[\s\S]*- Superseded by `k-1`/);
+
+  const again = await mcp.call('susan_supersede_knowledge', { id: 'k-2', by: 'k-3' });
+  assert.equal(again.isError, true);
+  assert.match(again.text, /k-3 is superseded/);
+
+  await mcp.call('susan_archive_knowledge', { id: 'k-2' });
+  const briefing = (await mcp.call('susan_get_briefing')).text;
+  assert.match(briefing, /Deploys go through the staging gate/);
+  assert.doesNotMatch(briefing, /Old deploy script|Deploy keys/);
+
+  await mcp.call('susan_archive_knowledge', { id: 'k-2', restore: true });
+  assert.equal(stack.susan.state.knowledge[1].status, 'active');
+});
@@ -0,0 +1,241 @@
+/**
+ * End-to-end: every MCP tool against the mock services
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockStack } from '../mock/index.js';
+import { startMcp, tempDir, testEnv, waitFor } from './helpers.js';
+
+let stack, mcp;
+
+before(async () => {
+  stack = await startMockStack({
+    frameMs: 50,
+    script: [
+      { match: 'deploy', prompt: { question: 'Do you want to proceed?', options: ['Yes', 'No'] }, answers: { '1': 'Deployed to staging' } },
+      { match: 'status', reply: 'All services healthy', busyMs: 200 }
+    ]
+  });
+  stack.susan.state.knowledge.push({ id: 'k-2', title: 'Session cookies', category: 'architecture', summary: 'Cookies are set by the gateway', importance: 4, tags: [], created_at: new Date().toISOString() });
+  mcp = await startMcp(testEnv(stack, tempDir()));
+  await waitFor(() => stack.chad.connections.length > 0, { message: 'Chad connection' });
+});
+
+after(async () => {
+  await mcp?.close();
+  await stack?.close();
+});
+
+// Every tool from tools/list must appear here; order matters for the server_claude_* calls
+const CALLS = [
+  ['susan_get_briefing', {}, (r) => {
+    assert.match(r.text, /Last Session Summary/);
+    assert.match(r.text, /Push NextBid Sources to Stage 3/);
+    assert.match(r.text, /Fix login redirect/);
+    assert.match(r.text, /\*Briefing: ~\d+ tokens of 8000 budget/);
+  }],
+  ['susan_get_todos', { status: 'all', format: 'json' }, (r) => {
+    const { todos } = JSON.parse(r.text);
+    assert.deepEqual(todos.map(t => t.id), ['todo-1', 'todo-2']);
+  }],
+  ['susan_create_todo', { title: 'Add rate limiting', priority: 'high', description: 'On the public API' }, (r) => {
+    assert.match(r.text, /Todo created: todo-\d+ - Add rate limiting \(high\)/);
+    const todo = stack.susan.state.todos.at(-1);
+    assert.equal(todo.project, '/srv/projects/demo');
+    assert.match(todo.sessionId, /^mcp-/);
+  }],
+  ['susan_update_todo', { id: 'todo-1', priority: 'critical' }, (r) => {
+    assert.match(r.text, /Todo updated: todo-1 \(priority\)/);
+    assert.equal(stack.susan.state.todos[0].priority, 'critical');
+  }],
+  ['susan_start_todo', { id: 'todo-1' }, (r) => {
+    assert.match(r.text, /\*\*Fix login redirect\*\* \*\(in progress\)\*/);
+    assert.equal(stack.susan.state.todos[0].status, 'in_progress');
+  }],
+  ['susan_search_knowledge', { query: 'jwt' }, (r) => {
+    assert.match(r.text, /^# Knowledge: "jwt" \(1 result\)\n\n1\. \*\*Auth flow\*\* `k-1` - architecture · importance 8 · #auth/);
+  }],
+  ['susan_get_knowledge', { id: 'k-1' }, (r) => {
+    assert.match(r.text, /^# Auth flow\n\n\*Category: architecture/);
+  }],
+  ['susan_update_knowledge', { id: 'k-1', importance: 9 }, (r) => {
+    assert.match(r.text, /Knowledge updated: k-1 \(importance\)/);
+    assert.equal(stack.susan.state.knowledge[0].importance, 9);
+  }],
+  ['susan_tag_knowledge', { id: 'k-1', add: ['Security'], remove: ['nope'] }, (r) => {
+    assert.equal(r.text, 'Tags for k-1: #auth #security');
+  }],
+  ['susan_link_knowledge', { id: 'k-1', to: 'k-2' }, (r) => {
+    assert.equal(r.text, 'Linked k-1 and k-2 (related)');
+    assert.deepEqual(stack.susan.state.knowledge[1].links, [{ id: 'k-1', relation: 'related' }]);
+  }],
+  ['susan_supersede_knowledge', { id: 'k-2', by: 'k-1' }, (r) => {
+    assert.match(r.text, /k-2 \(Session cookies\) is superseded by k-1/);
+    assert.deepEqual(stack.susan.state.knowledge[0].supersedes, ['k-2']);
+  }],
+  ['susan_archive_knowledge', { id: 'k-2' }, (r) => {
+    assert.equal(r.text, 'Archived k-2 - Session cookies');
+    assert.equal(stack.susan.state.knowledge[1].status, 'archived');
+  }],
+  ['susan_delete_knowledge', { id: 'k-2' }, (r) => {
+    assert.equal(r.text, 'Deleted k-2');
+    assert.deepEqual(stack.susan.state.knowledge.map(k => k.id), ['k-1']);
+  }],
+  ['susan_log_session', { summary: 'Wrote the test suite' }, () => {
+    const session = stack.susan.state.sessions.at(-1);
+    assert.equal(session.summary, 'Wrote the test suite');
+    assert.equal(session.project, '/srv/projects/demo');
+  }],
+  ['susan_complete_todo', { id: 'todo-1' }, (r) => {
+    assert.match(r.text, /- \[x\] .*~~Fix login redirect~~/);
+    const todo = stack.susan.state.todos[0];
+    assert.equal(todo.status, 'completed');
+    assert.equal(todo.sessionSummary, 'Wrote the test suite');
+    assert.equal(todo.sessionId, stack.susan.state.sessions.at(-1).id);
+  }],
+  ['susan_add_knowledge', { title: 'Mock stack', content: 'Use kodiack-mock for offline tests', category: 'testing' }, (r) => {
+    assert.match(r.text, /Knowledge added/);
+    assert.equal(stack.susan.state.knowledge.at(-1).title, 'Mock stack');
+    assert.equal(stack.susan.state.knowledge.at(-1).importance, 8);
+  }],
+  ['susan_get_ports', {}, (r) => {
+    assert.match(r.text, /\*\*:5403\*\* - Susan/);
+  }],
+  ['ryan_whats_next', {}, (r) => {
+    assert.match(r.text, /^# Ryan's Recommendations - What's Next\n\n\*\*Push NextBid Sources to Stage 3\*\*/);
+  }],
+  ['ryan_project_status', {}, (r) => {
+    assert.match(r.text, /▶ NextBid Sources  ███░░░░░░░ Stage 2\/5  ← "Needs attention"/);
+  }],
+  ['ryan_dependencies', { project: 'nextbid-portal' }, (r) => {
+    assert.match(r.text, /└─ NextBid Sources at Stage 3 - now Stage 2\/5 ✗/);
+  }],
+  ['ryan_complete_phase', { note: 'Tools wired up' }, (r) => {
+    assert.match(r.text, /^Completed \*\*MCP server\*\* in Kodiack Studios/);
+    assert.equal(stack.ryan.state.projects[3].phases[0].note, 'Tools wired up');
+  }],
+  ['ryan_set_focus', { project: 'NextBid Engine', reason: 'Bid API first' }, (r) => {
+    assert.equal(r.text, 'Focus: **NextBid Engine** - Bid API first');
+    assert.equal(stack.ryan.state.focus.project, 'nextbid-engine');
+  }],
+  ['server_claude_connect', {}, (r) => {
+    const info = JSON.parse(r.text);
+    assert.equal(info.session, 'demo');
+    assert.equal(info.connected, true);
+    assert.equal(stack.claudeServer.connections[0].query.path, '/srv/projects/demo');
+  }],
+  ['server_claude_send', { command: 'status', quietMs: 1000, timeoutMs: 10000 }, (r) => {
+    const result = JSON.parse(r.text);
+    assert.deepEqual(Object.keys(result), ['session', 'output', 'elapsedMs', 'timedOut', 'reason', 'blockedOn']);
+    assert.equal(result.session, 'demo');
+    assert.equal(result.reason, 'prompt');
+    assert.equal(result.timedOut, false);
+    assert.equal(result.blockedOn, null);
+    assert.match(result.output, /All services healthy/);
+    assert.doesNotMatch(result.output, /\x1b/);
+  }],
+  ['server_claude_output', { lines: 10 }, (r) => {
+    assert.match(r.text, /All services healthy/);
+    assert.doesNotMatch(r.text, /esc to interrupt/);
+  }],
+  ['server_claude_audit', {}, (r) => {
+    assert.match(r.text, /^# Server Claude audit \(1 command, newest first\)\n\n- \S+ \S+ \[demo\] `status` - prompt, \d+\.\ds$/);
+  }],
+  ['server_claude_status', {}, (r) => {
+    assert.equal(JSON.parse(r.text).current, 'demo');
+  }],
+  ['server_claude_list_sessions', {}, (r) => {
+    assert.equal(JSON.parse(r.text)[0].session, 'demo');
+  }],
+  ['server_claude_disconnect', { session: 'demo' }, (r) => {
+    assert.match(r.text, /Disconnected session demo/);
+  }],
+  ['kodiack_resolve_project', { path: '/srv/projects/demo/' }, (r) => {
+    assert.equal(JSON.parse(r.text).projectId, '/srv/projects/demo');
+  }],
+  ['kodiack_plugins', {}, (r) => {
+    const { plugins, errors } = JSON.parse(r.text);
+    assert.deepEqual(plugins.map(p => p.name), ['susan', 'ryan', 'chad']);
+    assert.ok(plugins[0].tools.includes('susan_get_briefing'));
+    assert.deepEqual(plugins[2].sections, ['sessionLogs']);
+    assert.deepEqual(errors, []);
+  }],
+  ['kodiack_health', { format: 'json' }, (r) => {
+    const report = JSON.parse(r.text);
+    const get = (name) => report.checks.find(c => c.name === name);
+    assert.equal(get('susan').status, 'pass');
+    assert.match(get('chad').detail, /this server's link is up/);
+    assert.match(get('claudeServer').detail, /0 open session\(s\)/);
+    assert.equal(get('log dir').status, 'warn');
+    assert.equal(report.status, 'warn');
+  }],
+  ['chad_status', {}, (r) => {
+    assert.equal(JSON.parse(r.text).connected, true);
+  }]
+];
+
+test('every listed tool is covered', async () => {
+  const { tools } = await mcp.client.listTools();
+  const covered = new Set(CALLS.map(([name]) => name));
+  assert.deepEqual(tools.map(t => t.name).filter(name => !covered.has(name)), []);
+});
+
+for (const [name, args, check] of CALLS) {
+  test(name, async () => {
+    const result = await mcp.call(name, args);
+    assert.ok(!result.isError, result.text);
+    check(result);
+  });
+}
+
+test('server_claude_send stops on a permission prompt and resumes with an answer', async () => {
+  const blocked = JSON.parse((await mcp.call('server_claude_send', { command: 'deploy', quietMs: 1000, timeoutMs: 10000 })).text);
+  assert.equal(blocked.reason, 'blocked');
+  assert.equal(blocked.blockedOn.question, 'Do you want to proceed?');
+  assert.deepEqual(blocked.blockedOn.options.map(o => o.key), ['1', '2']);
+
+  const answered = JSON.parse((await mcp.call('server_claude_send', { session: blocked.session, command: '1', enter: false, quietMs: 1000, timeoutMs: 10000 })).text);
+  assert.equal(answered.reason, 'prompt');
+  assert.match(answered.output, /Deployed to staging/);
+});
+
+test('server_claude_output shows the screen, the raw stream and grep results', async () => {
+  const screen = (await mcp.call('server_claude_output', { mode: 'screen' })).text;
+  assert.match(screen, /Deployed to staging/);
+  assert.match(screen, /\? for shortcuts$/);
+
+  const raw = (await mcp.call('server_claude_output', { mode: 'raw' })).text;
+  assert.match(raw, /\x1b\[2K/);
+  assert.match(raw, /Working… \(\d+s/);
+
+  const found = (await mcp.call('server_claude_output', { search: 'deployed', context: 0 })).text;
+  assert.match(found, /^\d+:● Deployed to staging$/);
+  assert.match((await mcp.call('server_claude_output', { search: 'nothing like this' })).text, /no lines match/);
+
+  const bad = await mcp.call('server_claude_output', { mode: 'pixels' });
+  assert.equal(bad.isError, true);
+  assert.match(bad.text, /Unknown output mode: pixels/);
+});
+
+test('susan_get_todos renders a checklist', async () => {
+  const { text } = await mcp.call('susan_get_todos', { status: 'all' });
+  const lines = text.split('\n').filter(l => l.startsWith('- ['));
+  assert.match(text, /^# Todos - \/srv\/projects\/demo \(all: 3\)/);
+  assert.match(lines[0], /^- \[ \] .*\*\*Write API docs\*\* \*\(in progress\)\* `todo-2`/);
+  assert.match(lines[1], /^- \[ \] 🟠 \*\*Add rate limiting\*\*/);
+  assert.match(lines[2], /^- \[x\]/);
+});
+
+test('tool activity is logged to Chad', async () => {
+  await waitFor(() => stack.chad.messages.some(m => /Logged: Wrote the test suite/.test(m.content)), { message: 'Chad log' });
+  await waitFor(() => stack.chad.messages.some(m => m.content === 'Completed todo [todo-1]: Fix login redirect - session: Wrote the test suite'), { message: 'completion log' });
+  assert.equal(stack.chad.connections[0].query.project, '/srv/projects/demo');
+});
+
+test('Susan errors surface as tool errors', async () => {
+  await stack.susan.close();
+  const result = await mcp.call('susan_create_todo', { title: 'Needs Susan' });
+  assert.equal(result.isError, true);
+  assert.match(result.text, /Susan unreachable/);
+});
@@ -0,0 +1,99 @@
+/**
+ * Offline mode: cached reads, local search and queued writes while Susan is down
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockStack, startMockSusan } from '../mock/index.js';
+import { createKnowledgeIndex } from '../src/knowledge-index.js';
+import { createCache, formatAge } from '../src/cache.js';
+import { startMcp, tempDir, testEnv, waitFor } from './helpers.js';
+
+let stack, mcp, susanPort, revived;
+
+before(async () => {
+  stack = await startMockStack();
+  susanPort = new URL(stack.susan.url).port;
+  const home = tempDir();
+  // Zero TTLs: every read goes to Susan while she is up, so the cache only shows when she is down
+  const configFile = path.join(home, 'kodiack.config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ cache: { staleSeconds: 0, ttlSeconds: { context: 0, sessions: 0, todos: 0, ports: 0, ryan: 0, knowledge: 0 } } }));
+  mcp = await startMcp(testEnv(stack, home));
+});
+
+after(async () => {
+  await mcp?.close();
+  await stack?.close();
+  await revived?.close();
+});
+
+test('cache serves the last good data when the service is unreachable', async () => {
+  const dir = tempDir();
+  let up = true;
+  const cache = createCache({ dir, ttlSeconds: { todos: 0 }, staleSeconds: 0 });
+  const fetcher = async () => {
+    if (!up) throw Object.assign(new Error('down'), { offline: true });
+    return { todos: [1] };
+  };
+  assert.equal((await cache.read('todos:x', 'todos', fetcher)).source, 'live');
+  up = false;
+  const offline = await cache.read('todos:x', 'todos', fetcher, { isOffline: (e) => e.offline });
+  assert.equal(offline.source, 'offline');
+  assert.deepEqual(offline.value, { todos: [1] });
+  await assert.rejects(cache.read('todos:y', 'todos', fetcher), /down/);
+
+  // Survives a restart
+  assert.deepEqual(createCache({ dir }).get('todos:x').value, { todos: [1] });
+  assert.equal(formatAge(3 * 3600e3 + 5 * 60e3), '3h 5m');
+});
+
+test('knowledge index ranks title matches and matches prefixes', () => {
+  const index = createKnowledgeIndex({ dir: tempDir() });
+  index.add([
+    { id: 'a', title: 'Deploy checklist', summary: 'Run migrations before restarting pm2', category: 'workflow' },
+    { id: 'b', title: 'Database notes', summary: 'Deploy uses a read replica', category: 'architecture' }
+  ]);
+  assert.deepEqual(index.search('deploy').map(e => e.id), ['a', 'b']);
+  assert.deepEqual(index.search('migra').map(e => e.id), ['a']);
+  assert.deepEqual(index.search('deploy', { category: 'architecture' }).map(e => e.id), ['b']);
+});
+
+test('briefing, todos and search fall back while Susan is down, writes sync when she is back', async () => {
+  // Prime the cache and the local index while online
+  await mcp.call('susan_get_briefing');
+  await mcp.call('susan_get_todos');
+  await mcp.call('susan_search_knowledge', { query: 'auth' });
+
+  await stack.susan.close();
+
+  const briefing = await mcp.call('susan_get_briefing');
+  assert.ok(!briefing.isError, briefing.text);
+  assert.match(briefing.text, /^> ⚠️ \*\*Offline\*\* - service unreachable, showing cached data: context from \d+s ago/);
+  assert.match(briefing.text, /Fix login redirect/);
+
+  const todos = await mcp.call('susan_get_todos');
+  assert.match(todos.text, /\*\*Fix login redirect\*\*[\s\S]*⚠️ \*\*Offline\*\*.*todos from/);
+
+  const search = await mcp.call('susan_search_knowledge', { query: 'cookies' });
+  assert.match(search.text, /results from the local index/);
+  assert.match(search.text, /\n1\. \*\*Auth flow\*\* `k-1`/);
+
+  const added = await mcp.call('susan_add_knowledge', { title: 'Offline note', content: 'Written while the droplet was down', category: 'workflow' });
+  assert.match(added.text, /queued locally .* \(1 write\(s\) pending\)/);
+  const logged = await mcp.call('susan_log_session', { summary: 'Worked offline' });
+  assert.match(logged.text, /\(2 write\(s\) pending\)/);
+  const again = await mcp.call('susan_log_session', { summary: 'Worked offline' });
+  assert.match(again.text, /queued locally .* \(3 write\(s\) pending\)/, 'an identical write is its own entry');
+
+  // Queued knowledge is searchable right away
+  assert.match((await mcp.call('susan_search_knowledge', { query: 'droplet' })).text, /Offline note/);
+
+  // Susan comes back on the same port with her old state
+  const state = stack.susan.state;
+  revived = await startMockSusan({ port: Number(susanPort), state });
+  const live = await mcp.call('susan_get_ports');
+  assert.doesNotMatch(live.text, /Offline|Cached/);
+  await waitFor(() => state.knowledge.some(k => k.title === 'Offline note') && state.sessions.filter(s => s.summary === 'Worked offline').length === 2, { message: 'offline writes to sync' });
+});
@@ -0,0 +1,42 @@
+/**
+ * Outbox journal: compaction in long-running processes and the owner lock
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createOutbox, inspectOutbox, lockOutbox } from '../src/outbox.js';
+import { tempDir } from './helpers.js';
+
+const lines = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').length;
+
+test('a long-running outbox compacts settled records after a flush', async () => {
+  const dir = tempDir();
+  const outbox = createOutbox({ dir, send: async () => {}, compactAfter: 10 });
+  outbox.load();
+  for (let i = 0; i < 4; i++) outbox.enqueue(`id-${i}`, '/api/message', { i });
+  await outbox.flush();
+  assert.equal(lines(outbox.file), 8, 'below the threshold: enqueue and ack lines stay');
+
+  for (let i = 4; i < 8; i++) outbox.enqueue(`id-${i}`, '/api/message', { i });
+  await outbox.flush();
+  assert.equal(lines(outbox.file), 8, 'compacted to the acked ids');
+  assert.ok(fs.readFileSync(outbox.file, 'utf8').split('\n').filter(Boolean).every(l => JSON.parse(l).op === 'ack'));
+  assert.equal(outbox.enqueue('id-0', '/api/message', { i: 0 }), false, 'acked ids still dedupe');
+  assert.equal(inspectOutbox({ dir }).pending, 0);
+});
+
+test('one process owns the journal; a lock from a dead process is taken over', () => {
+  const dir = tempDir();
+  const lock = lockOutbox({ dir });
+  assert.equal(fs.readFileSync(lock.file, 'utf8'), String(process.pid));
+  assert.doesNotThrow(() => lockOutbox({ dir }), 'the holder may claim it again');
+
+  fs.writeFileSync(lock.file, String(process.ppid));
+  assert.throws(() => lockOutbox({ dir }), (e) => e.pid === process.ppid);
+
+  fs.writeFileSync(lock.file, '999999999');
+  lockOutbox({ dir }).release();
+  assert.ok(!fs.existsSync(path.join(dir, 'outbox.lock')));
+});
@@ -0,0 +1,65 @@
+/**
+ * Project path normalization and local/server mapping
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePath, createPathMapper } from '../src/paths.js';
+
+test('normalizePath gives Windows and server paths one spelling', () => {
+  assert.equal(normalizePath('C:\\Projects\\dev-studio\\'), 'c:/Projects/dev-studio');
+  assert.equal(normalizePath('  c:/Projects//dev-studio/./src/../ '), 'c:/Projects/dev-studio');
+  assert.equal(normalizePath('D:'), 'd:/');
+  assert.equal(normalizePath('C:\\'), 'c:/');
+  assert.equal(normalizePath('/var/www/Kodiack_Studio/dev-studio/'), '/var/www/Kodiack_Studio/dev-studio');
+  assert.equal(normalizePath('/'), '/');
+  assert.equal(normalizePath('relative\\dir\\'), 'relative/dir');
+  assert.equal(normalizePath(''), '');
+  assert.equal(normalizePath(null), '');
+});
+
+test('either side of a rule resolves to the server path as the project ID', () => {
+  const mapper = createPathMapper([{ local: 'C:\\Projects', server: '/var/www/Kodiack_Studio/' }]);
+  assert.deepEqual(mapper.rules, [{ local: 'c:/Projects', server: '/var/www/Kodiack_Studio' }]);
+
+  const local = mapper.resolve('C:\\Projects\\dev-studio\\');
+  assert.deepEqual(local, {
+    input: 'C:\\Projects\\dev-studio\\',
+    normalized: 'c:/Projects/dev-studio',
+    side: 'local',
+    localPath: 'c:/Projects/dev-studio',
+    serverPath: '/var/www/Kodiack_Studio/dev-studio',
+    projectId: '/var/www/Kodiack_Studio/dev-studio',
+    rule: { local: 'c:/Projects', server: '/var/www/Kodiack_Studio' }
+  });
+
+  const server = mapper.resolve('/var/www/Kodiack_Studio/dev-studio');
+  assert.equal(server.side, 'server');
+  assert.equal(server.localPath, 'c:/Projects/dev-studio');
+  assert.equal(server.projectId, local.projectId);
+
+  assert.equal(mapper.resolve('C:\\Projects').projectId, '/var/www/Kodiack_Studio', 'the prefix itself maps');
+});
+
+test('Windows prefixes match case-insensitively, server prefixes exactly and only on whole segments', () => {
+  const mapper = createPathMapper([{ local: 'C:\\Projects', server: '/var/www/Kodiack_Studio' }]);
+  assert.equal(mapper.resolve('c:\\PROJECTS\\App').projectId, '/var/www/Kodiack_Studio/App');
+  assert.equal(mapper.resolve('/var/www/kodiack_studio/app').side, 'unmapped');
+  assert.equal(mapper.resolve('C:\\ProjectsOld\\app').side, 'unmapped');
+  assert.equal(mapper.resolve('/var/www/Kodiack_Studio2/app').side, 'unmapped');
+});
+
+test('the longest matching prefix wins and unmapped paths keep their normalized form', () => {
+  const mapper = createPathMapper([
+    { local: 'C:\\Projects', server: '/var/www/Kodiack_Studio' },
+    { local: 'C:\\Projects\\client-work', server: '/srv/clients' }
+  ]);
+  assert.equal(mapper.resolve('C:\\Projects\\client-work\\acme').projectId, '/srv/clients/acme');
+  assert.equal(mapper.resolve('/srv/clients/acme').localPath, 'c:/Projects/client-work/acme');
+  assert.equal(mapper.resolve('C:\\Projects\\dev-studio').projectId, '/var/www/Kodiack_Studio/dev-studio');
+
+  assert.deepEqual(mapper.resolve('/home/me/scratch/'), {
+    input: '/home/me/scratch/', normalized: '/home/me/scratch', side: 'unmapped', localPath: null, serverPath: '/home/me/scratch', projectId: '/home/me/scratch', rule: null
+  });
+  assert.equal(createPathMapper().resolve('D:\\Work\\x').projectId, 'd:/Work/x');
+});
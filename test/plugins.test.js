@@ -0,0 +1,130 @@
+/**
+ * Worker plugins: manifests and modules from the plugins directory and config
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockStack, startHttp } from '../mock/index.js';
+import { buildHttpRequest, formatResult } from '../src/plugins.js';
+import { startMcp, tempDir, testEnv } from './helpers.js';
+
+let stack, tiffany, mcp, home;
+
+// Tiffany as a JSON manifest: two HTTP tools and a briefing section
+const manifest = (baseUrl) => ({
+  name: 'tiffany',
+  title: 'Tiffany',
+  baseUrl,
+  tools: [
+    {
+      name: 'list_runs',
+      description: 'Recent QA runs for the project',
+      inputSchema: { type: 'object', properties: { project: { type: 'string' } } },
+      http: { path: '/api/runs', query: ['project'] },
+      format: { title: '# QA runs', list: 'runs', item: '- {{id}} {{suite}}: {{status}}', empty: '*No runs yet.*' }
+    },
+    {
+      name: 'start_run',
+      description: 'Start a QA run',
+      inputSchema: { type: 'object', properties: { suite: { type: 'string' } }, required: ['suite'] },
+      http: { method: 'POST', path: '/api/runs', body: ['project', 'suite'] },
+      format: 'text'
+    }
+  ],
+  briefing: {
+    fetch: { path: '/api/runs', query: ['project'] },
+    sections: [{ name: 'qa', priority: 6, template: { title: "Tiffany's QA Runs", list: 'runs', item: '- {{suite}}: {{status}}' } }]
+  }
+});
+
+// Clair as a module from plugins.modules, using her client in a handler
+const CLAIR = `export default (host) => ({
+  name: 'clair',
+  tools: [{
+    name: 'doc_status',
+    description: 'Documentation coverage',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async (args, client) => 'Docs for ' + host.projectKey() + ' via ' + client.title
+  }]
+});
+`;
+
+before(async () => {
+  stack = await startMockStack();
+  const runs = [];
+  tiffany = await startHttp({
+    routes: {
+      'GET /api/runs': ({ query }) => ({ runs: runs.filter(r => r.project === query.get('project')) }),
+      'POST /api/runs': ({ body }) => { const run = { id: `run-${runs.length + 1}`, status: 'queued', ...body }; runs.push(run); return { success: true, message: `Started ${run.id} (${body.suite})` }; }
+    }
+  });
+
+  home = tempDir();
+  const dir = path.join(home, '.kodiack', 'plugins');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'tiffany.json'), JSON.stringify(manifest(tiffany.url)));
+  fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({ name: 'Mike!', tools: [{ name: 'x' }] }));
+  const clair = path.join(home, 'clair.mjs');
+  fs.writeFileSync(clair, CLAIR);
+  fs.writeFileSync(path.join(dir, 'mike.mjs'), `import fs from 'fs';\nexport default () => { fs.writeFileSync(${JSON.stringify(path.join(home, 'mike-started'))}, 'x'); return { name: 'mike', tools: [] }; };\n`);
+  fs.writeFileSync(path.join(home, 'kodiack.config.json'), JSON.stringify({ plugins: { modules: [clair], disabled: ['ryan', 'mike'] } }));
+
+  mcp = await startMcp(testEnv(stack, home));
+});
+
+after(async () => {
+  await mcp?.close();
+  await stack?.close();
+  await tiffany?.close();
+});
+
+test('http mappings fill path, query and body from arguments', () => {
+  const key = (p) => `/srv/${p || 'demo'}`;
+  assert.deepEqual(buildHttpRequest({ path: '/api/runs/{id}', query: ['project', 'limit'] }, { id: 'a b', limit: 5 }, key), {
+    endpoint: '/api/runs/a%20b?project=%2Fsrv%2Fdemo&limit=5',
+    options: { method: 'GET' }
+  });
+  const post = buildHttpRequest({ method: 'post', path: '/api/runs', body: ['project', 'suite'] }, { project: 'app', suite: 'smoke' }, key);
+  assert.equal(post.options.method, 'POST');
+  assert.deepEqual(JSON.parse(post.options.body), { project: '/srv/app', suite: 'smoke' });
+  assert.throws(() => buildHttpRequest({ path: '/api/runs/{id}' }, {}), /id required/);
+
+  assert.equal(formatResult({ list: 'runs', item: '- {{id}}' }, { runs: [{ id: 1 }, { id: 2 }] }), '- 1\n- 2');
+  assert.equal(formatResult({ list: 'runs', item: '- {{id}}', empty: 'none' }, { runs: [] }), 'none');
+  assert.equal(formatResult('text', { message: 'ok' }), 'ok');
+});
+
+test('plugins load from the directory and config, broken ones are reported', async () => {
+  const { tools } = await mcp.client.listTools();
+  const names = tools.map(t => t.name);
+  assert.ok(names.includes('tiffany_list_runs') && names.includes('tiffany_start_run') && names.includes('clair_doc_status'));
+  assert.ok(!names.some(n => n.startsWith('ryan_')));
+  assert.ok(tools.find(t => t.name === 'susan_get_briefing').inputSchema.properties.sections.items.enum.includes('qa'));
+
+  const { plugins, errors } = JSON.parse((await mcp.call('kodiack_plugins')).text);
+  assert.deepEqual(plugins.map(p => p.name), ['susan', 'chad', 'clair', 'tiffany']);
+  assert.match(errors.join('\n'), /broken\.json: name must be lowercase/);
+  assert.match(errors.join('\n'), /tools\[0\] \(x\): needs a handler or an http mapping/);
+});
+
+test('manifest tools map to HTTP and format the response', async () => {
+  assert.equal((await mcp.call('tiffany_list_runs')).text, '# QA runs\n\n*No runs yet.*');
+  assert.equal((await mcp.call('tiffany_start_run', { suite: 'smoke' })).text, 'Started run-1 (smoke)');
+  assert.equal((await mcp.call('tiffany_list_runs')).text, '# QA runs\n\n- run-1 smoke: queued');
+  assert.equal(tiffany.requests.at(-1).query.project, '/srv/projects/demo');
+  assert.equal((await mcp.call('clair_doc_status')).text, 'Docs for /srv/projects/demo via Clair');
+});
+
+test('plugins contribute briefing sections; disabled ones drop out', async () => {
+  const briefing = (await mcp.call('susan_get_briefing')).text;
+  assert.match(briefing, /## Tiffany's QA Runs\n\n- smoke: queued/);
+  assert.doesNotMatch(briefing, /Ryan's Recommendations/);
+  assert.ok(!fs.existsSync(path.join(home, 'mike-started')), 'a disabled plugin is never instantiated');
+  assert.ok(briefing.indexOf('Key Knowledge') < briefing.indexOf("Tiffany's QA Runs"));
+
+  const only = await mcp.call('susan_get_briefing', { sections: ['qa', 'ryan'] });
+  assert.equal(only.isError, true);
+  assert.match(only.text, /Unknown briefing section\(s\): ryan/);
+});
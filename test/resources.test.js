@@ -0,0 +1,90 @@
+/**
+ * MCP resources, subscriptions and prompts against the mock services
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startMockStack } from '../mock/index.js';
+import { parseResourceUri, resourceUri } from '../src/resources.js';
+import { startMcp, tempDir, testEnv, waitFor } from './helpers.js';
+
+const PROJECT = '/srv/projects/demo';
+let stack, mcp;
+const updates = [];
+
+before(async () => {
+  stack = await startMockStack();
+  mcp = await startMcp(testEnv(stack, tempDir()));
+  mcp.client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => { updates.push(n.params.uri); });
+});
+
+after(async () => {
+  await mcp?.close();
+  await stack?.close();
+});
+
+const read = async (uri) => (await mcp.client.readResource({ uri })).contents[0].text;
+
+test('resource URIs round-trip project paths', () => {
+  const uri = resourceUri('todos', 'C:/Users/me/my app');
+  assert.equal(uri, 'kodiack://todos/C%3A%2FUsers%2Fme%2Fmy%20app');
+  assert.deepEqual(parseResourceUri(uri), { kind: 'todos', arg: 'C:/Users/me/my app' });
+  assert.deepEqual(parseResourceUri('kodiack://ports'), { kind: 'ports', arg: null });
+  assert.throws(() => parseResourceUri('kodiack://todos'), /needs a project/);
+  assert.throws(() => parseResourceUri('kodiack://nope/x'), /Unknown resource/);
+  assert.throws(() => parseResourceUri('kodiack://toString'), /Unknown resource/, 'inherited keys are not kinds');
+  assert.throws(() => parseResourceUri('kodiack://__proto__/x'), /Unknown resource/);
+});
+
+test('lists resources for the current project and knowledge entries', async () => {
+  const { resources } = await mcp.client.listResources();
+  assert.deepEqual(resources.map(r => r.uri), [
+    resourceUri('briefing', PROJECT),
+    resourceUri('todos', PROJECT),
+    'kodiack://ports',
+    'kodiack://knowledge/k-1'
+  ]);
+  const { resourceTemplates } = await mcp.client.listResourceTemplates();
+  assert.equal(resourceTemplates.length, 4);
+});
+
+test('reads briefing, todos, ports and knowledge', async () => {
+  assert.match(await read(resourceUri('briefing', PROJECT)), /Last Session Summary/);
+  assert.match(await read(resourceUri('todos', PROJECT)), /\*\*Fix login redirect\*\*/);
+  assert.match(await read('kodiack://ports'), /\*\*:5400\*\* - Claude Terminal/);
+  const entry = await read('kodiack://knowledge/k-1');
+  assert.match(entry, /^# Auth flow/);
+  assert.match(entry, /Category: architecture/);
+});
+
+test('subscribers hear about todo writes', async () => {
+  const uri = resourceUri('todos', PROJECT);
+  await mcp.client.subscribeResource({ uri });
+  await mcp.call('susan_create_todo', { title: 'Ship resources' });
+  await waitFor(() => updates.includes(uri), { message: 'resource update' });
+  assert.match(await read(uri), /Ship resources/);
+
+  await mcp.client.unsubscribeResource({ uri });
+  updates.length = 0;
+  await mcp.call('susan_start_todo', { id: 'todo-1' });
+  await new Promise(r => setTimeout(r, 200));
+  assert.deepEqual(updates, []);
+});
+
+test('Quick Commands are prompts', async () => {
+  const { prompts } = await mcp.client.listPrompts();
+  assert.deepEqual(prompts.map(p => p.name), ['server', 'ports', 'todos', 'remember', 'search']);
+
+  const ports = await mcp.client.getPrompt({ name: 'ports' });
+  assert.equal(ports.messages[0].content.resource.uri, 'kodiack://ports');
+  assert.match(ports.messages[0].content.resource.text, /Port Assignments/);
+
+  const search = await mcp.client.getPrompt({ name: 'search', arguments: { query: 'jwt' } });
+  assert.match(search.messages[0].content.text, /\*\*Auth flow\*\* \(architecture\) `kodiack:\/\/knowledge\/k-1`/);
+
+  const server = await mcp.client.getPrompt({ name: 'server', arguments: { command: 'restart nginx' } });
+  assert.match(server.messages[0].content.text, /server_claude_send[\s\S]*restart nginx/);
+
+  await assert.rejects(mcp.client.getPrompt({ name: 'remember', arguments: {} }), /\/remember needs info/);
+});
@@ -0,0 +1,104 @@
+/**
+ * Ryan's roadmap: stage bars, dependency graph, recorded progress
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockStack, startHttp } from '../mock/index.js';
+import { progressBar, projectPercent, findProject, dependencyGraph, renderBoard, renderProject, renderDependencies } from '../src/roadmap.js';
+import { startMcp, tempDir, testEnv } from './helpers.js';
+
+let stack, mcp;
+
+before(async () => {
+  stack = await startMockStack();
+  mcp = await startMcp(testEnv(stack, tempDir()));
+});
+
+after(async () => {
+  await mcp?.close();
+  await stack?.close();
+});
+
+test('progress comes from Ryan or from the stage and its phases', () => {
+  assert.equal(progressBar(35), '████░░░░░░');
+  assert.equal(progressBar(140), '██████████');
+  assert.equal(projectPercent({ stage: 4, progress: 72 }), 72);
+  assert.equal(projectPercent({ stage: 3, phases: [{ stage: 2, status: 'pending' }, { stage: 3, status: 'complete' }, { stage: 3, status: 'pending' }] }), 50);
+  assert.equal(projectPercent({ stage: 1 }), 0);
+
+  const projects = [{ id: 'api', name: 'Public API', path: '/srv/api' }];
+  assert.equal(findProject(projects, 'public api').id, 'api');
+  assert.equal(findProject(projects, '/srv/api/', (p) => p.replace(/\/+$/, '')).id, 'api', 'paths go through projectKey');
+  assert.equal(findProject(projects, 'web'), null);
+});
+
+test('the dependency graph marks unmet needs and survives cycles', () => {
+  const projects = [
+    { id: 'a', name: 'A', stage: 2, dependsOn: [{ project: 'b', stage: 2 }] },
+    { id: 'b', name: 'B', stage: 2, dependsOn: ['a'] }
+  ];
+  assert.deepEqual(dependencyGraph(projects).edges, [
+    { from: 'a', to: 'b', stage: 2, satisfied: true },
+    { from: 'b', to: 'a', stage: 5, satisfied: false }
+  ]);
+  const text = renderDependencies(projects);
+  assert.match(text, /A \(Stage 2\/5\)\n└─ B at Stage 2 - now Stage 2\/5 ✓\n   └─ A at Stage 5 - now Stage 2\/5 ✗ \(cycle\)/);
+  assert.match(text, /- \*\*A\*\* holds up 1 project\(s\)/);
+});
+
+test('completing the last phase of a stage moves the project on', async () => {
+  const first = await mcp.call('ryan_complete_phase', { project: 'NextBid Sources' });
+  assert.match(first.text, /^Completed \*\*Source registry\*\* in NextBid Sources - advanced to Stage 3\/5\n\n████░░░░░░ Stage 3\/5 \(40%\)$/);
+
+  // The cached roadmap was dropped, so the unblocked portal shows straight away
+  const deps = await mcp.call('ryan_dependencies', { project: 'nextbid-portal', format: 'json' });
+  assert.ok(JSON.parse(deps.text).edges.every(e => e.satisfied));
+  assert.doesNotMatch((await mcp.call('ryan_project_status')).text, /⛔/);
+
+  const missing = await mcp.call('ryan_complete_phase', { project: 'nextbid-engine', phase: 'Launch party' });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Ryan 404/);
+
+  const unknown = await mcp.call('ryan_project_status', { project: 'mystery' });
+  assert.match(unknown.text, /Ryan doesn't track "mystery" - known projects: nextbid-engine, nextbid-sources/);
+});
+
+test('focus is recorded, shown in the board and can be cleared', async () => {
+  await mcp.call('ryan_set_focus', { project: '/srv/projects/demo', reason: 'Ship the MCP server' });
+  const board = (await mcp.call('ryan_project_status')).text;
+  assert.match(board, /▶ Kodiack Studios/);
+  assert.match(board, /\*\*Focus:\*\* Kodiack Studios - Ship the MCP server/);
+  assert.match((await mcp.call('ryan_project_status', { project: 'kodiack-studios' })).text, /▶ \*\*Current focus\*\* - Ship the MCP server/);
+
+  assert.equal((await mcp.call('ryan_set_focus', { clear: true })).text, 'Focus cleared');
+  assert.equal(stack.ryan.state.focus, null);
+});
+
+test('whats_next reports Ryan being down instead of going quiet', async () => {
+  await stack.ryan.close();
+  const down = await mcp.call('ryan_whats_next');
+  assert.equal(down.isError, true);
+  assert.match(down.text, /Ryan/);
+  assert.match((await mcp.call('susan_get_briefing')).text, /\*Ryan is unreachable \(.+\) - ryan_whats_next shows the details once he is back\.\*/);
+});
+
+test('projects and phases without a name fall back to their ID', () => {
+  const projects = [{ id: 'api', stage: 2, phases: [{ id: 'api-2a', stage: 2, status: 'pending' }] }, { id: 'web', name: 'Web', stage: 1, dependsOn: ['api'] }];
+  assert.match(renderBoard(projects), /^ {2}api {2}██░░░░░░░░ Stage 2\/5$/m);
+  assert.match(renderProject(projects[0], projects), /^# api\n[\s\S]*- \[ \] \*\*api-2a\*\* `api-2a`/);
+  assert.match(renderDependencies(projects), /└─ api at Stage 5 - now Stage 2\/5 ✗/);
+});
+
+test('a Ryan without the roadmap API gets named as the problem', async () => {
+  const oldRyan = await startHttp({ routes: { 'GET /api/whats-next': () => ({ success: true }) } });
+  const client = await startMcp(testEnv(stack, tempDir(), { RYAN_URL: oldRyan.url }));
+  try {
+    const r = await client.call('ryan_project_status');
+    assert.equal(r.isError, true);
+    assert.match(r.text, /Ryan 404 on GET \/api\/projects - this Ryan has no roadmap API yet/);
+  } finally {
+    await client.close();
+    await oldRyan.close();
+  }
+});
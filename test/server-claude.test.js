@@ -0,0 +1,115 @@
+/**
+ * Server Claude sessions and completion detection: busy/idle/blocked parsing and waitForIdle
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { isBusy, isAtPrompt, detectBlockingPrompt, waitForIdle, createSessionManager } from '../src/server-claude.js';
+
+const WORKING = '✻ Working… (3s · esc to interrupt)\n';
+const IDLE = '╭──────╮\n│ >    │\n╰──────╯\n  ? for shortcuts\n';
+const MENU = 'Bash(rm -rf dist)\nDo you want to proceed?\n❯ 1. Yes\n  2. No, and tell Claude what to do differently (esc)\n';
+
+test('busy and idle are judged by whichever indicator came last', () => {
+  assert.equal(isBusy(`> status\n${WORKING}`), true);
+  assert.equal(isAtPrompt(`> status\n${WORKING}`), false);
+  assert.equal(isBusy(`${WORKING}● All services healthy\n${IDLE}`), false);
+  assert.equal(isAtPrompt(`${WORKING}● All services healthy\n${IDLE}`), true);
+  assert.equal(isBusy(`${IDLE}> next\n${WORKING}`), true, 'a new spinner after the prompt means busy again');
+  assert.equal(isAtPrompt('plain output'), false);
+});
+
+test('a blocking prompt is found with its options, but not while work continues', () => {
+  assert.deepEqual(detectBlockingPrompt(`${WORKING}${MENU}`), {
+    question: 'Do you want to proceed?',
+    options: [{ key: '1', label: 'Yes' }, { key: '2', label: 'No, and tell Claude what to do differently' }]
+  });
+  assert.deepEqual(detectBlockingPrompt('Overwrite config.json? [y/N]'), { question: 'Overwrite config.json? [y/N]', options: [] });
+  assert.equal(detectBlockingPrompt(`${MENU}1\n${WORKING}`), null, 'answered and working again');
+  assert.equal(detectBlockingPrompt(`● Done\n${IDLE}`), null);
+});
+
+// Output that the test appends to, as the session would
+function fakeSession() {
+  let output = '';
+  let lastOutputAt = 0;
+  let connected = true;
+  return {
+    write: (text) => { output += text; lastOutputAt = Date.now(); },
+    disconnect: () => { connected = false; },
+    wait: (options) => waitForIdle({ read: () => output, lastOutputAt: () => lastOutputAt, isConnected: () => connected, pollMs: 20, ...options })
+  };
+}
+
+test('waitForIdle returns at the idle prompt once work has started', async () => {
+  const session = fakeSession();
+  const done = session.wait({ quietMs: 5000, timeoutMs: 5000 });
+  session.write(`> status\n${IDLE}`);
+  setTimeout(() => session.write(WORKING), 50);
+  setTimeout(() => session.write(`● All services healthy\n${IDLE}`), 150);
+  const result = await done;
+  assert.equal(result.reason, 'prompt');
+  assert.equal(result.timedOut, false);
+  assert.equal(result.blockedOn, null);
+  assert.match(result.output, /All services healthy/);
+  assert.ok(result.elapsedMs < 2000, `took ${result.elapsedMs}ms`);
+});
+
+test('waitForIdle stops on a blocking prompt and reports it', async () => {
+  const session = fakeSession();
+  const done = session.wait({ quietMs: 5000, timeoutMs: 5000 });
+  session.write(`${WORKING}${MENU}`);
+  const result = await done;
+  assert.equal(result.reason, 'blocked');
+  assert.equal(result.blockedOn.question, 'Do you want to proceed?');
+});
+
+test('waitForIdle falls back to quiet output, but not while a spinner shows', async () => {
+  const quiet = fakeSession();
+  const done = quiet.wait({ quietMs: 200, timeoutMs: 5000 });
+  quiet.write('some output without a prompt\n');
+  assert.equal((await done).reason, 'quiet');
+
+  const busy = fakeSession();
+  const waiting = busy.wait({ quietMs: 100, timeoutMs: 600 });
+  busy.write(`${WORKING}${MENU}1\n${WORKING}`);
+  const result = await waiting;
+  assert.equal(result.reason, 'timeout');
+  assert.equal(result.timedOut, true);
+  assert.equal(result.blockedOn, null);
+  assert.ok(result.elapsedMs >= 600);
+});
+
+test('waitForIdle ends early when the session disconnects', async () => {
+  const session = fakeSession();
+  const done = session.wait({ quietMs: 5000, timeoutMs: 5000 });
+  session.write(WORKING);
+  setTimeout(session.disconnect, 50);
+  const result = await done;
+  assert.equal(result.reason, 'disconnected');
+  assert.equal(result.timedOut, false);
+  assert.match(result.output, /esc to interrupt/);
+});
+
+test('a session that fails to connect is not registered and does not become current', async () => {
+  // Sockets for projects under /down fail their handshake, the rest open
+  const open = (url) => {
+    const ws = Object.assign(new EventEmitter(), { send() {}, close() {}, terminate() {} });
+    setImmediate(() => url.includes(encodeURIComponent('/down')) ? ws.emit('error', new Error('connect ECONNREFUSED')) : ws.emit('open'));
+    return ws;
+  };
+  const manager = createSessionManager({ wsUrl: 'ws://server-claude', open });
+
+  const app = await manager.connect('/srv/projects/app');
+  await assert.rejects(manager.connect('/down/api'), /ECONNREFUSED/);
+  await assert.rejects(manager.connect('/down/api', 'named'), /ECONNREFUSED/);
+  assert.deepEqual(manager.list().map(s => [s.session, s.current]), [['app', true]]);
+  assert.equal(manager.resolve(), app);
+  assert.throws(() => manager.get('api'), /Unknown server Claude session: api \(open: app\)/);
+
+  // Both callers share the one socket for a new project
+  const [a, b] = await Promise.all([manager.connect('/srv/projects/web'), manager.connect('/srv/projects/web')]);
+  assert.equal(a, b);
+  assert.equal(manager.current, 'web');
+});
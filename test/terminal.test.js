@@ -0,0 +1,61 @@
+/**
+ * Terminal screen model: rendering, scrollback and search
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTerminal, renderText, plainText, grepLines } from '../src/terminal.js';
+
+const ESC = '\x1b';
+
+test('spinner frames redrawn in place leave only the final line', () => {
+  let out = `${ESC}]0;claude\x07> status\r\n`;
+  for (let i = 0; i < 5; i++) out += `${ESC}[2K\r${ESC}[33m✻${ESC}[0m Working… (${i}s · esc to interrupt)`;
+  out += `${ESC}[2K\r${ESC}[1m●${ESC}[0m All services healthy`;
+  assert.equal(renderText(out), '> status\n● All services healthy');
+  // The plain stream keeps every frame, in order, for prompt detection
+  assert.equal(plainText(out).match(/esc to interrupt/g).length, 5);
+});
+
+test('cursor moves, erases and the alternate screen', () => {
+  const term = createTerminal({ cols: 20, rows: 5 });
+  term.write(`one\r\ntwo\r\nthree${ESC}[2A${ESC}[1G${ESC}[K1${ESC}[2B${ESC}[C${ESC}[Kee`);
+  assert.deepEqual(term.screen(), ['1', 'two', 'thee']);
+
+  term.write(`${ESC}[?1049h${ESC}[Hfull screen app`);
+  assert.deepEqual(term.screen(), ['full screen app']);
+  assert.equal(term.status().alternateScreen, true);
+  term.write(`${ESC}[?1049l`);
+  assert.deepEqual(term.screen(), ['1', 'two', 'thee']);
+  assert.deepEqual(term.scrollback(), ['1', 'two', 'thee']);
+});
+
+test('scrollback keeps scrolled-off lines and folds a full redraw away', () => {
+  const term = createTerminal({ cols: 20, rows: 3 });
+  term.write('a\r\nb\r\n\r\n\r\n\r\nc\r\nd\r\ne');
+  assert.deepEqual(term.screen(), ['c', 'd', 'e']);
+  assert.deepEqual(term.scrollback(), ['a', 'b', '', 'c', 'd', 'e']);
+
+  // Clear and reprint everything, then carry on
+  term.write(`${ESC}[2J${ESC}[3J${ESC}[Ha\r\nb\r\n\r\nc\r\nd\r\ne\r\nf\r\ng`);
+  assert.deepEqual(term.scrollback(), ['a', 'b', '', 'c', 'd', 'e', 'f', 'g']);
+
+  // A clear followed by new output is not a redraw
+  term.write(`${ESC}[2J${ESC}[Hh\r\ni`);
+  assert.deepEqual(term.scrollback(), ['a', 'b', '', 'c', 'd', 'e', 'f', 'g', 'h', 'i']);
+});
+
+test('lines wrap at the screen width and sequences may span chunks', () => {
+  const term = createTerminal({ cols: 4, rows: 3 });
+  term.write('abcdef');
+  term.write(`\r\n${ESC}[`);
+  term.write('1mxy');
+  assert.deepEqual(term.screen(), ['abcd', 'ef', 'xy']);
+});
+
+test('grep shows matches with numbered context', () => {
+  const lines = ['start', 'Error: boom', 'at x', 'ok', 'ok', 'ok', 'error again'];
+  assert.equal(grepLines(lines, 'error', { context: 1, firstLine: 10 }), '10-start\n11:Error: boom\n12-at x\n--\n15-ok\n16:error again');
+  assert.equal(grepLines(lines, 'boom (', { context: 0 }), null);
+  assert.equal(grepLines(['a (b'], '(b', { context: 0 }), '1:a (b');
+});
@@ -0,0 +1,90 @@
+/**
+ * Transcript parsing and tailing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseTranscriptLine, watchTranscripts } from '../src/transcript.js';
+import { tempDir, waitFor } from './helpers.js';
+
+const record = (type, content, extra = {}) => JSON.stringify({
+  type, sessionId: 's-1', uuid: `u-${Math.random()}`, timestamp: '2026-01-01T00:00:00.000Z', cwd: '/srv/projects/demo',
+  message: { role: type, content }, ...extra
+});
+
+test('parses tool use and labels its result', () => {
+  const toolNames = new Map();
+  const [use] = parseTranscriptLine(record('assistant', [{ type: 'tool_use', id: 't-1', name: 'Bash', input: { command: 'ls' } }]), toolNames);
+  assert.equal(use.kind, 'tool_use');
+  assert.equal(use.toolName, 'Bash');
+
+  const [result] = parseTranscriptLine(record('user', [{ type: 'tool_result', tool_use_id: 't-1', content: 'boom', is_error: true }]), toolNames);
+  assert.equal(result.kind, 'tool_result');
+  assert.equal(result.toolName, 'Bash');
+  assert.equal(result.isError, true);
+});
+
+test('skips meta records and junk lines', () => {
+  assert.deepEqual(parseTranscriptLine('not json'), []);
+  assert.deepEqual(parseTranscriptLine(record('user', 'hi', { isMeta: true })), []);
+  assert.deepEqual(parseTranscriptLine(JSON.stringify({ type: 'summary', summary: 'x' })), []);
+});
+
+test('survives malformed blocks and timestamps', () => {
+  const messages = parseTranscriptLine(record('assistant', [null, 'stray', 42, { type: 'text', text: 'still here' }], { timestamp: 'yesterday-ish' }));
+  assert.deepEqual(messages.map(m => m.content), ['still here']);
+  assert.ok(!Number.isNaN(Date.parse(messages[0].timestamp)));
+
+  const [result] = parseTranscriptLine(record('user', [{ type: 'tool_result', tool_use_id: 't-9', content: [null, { type: 'text', text: 'ok' }] }], { timestamp: { at: 1 } }));
+  assert.equal(result.content, 'ok');
+});
+
+test('tails new sessions and ignores history already on disk', async () => {
+  const root = tempDir();
+  const project = path.join(root, '-srv-projects-demo');
+  fs.mkdirSync(project);
+  fs.writeFileSync(path.join(project, 'old.jsonl'), record('user', 'already here') + '\n');
+
+  const seen = [];
+  const watcher = watchTranscripts({ root, intervalMs: 50, onMessage: (m) => seen.push(m.content) });
+  try {
+    await new Promise(r => setTimeout(r, 100));
+    fs.appendFileSync(path.join(project, 'old.jsonl'), record('assistant', 'appended') + '\n');
+    fs.writeFileSync(path.join(project, 'new.jsonl'), record('user', 'fresh session') + '\n');
+    await waitFor(() => seen.length === 2, { message: 'transcript messages' });
+    assert.deepEqual(seen.sort(), ['appended', 'fresh session']);
+  } finally {
+    watcher.stop();
+  }
+});
+
+test('a transcript that goes idle and grows again resumes instead of replaying', async () => {
+  const root = tempDir();
+  const project = path.join(root, '-srv-projects-demo');
+  fs.mkdirSync(project);
+  const longAgo = (Date.now() - 7 * 60 * 60 * 1000) / 1000;
+  const stale = path.join(project, 'stale.jsonl');
+  const active = path.join(project, 'active.jsonl');
+  fs.writeFileSync(stale, record('user', 'stale history') + '\n');
+  fs.utimesSync(stale, longAgo, longAgo);
+  fs.writeFileSync(active, record('user', 'active history') + '\n');
+
+  const seen = [];
+  const watcher = watchTranscripts({ root, intervalMs: 50, onMessage: (m) => seen.push(m.content) });
+  try {
+    await new Promise(r => setTimeout(r, 100));
+    fs.utimesSync(active, longAgo, longAgo);
+    await new Promise(r => setTimeout(r, 100));
+    assert.deepEqual(watcher.files(), []);
+
+    fs.appendFileSync(stale, record('assistant', 'stale resumed') + '\n');
+    fs.appendFileSync(active, record('assistant', 'active resumed') + '\n');
+    await waitFor(() => seen.length >= 2, { message: 'resumed messages' });
+    await new Promise(r => setTimeout(r, 100));
+    assert.deepEqual(seen.sort(), ['active resumed', 'stale resumed']);
+  } finally {
+    watcher.stop();
+  }
+});
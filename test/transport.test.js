@@ -0,0 +1,133 @@
+/**
+ * Service transport: request signing, bearer/HMAC credentials, TLS options, timeouts
+ * and warnings about unencrypted credentials
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { startHttp } from '../mock/http.js';
+import { createTransport, signRequest, loadCredentials } from '../src/transport.js';
+import { tempDir } from './helpers.js';
+
+test('signRequest signs timestamp, method, path with query and body hash', () => {
+  const headers = signRequest({ keyId: 'ci', secret: 's3cret', method: 'post', url: 'http://susan:5403/api/remember?x=1', body: '{"a":1}', timestamp: 1700000000000 });
+  const bodyHash = crypto.createHash('sha256').update('{"a":1}').digest('hex');
+  const expected = crypto.createHmac('sha256', 's3cret').update(`1700000000000\nPOST\n/api/remember?x=1\n${bodyHash}`).digest('hex');
+  assert.deepEqual(headers, { 'X-Kodiack-Key-Id': 'ci', 'X-Kodiack-Timestamp': '1700000000000', 'X-Kodiack-Signature': expected });
+
+  const bare = signRequest({ secret: 's3cret', method: 'GET', url: 'http://susan:5403/api/ports', timestamp: 1 });
+  assert.equal(bare['X-Kodiack-Key-Id'], 'default');
+  assert.notEqual(bare['X-Kodiack-Signature'], signRequest({ secret: 's3cret', method: 'GET', url: 'http://susan:5403/api/todos', timestamp: 1 })['X-Kodiack-Signature']);
+});
+
+test('the auth mode is inferred per service and sent on every request', async () => {
+  const server = await startHttp({ routes: { 'POST /api/remember': () => ({ id: 'k-1' }), 'GET /api/ports': () => [] } });
+  try {
+    const transport = createTransport({ auth: { token: 'shared', services: { ryan: { hmacKeyId: 'ci', hmacSecret: 's3cret' }, chad: { mode: 'none' } } } });
+    assert.equal(transport.authMode('susan'), 'bearer');
+    assert.equal(transport.authMode('ryan'), 'hmac');
+    assert.equal(transport.authMode('chad'), 'none');
+
+    await transport.request('susan', `${server.url}/api/ports`);
+    assert.equal(server.requests[0].headers.authorization, 'Bearer shared');
+
+    const body = JSON.stringify({ title: 'note' });
+    await transport.request('ryan', `${server.url}/api/remember`, { method: 'POST', body });
+    const { headers } = server.requests[1];
+    assert.equal(headers.authorization, undefined);
+    const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+    const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['x-kodiack-timestamp']}\nPOST\n/api/remember\n${bodyHash}`).digest('hex');
+    assert.equal(headers['x-kodiack-signature'], expected);
+    assert.equal(headers['x-kodiack-key-id'], 'ci');
+  } finally {
+    await server.close();
+  }
+});
+
+test('missing or rejected credentials fail with the service and mode named', async () => {
+  const server = await startHttp({ routes: { 'GET /api/ports': () => [] }, token: 'right' });
+  try {
+    await assert.rejects(createTransport({ auth: {} }).request('susan', `${server.url}/api/ports`), /^Error: Susan requires authentication \(401\) - set auth\.token/);
+    await assert.rejects(createTransport({ auth: { token: 'wrong' }, profile: 'prod' }).request('susan', `${server.url}/api/ports`), /Susan rejected our bearer credentials \(401\) - check the token\/secret for profile prod/);
+    assert.equal((await createTransport({ auth: { token: 'right' } }).request('susan', `${server.url}/api/ports`)).status, 200);
+  } finally {
+    await server.close();
+  }
+  assert.throws(() => createTransport({ auth: { mode: 'bearer' } }).authMode('ryan'), /auth\.mode is bearer but no token is configured for Ryan/);
+  assert.throws(() => createTransport({ auth: { mode: 'hmac', token: 't' } }).authMode('claudeServer'), /auth\.mode is hmac but no hmacSecret is configured for Server Claude/);
+});
+
+test('the credentials file is keyed by profile over default, and a readable file is warned about', () => {
+  const file = path.join(tempDir(), 'credentials.json');
+  fs.writeFileSync(file, JSON.stringify({ default: { token: 'dev', hmacKeyId: 'laptop' }, prod: { token: 'prod' } }), { mode: 0o600 });
+  const warnings = [];
+  assert.deepEqual(loadCredentials(file, 'prod', (m) => warnings.push(m)), { token: 'prod', hmacKeyId: 'laptop' });
+  assert.deepEqual(loadCredentials(file, 'staging'), { token: 'dev', hmacKeyId: 'laptop' });
+  assert.deepEqual(loadCredentials(path.join(path.dirname(file), 'none.json'), 'prod'), {});
+  assert.deepEqual(warnings, []);
+
+  if (process.platform !== 'win32') {
+    fs.chmodSync(file, 0o644);
+    loadCredentials(file, 'prod', (m) => warnings.push(m));
+    assert.match(warnings[0], /is readable by other users - run: chmod 600/);
+  }
+
+  fs.writeFileSync(file, '{ broken');
+  assert.throws(() => loadCredentials(file, 'prod'), /is not valid JSON/);
+});
+
+test('config auth beats the credentials file and auth.services beats both', async () => {
+  const file = path.join(tempDir(), 'credentials.json');
+  fs.writeFileSync(file, JSON.stringify({ prod: { token: 'from-file' } }), { mode: 0o600 });
+  const server = await startHttp({ routes: { 'GET /api/ports': () => [] } });
+  try {
+    const sent = async (config, service) => {
+      await createTransport({ profile: 'prod', ...config }).request(service, `${server.url}/api/ports`);
+      return server.requests.at(-1).headers.authorization;
+    };
+    assert.equal(await sent({ auth: { credentialsFile: file } }, 'susan'), 'Bearer from-file');
+    assert.equal(await sent({ auth: { credentialsFile: file, token: 'from-config' } }, 'susan'), 'Bearer from-config');
+    assert.equal(await sent({ auth: { credentialsFile: file, token: 'from-config', services: { ryan: { token: 'ryan-only' } } } }, 'ryan'), 'Bearer ryan-only');
+  } finally {
+    await server.close();
+  }
+});
+
+test('TLS files are read up front and reported in the summary', () => {
+  const dir = tempDir();
+  for (const name of ['ca.pem', 'client.pem', 'client.key']) fs.writeFileSync(path.join(dir, name), 'placeholder');
+  const transport = createTransport({ auth: {}, tls: { ca: path.join(dir, 'ca.pem'), cert: path.join(dir, 'client.pem'), key: path.join(dir, 'client.key') } });
+  assert.deepEqual(transport.tls, { customCa: true, mutual: true, rejectUnauthorized: true });
+  assert.deepEqual(createTransport({ auth: {}, tls: { rejectUnauthorized: false } }).tls, { customCa: false, mutual: false, rejectUnauthorized: false });
+  assert.throws(() => createTransport({ auth: {}, tls: { ca: path.join(dir, 'missing.pem') } }), /^Error: Could not read CA certificate .*missing\.pem: ENOENT/);
+});
+
+test('a request that never answers fails as a FetchError after the timeout', async () => {
+  const server = await startHttp({ routes: { 'GET /api/ports': () => new Promise(() => {}) } });
+  try {
+    const transport = createTransport({ auth: {} }, { timeoutMs: 200 });
+    await assert.rejects(transport.request('susan', `${server.url}/api/ports`), { name: 'FetchError', message: /timed out after 200ms/ });
+  } finally {
+    await server.close();
+  }
+});
+
+test('credentials sent to a remote host over plain http are warned about once', async () => {
+  const warnings = [];
+  const transport = createTransport({ auth: { token: 't0k3n' } }, { warn: (m) => warnings.push(m), timeoutMs: 200 });
+  const server = await startHttp({ routes: { 'GET /api/ports': () => [] } });
+  try {
+    await transport.request('susan', `${server.url}/api/ports`);
+    assert.deepEqual(warnings, [], 'loopback stays on this machine');
+  } finally {
+    await server.close();
+  }
+
+  for (let i = 0; i < 2; i++) await transport.request('susan', 'http://susan.invalid/api/ports').catch(() => {});
+  await transport.request('susan', 'https://susan.invalid/api/ports').catch(() => {});
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^Susan credentials \(bearer\) are sent to susan\.invalid over unencrypted http/);
+});